@@ -5,6 +5,7 @@ import Login from './components/Login';
 import AdminDashboard from './components/AdminDashboard';
 import DoctorDashboard from './components/DoctorDashboard';
 import ProtectedRoute from './components/ProtectedRoute';
+import ChangePasswordRequired from './components/ChangePasswordRequired';
 
 function App() {
   return (
@@ -14,6 +15,7 @@ function App() {
           <Routes>
             {/* Public Routes */}
             <Route path="/login" element={<Login />} />
+            <Route path="/change-password" element={<ChangePasswordRequired />} />
             
             {/* Protected Routes */}
             <Route 
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime } from '../utils/dateTime';
+import { describeUserAgent, isMobileUserAgent } from '../utils/device';
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await apiService.getSessions();
+
+      if (response.success) {
+        setSessions(response.data);
+      } else {
+        setError(response.message || 'Failed to load devices');
+      }
+    } catch (error) {
+      setError('Failed to load devices: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (!window.confirm(`Sign out ${describeUserAgent(session.user_agent)}?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.revokeSession(session.id);
+
+      if (response.success) {
+        setSuccess(response.message);
+        loadSessions();
+      } else {
+        setError(response.message || 'Failed to sign out device');
+      }
+    } catch (error) {
+      setError('Failed to sign out device: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out all other devices? You will stay signed in on this device.')) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.revokeOtherSessions();
+
+      if (response.success) {
+        setSuccess(response.message);
+        loadSessions();
+      } else {
+        setError(response.message || 'Failed to sign out other devices');
+      }
+    } catch (error) {
+      setError('Failed to sign out other devices: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Active Devices</h2>
+        <button
+          onClick={handleRevokeOthers}
+          disabled={loading || otherSessions.length === 0}
+          className="text-red-600 hover:text-red-900 font-medium text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Sign out other devices
+        </button>
+      </div>
+
+      {/* Error/Success Messages */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      {loading && sessions.length === 0 ? (
+        <div className="p-4 text-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-royal-blue mx-auto"></div>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map((session) => (
+            <li key={session.id} className="py-3 flex justify-between items-center">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {isMobileUserAgent(session.user_agent) ? '📱' : '💻'} {describeUserAgent(session.user_agent)}
+                  {session.current && (
+                    <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  IP {session.ip_address || 'unknown'} · Last seen {formatDateTime(session.last_seen_at)}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={loading}
+                  className="text-red-600 hover:text-red-900 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -2,11 +2,47 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { apiService } from '../services/api';
 import AttendanceTable from './AttendanceTable';
-import { validateName, validateId, validatePassword } from '../utils/validation';
+import LockedAccounts from './LockedAccounts';
+import SecuritySettings from './SecuritySettings';
+import TwoFactorSettings from './TwoFactorSettings';
+import PasswordStrength from './PasswordStrength';
+import ResetCodeSlip from './ResetCodeSlip';
+import UserAccess from './UserAccess';
+import AuthEventsTable from './AuthEventsTable';
+import ApiKeys from './ApiKeys';
+import ShiftSchedules from './ShiftSchedules';
+import Holidays from './Holidays';
+import LeaveRequests from './LeaveRequests';
+import AttendanceCorrections from './AttendanceCorrections';
+import AutoClosedSessions from './AutoClosedSessions';
+import GeofenceExceptions from './GeofenceExceptions';
+import { validateName, validateId, validatePassword, formatErrorMessages } from '../utils/validation';
+import { formatDateTime, formatDateOnly, dateFromToday } from '../utils/dateTime';
+
+// Temporary accounts expiring within this many days are listed on the User Management tab
+const EXPIRY_WARNING_DAYS = 14;
+
+// Dashboard tabs and the permission each one needs (null = every admin-dashboard role)
+const TABS = [
+  { id: 'activity', label: 'Recent Activity', permission: 'activity:view' },
+  { id: 'users', label: 'User Management', permission: 'doctors:view' },
+  { id: 'history', label: 'Attendance History', permission: 'attendance:view' },
+  { id: 'schedules', label: 'Schedules', permission: 'attendance:view' },
+  { id: 'leave', label: 'Leave Requests', permission: 'leave:approve' },
+  { id: 'corrections', label: 'Corrections', permission: 'corrections:approve' },
+  { id: 'auto-closed', label: 'Needs Review', permission: 'corrections:approve' },
+  { id: 'outside-fence', label: 'Outside Fence', permission: 'exceptions:approve' },
+  { id: 'access', label: 'Roles & Access', permission: 'roles:assign' },
+  { id: 'audit', label: 'Audit Log', permission: 'audit:view' },
+  { id: 'security', label: 'Security', permission: null }
+];
 
 const AdminDashboard = () => {
-  const { user, logout, changePassword } = useAuth();
-  const [activeTab, setActiveTab] = useState('activity');
+  const { user, logout, changePassword, passwordPolicy, hasPermission } = useAuth();
+  const tabs = TABS.filter(tab => !tab.permission || hasPermission(tab.permission));
+  const canManageDoctors = hasPermission('doctors:manage');
+  const canPurgeDoctors = hasPermission('doctors:purge');
+  const [activeTab, setActiveTab] = useState(tabs[0].id);
   const [recentActivity, setRecentActivity] = useState([]);
   const [doctors, setDoctors] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -16,6 +52,12 @@ const AdminDashboard = () => {
   const [showCreateDoctor, setShowCreateDoctor] = useState(false);
   const [showUpdatePassword, setShowUpdatePassword] = useState(false);
   const [selectedDoctor, setSelectedDoctor] = useState(null);
+  const [resetCode, setResetCode] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [showDeactivate, setShowDeactivate] = useState(false);
+  const [deactivationReason, setDeactivationReason] = useState('');
+  const [showValidity, setShowValidity] = useState(false);
+  const [validityForm, setValidityForm] = useState({ validFrom: '', validUntil: '' });
 
   const [passwordForm, setPasswordForm] = useState({
     currentPassword: '',
@@ -26,7 +68,10 @@ const AdminDashboard = () => {
   const [doctorForm, setDoctorForm] = useState({
     id: '',
     name: '',
-    password: ''
+    password: '',
+    department: '',
+    validFrom: '',
+    validUntil: ''
   });
 
   const [updatePasswordForm, setUpdatePasswordForm] = useState({
@@ -34,13 +79,20 @@ const AdminDashboard = () => {
     confirmPassword: ''
   });
 
+  const twoFactorSetupRequired = !!user?.twoFactorSetupRequired;
+
   useEffect(() => {
+    // Admin endpoints are blocked until 2FA enrollment is complete
+    if (twoFactorSetupRequired) {
+      return;
+    }
+
     if (activeTab === 'activity') {
       loadRecentActivity();
     } else if (activeTab === 'users') {
       loadDoctors();
     }
-  }, [activeTab]);
+  }, [activeTab, twoFactorSetupRequired]);
 
   const loadRecentActivity = async () => {
     try {
@@ -78,10 +130,17 @@ const AdminDashboard = () => {
     // Validate form
     const nameValidation = validateName(doctorForm.name);
     const idValidation = validateId(doctorForm.id);
-    const passwordValidation = validatePassword(doctorForm.password);
+    const passwordValidation = validatePassword(doctorForm.password, passwordPolicy);
 
-    if (!nameValidation.isValid || !idValidation.isValid || !passwordValidation.isValid) {
-      setError('Please check all fields and try again');
+    const validityErrors = getValidityErrors(doctorForm.validFrom, doctorForm.validUntil);
+
+    if (!nameValidation.isValid || !idValidation.isValid || !passwordValidation.isValid || validityErrors.length > 0) {
+      setError(formatErrorMessages([
+        ...nameValidation.errors,
+        ...idValidation.errors,
+        ...passwordValidation.errors,
+        ...validityErrors
+      ]));
       return;
     }
 
@@ -90,7 +149,7 @@ const AdminDashboard = () => {
       const response = await apiService.createDoctor(doctorForm);
       if (response.success) {
         setSuccess('Doctor created successfully');
-        setDoctorForm({ id: '', name: '', password: '' });
+        setDoctorForm({ id: '', name: '', password: '', department: '', validFrom: '', validUntil: '' });
         setShowCreateDoctor(false);
         loadDoctors();
       } else {
@@ -113,8 +172,9 @@ const AdminDashboard = () => {
       return;
     }
 
-    if (updatePasswordForm.newPassword.length < 6) {
-      setError('Password must be at least 6 characters long');
+    const passwordValidation = validatePassword(updatePasswordForm.newPassword, passwordPolicy);
+    if (!passwordValidation.isValid) {
+      setError(formatErrorMessages(passwordValidation.errors));
       return;
     }
 
@@ -136,22 +196,164 @@ const AdminDashboard = () => {
     }
   };
 
-  const handleDeleteDoctor = async (doctorId, doctorName) => {
-    if (!window.confirm(`Are you sure you want to delete Dr. ${doctorName}? This action cannot be undone.`)) {
+  const getValidityErrors = (validFrom, validUntil) => {
+    if (validFrom && validUntil && validFrom > validUntil) {
+      return ['Valid until must not be before valid from'];
+    }
+    return [];
+  };
+
+  const handleUpdateValidity = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    const validityErrors = getValidityErrors(validityForm.validFrom, validityForm.validUntil);
+    if (validityErrors.length > 0) {
+      setError(formatErrorMessages(validityErrors));
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.updateDoctorValidity(
+        selectedDoctor.id,
+        validityForm.validFrom || null,
+        validityForm.validUntil || null
+      );
+      if (response.success) {
+        setSuccess(`${response.message} for Dr. ${selectedDoctor.name}`);
+        setShowValidity(false);
+        setSelectedDoctor(null);
+        loadDoctors();
+      } else {
+        setError(response.message);
+      }
+    } catch (error) {
+      setError('Failed to update account validity: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openValidityModal = (doctor) => {
+    setSelectedDoctor(doctor);
+    setValidityForm({ validFrom: doctor.valid_from || '', validUntil: doctor.valid_until || '' });
+    setShowValidity(true);
+  };
+
+  const handleDeactivateDoctor = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!deactivationReason.trim()) {
+      setError('Please enter a reason for the deactivation');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.deactivateDoctor(selectedDoctor.id, deactivationReason.trim());
+      if (response.success) {
+        setSuccess(`Dr. ${selectedDoctor.name} has been deactivated`);
+        setDeactivationReason('');
+        setShowDeactivate(false);
+        setSelectedDoctor(null);
+        loadDoctors();
+      } else {
+        setError(response.message);
+      }
+    } catch (error) {
+      setError('Failed to deactivate doctor: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReactivateDoctor = async (doctorId, doctorName) => {
+    if (!window.confirm(`Reactivate Dr. ${doctorName}? The doctor will be able to sign in and check in again.`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.reactivateDoctor(doctorId);
+      if (response.success) {
+        setSuccess(response.message);
+        loadDoctors();
+      } else {
+        setError(response.message);
+      }
+    } catch (error) {
+      setError('Failed to reactivate doctor: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePurgeDoctor = async (doctorId, doctorName) => {
+    const confirmId = window.prompt(
+      `Permanently delete Dr. ${doctorName} and ALL of their attendance records? This cannot be undone.\n\nType the doctor ID (${doctorId}) to confirm.`
+    );
+    if (confirmId === null) {
       return;
     }
 
     try {
       setLoading(true);
-      const response = await apiService.deleteDoctor(doctorId);
+      const response = await apiService.purgeDoctor(doctorId, confirmId.trim());
       if (response.success) {
-        setSuccess('Doctor deleted successfully');
+        setSuccess(response.message);
         loadDoctors();
       } else {
         setError(response.message);
       }
     } catch (error) {
-      setError('Failed to delete doctor: ' + error.message);
+      setError('Failed to purge doctor: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateResetCode = async (doctorId, doctorName) => {
+    if (!window.confirm(`Create a password reset code for Dr. ${doctorName}? Any earlier unused code stops working.`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+      const response = await apiService.createResetCode(doctorId);
+      if (response.success) {
+        setResetCode(response.data);
+      } else {
+        setError(response.message);
+      }
+    } catch (error) {
+      setError('Failed to create reset code: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleForceLogout = async (doctorId, doctorName) => {
+    if (!window.confirm(`Sign Dr. ${doctorName} out of all devices?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.forceLogoutDoctor(doctorId);
+      if (response.success) {
+        setSuccess(response.message);
+        loadDoctors();
+      } else {
+        setError(response.message);
+      }
+    } catch (error) {
+      setError('Failed to sign out doctor: ' + error.message);
     } finally {
       setLoading(false);
     }
@@ -167,8 +369,9 @@ const AdminDashboard = () => {
       return;
     }
 
-    if (passwordForm.newPassword.length < 6) {
-      setError('New password must be at least 6 characters long');
+    const passwordValidation = validatePassword(passwordForm.newPassword, passwordPolicy);
+    if (!passwordValidation.isValid) {
+      setError(formatErrorMessages(passwordValidation.errors));
       return;
     }
 
@@ -186,58 +389,82 @@ const AdminDashboard = () => {
     }
   };
 
-  const formatDateTime = (timestamp) => {
-    return new Date(timestamp).toLocaleString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  // Validity dates are hospital calendar dates (YYYY-MM-DD)
+  const today = dateFromToday(0);
+  const warningLimit = dateFromToday(EXPIRY_WARNING_DAYS);
+
+  // Where a temporary account stands relative to its validity window
+  const getValidityState = (doctor) => {
+    if (doctor.valid_from && doctor.valid_from > today) return 'pending';
+    if (doctor.valid_until && doctor.valid_until < today) return 'expired';
+    return 'valid';
   };
 
+  const visibleDoctors = doctors.filter(doctor => statusFilter === 'all' || doctor.status === statusFilter);
+  const expiringDoctors = doctors
+    .filter(doctor => doctor.status === 'active' && doctor.valid_until &&
+      doctor.valid_until >= today && doctor.valid_until <= warningLimit)
+    .sort((a, b) => a.valid_until.localeCompare(b.valid_until));
+
   const clearMessages = () => {
     setError(null);
     setSuccess(null);
   };
 
-  return (
-    <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <header className="bg-white shadow-sm border-b border-gray-200">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between items-center py-4">
-            <div>
-              <h1 className="text-2xl font-bold text-gray-900">Admin Dashboard</h1>
-              <p className="text-sm text-gray-600">Welcome, {user?.name}</p>
-            </div>
-            <div className="flex items-center space-x-4">
+  // Header is shared with the mandatory 2FA enrollment screen
+  const header = (
+    <header className="bg-white shadow-sm border-b border-gray-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center py-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Admin Dashboard</h1>
+            <p className="text-sm text-gray-600">
+              Welcome, {user?.name} · {user?.roleLabel}
+              {user?.department && ` (${user.department})`}
+            </p>
+          </div>
+          <div className="flex items-center space-x-4">
+            {!twoFactorSetupRequired && (
               <button
                 onClick={() => setShowChangePassword(true)}
                 className="text-royal-blue hover:text-royal-blue-dark font-medium"
               >
                 Change Password
               </button>
-              <button
-                onClick={logout}
-                className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
-              >
-                Logout
-              </button>
-            </div>
+            )}
+            <button
+              onClick={logout}
+              className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+            >
+              Logout
+            </button>
           </div>
         </div>
-      </header>
+      </div>
+    </header>
+  );
+
+  if (twoFactorSetupRequired) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        {header}
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <TwoFactorSettings />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      {header}
 
       {/* Navigation Tabs */}
       <div className="bg-white border-b border-gray-200">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <nav className="flex space-x-8">
-            {[
-              { id: 'activity', label: 'Recent Activity' },
-              { id: 'users', label: 'User Management' },
-              { id: 'history', label: 'Attendance History' }
-            ].map((tab) => (
+            {tabs.map((tab) => (
               <button
                 key={tab.id}
                 onClick={() => {
@@ -355,19 +582,56 @@ const AdminDashboard = () => {
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
               <div className="flex justify-between items-center">
                 <h2 className="text-xl font-semibold text-gray-900">User Management</h2>
-                <button
-                  onClick={() => setShowCreateDoctor(true)}
-                  className="bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors"
-                >
-                  Create New Doctor
-                </button>
+                {canManageDoctors && (
+                  <button
+                    onClick={() => setShowCreateDoctor(true)}
+                    className="bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                  >
+                    Create New Doctor
+                  </button>
+                )}
               </div>
             </div>
 
+            {/* Upcoming Expirations */}
+            {expiringDoctors.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
+                <h3 className="text-lg font-medium text-yellow-900 mb-2">
+                  Temporary accounts expiring in the next {EXPIRY_WARNING_DAYS} days
+                </h3>
+                <ul className="space-y-2">
+                  {expiringDoctors.map(doctor => (
+                    <li key={doctor.id} className="flex justify-between items-center text-sm text-yellow-900">
+                      <span>
+                        Dr. {doctor.name} ({doctor.id}){doctor.department && ` · ${doctor.department}`} — last day {formatDateOnly(doctor.valid_until)}
+                      </span>
+                      {canManageDoctors && (
+                        <button
+                          onClick={() => openValidityModal(doctor)}
+                          className="text-royal-blue hover:text-royal-blue-dark font-medium"
+                        >
+                          Extend
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Doctors List */}
             <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-              <div className="px-6 py-4 border-b border-gray-200">
+              <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
                 <h3 className="text-lg font-medium text-gray-900">Doctors</h3>
+                <select
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-royal-blue"
+                >
+                  <option value="active">Active doctors</option>
+                  <option value="inactive">Deactivated doctors</option>
+                  <option value="all">All doctors</option>
+                </select>
               </div>
               <div className="overflow-x-auto">
                 {loading ? (
@@ -375,7 +639,7 @@ const AdminDashboard = () => {
                     <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-royal-blue mx-auto"></div>
                     <p className="mt-2 text-gray-600">Loading...</p>
                   </div>
-                ) : doctors.length === 0 ? (
+                ) : visibleDoctors.length === 0 ? (
                   <div className="p-8 text-center text-gray-500">
                     No doctors found
                   </div>
@@ -389,16 +653,27 @@ const AdminDashboard = () => {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Name
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Department
+                        </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          Status
+                        </th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                           Created
                         </th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                          Actions
+                          Active Devices
                         </th>
+                        {canManageDoctors && (
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Actions
+                          </th>
+                        )}
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
-                      {doctors.map((doctor) => (
+                      {visibleDoctors.map((doctor) => (
                         <tr key={doctor.id}>
                           <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                             {doctor.id}
@@ -406,26 +681,111 @@ const AdminDashboard = () => {
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                             {doctor.name}
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                            {doctor.department || '-'}
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            {doctor.status === 'active' ? (
+                              <div>
+                                {getValidityState(doctor) === 'pending' ? (
+                                  <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
+                                    Starts {formatDateOnly(doctor.valid_from)}
+                                  </span>
+                                ) : getValidityState(doctor) === 'expired' ? (
+                                  <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                                    Expired
+                                  </span>
+                                ) : (
+                                  <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                                    Active
+                                  </span>
+                                )}
+                                {doctor.valid_until && (
+                                  <div className="text-xs text-gray-500 mt-1">
+                                    Temporary, until {formatDateOnly(doctor.valid_until)}
+                                  </div>
+                                )}
+                              </div>
+                            ) : (
+                              <div>
+                                <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-gray-200 text-gray-700">
+                                  Inactive
+                                </span>
+                                <div className="text-xs text-gray-500 mt-1">
+                                  Since {formatDateTime(doctor.deactivated_at)}
+                                </div>
+                                <div className="text-xs text-gray-500">{doctor.deactivation_reason}</div>
+                              </div>
+                            )}
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                             {formatDateTime(doctor.created_at)}
                           </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
-                            <button
-                              onClick={() => {
-                                setSelectedDoctor(doctor);
-                                setShowUpdatePassword(true);
-                              }}
-                              className="text-royal-blue hover:text-royal-blue-dark"
-                            >
-                              Change Password
-                            </button>
-                            <button
-                              onClick={() => handleDeleteDoctor(doctor.id, doctor.name)}
-                              className="text-red-600 hover:text-red-900"
-                            >
-                              Delete
-                            </button>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                            {doctor.active_sessions}
                           </td>
+                          {canManageDoctors && (
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                              {doctor.status === 'active' ? (
+                                <>
+                                  <button
+                                    onClick={() => {
+                                      setSelectedDoctor(doctor);
+                                      setShowUpdatePassword(true);
+                                    }}
+                                    className="text-royal-blue hover:text-royal-blue-dark"
+                                  >
+                                    Change Password
+                                  </button>
+                                  <button
+                                    onClick={() => handleCreateResetCode(doctor.id, doctor.name)}
+                                    className="text-royal-blue hover:text-royal-blue-dark"
+                                  >
+                                    Reset Code
+                                  </button>
+                                  <button
+                                    onClick={() => openValidityModal(doctor)}
+                                    className="text-royal-blue hover:text-royal-blue-dark"
+                                  >
+                                    Validity
+                                  </button>
+                                  <button
+                                    onClick={() => handleForceLogout(doctor.id, doctor.name)}
+                                    disabled={doctor.active_sessions === 0}
+                                    className="text-orange-600 hover:text-orange-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                                  >
+                                    Force Logout
+                                  </button>
+                                  <button
+                                    onClick={() => {
+                                      setSelectedDoctor(doctor);
+                                      setShowDeactivate(true);
+                                    }}
+                                    className="text-red-600 hover:text-red-900"
+                                  >
+                                    Deactivate
+                                  </button>
+                                </>
+                              ) : (
+                                <>
+                                  <button
+                                    onClick={() => handleReactivateDoctor(doctor.id, doctor.name)}
+                                    className="text-green-600 hover:text-green-900"
+                                  >
+                                    Reactivate
+                                  </button>
+                                  {canPurgeDoctors && (
+                                    <button
+                                      onClick={() => handlePurgeDoctor(doctor.id, doctor.name)}
+                                      className="text-red-600 hover:text-red-900"
+                                    >
+                                      Purge
+                                    </button>
+                                  )}
+                                </>
+                              )}
+                            </td>
+                          )}
                         </tr>
                       ))}
                     </tbody>
@@ -440,6 +800,60 @@ const AdminDashboard = () => {
         {activeTab === 'history' && (
           <AttendanceTable />
         )}
+
+        {/* Schedules Tab */}
+        {activeTab === 'schedules' && (
+          <div className="space-y-6">
+            <ShiftSchedules canManage={hasPermission('schedules:manage')} />
+            <Holidays canManage={hasPermission('schedules:manage')} />
+          </div>
+        )}
+
+        {/* Leave Requests Tab */}
+        {activeTab === 'leave' && (
+          <LeaveRequests />
+        )}
+
+        {/* Attendance Corrections Tab */}
+        {activeTab === 'corrections' && (
+          <AttendanceCorrections />
+        )}
+
+        {/* Auto-closed Sessions Tab */}
+        {activeTab === 'auto-closed' && (
+          <AutoClosedSessions />
+        )}
+
+        {/* Outside-Fence Attendance Tab */}
+        {activeTab === 'outside-fence' && (
+          <GeofenceExceptions />
+        )}
+
+        {/* Roles & Access Tab */}
+        {activeTab === 'access' && (
+          <UserAccess />
+        )}
+
+        {/* Audit Log Tab */}
+        {activeTab === 'audit' && (
+          <AuthEventsTable />
+        )}
+
+        {/* Security Tab */}
+        {activeTab === 'security' && (
+          <div className="space-y-6">
+            <TwoFactorSettings />
+            {hasPermission('security:manage') && (
+              <>
+                <SecuritySettings />
+                <LockedAccounts />
+              </>
+            )}
+            {hasPermission('integrations:manage') && (
+              <ApiKeys />
+            )}
+          </div>
+        )}
       </div>
 
       {/* Create Doctor Modal */}
@@ -488,6 +902,47 @@ const AdminDashboard = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
                   required
                 />
+                <PasswordStrength password={doctorForm.password} />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Department
+                </label>
+                <input
+                  type="text"
+                  value={doctorForm.department}
+                  onChange={(e) => setDoctorForm(prev => ({ ...prev, department: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
+                  placeholder="e.g. Cardiology"
+                />
+              </div>
+
+              <div>
+                <p className="block text-sm font-medium text-gray-700 mb-1">
+                  Temporary account (locum / visiting doctor)
+                </p>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Valid from</label>
+                    <input
+                      type="date"
+                      value={doctorForm.validFrom}
+                      onChange={(e) => setDoctorForm(prev => ({ ...prev, validFrom: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">Valid until</label>
+                    <input
+                      type="date"
+                      value={doctorForm.validUntil}
+                      onChange={(e) => setDoctorForm(prev => ({ ...prev, validUntil: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Leave empty for a permanent account.</p>
               </div>
               
               <div className="flex space-x-4 pt-4">
@@ -531,6 +986,7 @@ const AdminDashboard = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
                   required
                 />
+                <PasswordStrength password={updatePasswordForm.newPassword} />
               </div>
               
               <div>
@@ -571,6 +1027,126 @@ const AdminDashboard = () => {
         </div>
       )}
 
+      {/* Account Validity Modal */}
+      {showValidity && selectedDoctor && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full">
+            <h3 className="text-lg font-semibold mb-4">
+              Account Validity for Dr. {selectedDoctor.name}
+            </h3>
+
+            <p className="text-sm text-gray-600 mb-4">
+              The doctor can only sign in and check in between these dates (inclusive). Clear both dates to make the account permanent.
+            </p>
+
+            <form onSubmit={handleUpdateValidity} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Valid from
+                  </label>
+                  <input
+                    type="date"
+                    value={validityForm.validFrom}
+                    onChange={(e) => setValidityForm(prev => ({ ...prev, validFrom: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Valid until
+                  </label>
+                  <input
+                    type="date"
+                    value={validityForm.validUntil}
+                    onChange={(e) => setValidityForm(prev => ({ ...prev, validUntil: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
+                  />
+                </div>
+              </div>
+
+              <div className="flex space-x-4 pt-4">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 bg-royal-blue hover:bg-royal-blue-dark text-white py-2 px-4 rounded-lg font-medium disabled:opacity-50"
+                >
+                  {loading ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowValidity(false);
+                    setSelectedDoctor(null);
+                  }}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg font-medium"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Deactivate Doctor Modal */}
+      {showDeactivate && selectedDoctor && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full">
+            <h3 className="text-lg font-semibold mb-4">
+              Deactivate Dr. {selectedDoctor.name}
+            </h3>
+
+            <p className="text-sm text-gray-600 mb-4">
+              The doctor is signed out everywhere and can no longer sign in or check in. Attendance history is kept and the account can be reactivated later.
+            </p>
+
+            <form onSubmit={handleDeactivateDoctor} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Reason
+                </label>
+                <input
+                  type="text"
+                  value={deactivationReason}
+                  onChange={(e) => setDeactivationReason(e.target.value)}
+                  maxLength={255}
+                  placeholder="e.g. Contract ended, long-term leave"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
+                  required
+                />
+              </div>
+
+              <div className="flex space-x-4 pt-4">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg font-medium disabled:opacity-50"
+                >
+                  {loading ? 'Deactivating...' : 'Deactivate'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowDeactivate(false);
+                    setSelectedDoctor(null);
+                    setDeactivationReason('');
+                  }}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg font-medium"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Password Reset Code Modal */}
+      {resetCode && (
+        <ResetCodeSlip resetCode={resetCode} onClose={() => setResetCode(null)} />
+      )}
+
       {/* Change Admin Password Modal */}
       {showChangePassword && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -602,6 +1178,7 @@ const AdminDashboard = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
                   required
                 />
+                <PasswordStrength password={passwordForm.newPassword} />
               </div>
               
               <div>
@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime } from '../utils/dateTime';
+
+const EMPTY_FORM = { name: '', scopes: [], expiresAt: '' };
+
+// API keys for HRIS/payroll integrations (sent in the X-API-Key header)
+const ApiKeys = () => {
+  const [keys, setKeys] = useState([]);
+  const [scopes, setScopes] = useState({});
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [newKey, setNewKey] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const loadKeys = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await apiService.getApiKeys();
+
+      if (response.success) {
+        setKeys(response.data.keys);
+        setScopes(response.data.scopes);
+      } else {
+        setError(response.message || 'Failed to load API keys');
+      }
+    } catch (error) {
+      setError('Failed to load API keys: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!form.name.trim() || form.scopes.length === 0) {
+      setError('Enter a name and choose at least one scope');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.createApiKey(form.name.trim(), form.scopes, form.expiresAt || null);
+
+      if (response.success) {
+        setNewKey(response.data);
+        setCopied(false);
+        setForm(EMPTY_FORM);
+        loadKeys();
+      } else {
+        setError(response.message || 'Failed to create API key');
+      }
+    } catch (error) {
+      setError('Failed to create API key: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (key) => {
+    if (!window.confirm(`Revoke API key "${key.name}"? Integrations using it stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.revokeApiKey(key.id);
+
+      if (response.success) {
+        setSuccess(response.message);
+        loadKeys();
+      } else {
+        setError(response.message || 'Failed to revoke API key');
+      }
+    } catch (error) {
+      setError('Failed to revoke API key: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey.key);
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  const getKeyState = (key) => {
+    if (key.revokedAt) return { label: 'Revoked', className: 'bg-gray-200 text-gray-700' };
+    if (key.expiresAt && new Date(key.expiresAt) <= new Date()) return { label: 'Expired', className: 'bg-yellow-100 text-yellow-800' };
+    return { label: 'Active', className: 'bg-green-100 text-green-800' };
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900">Integration API Keys</h2>
+        <p className="text-sm text-gray-500">
+          Read-only keys for HRIS and payroll systems. Send the key in the <code>X-API-Key</code> header to <code>/api/integrations</code>.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-6 mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      {newKey && (
+        <div className="mx-6 mt-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm text-yellow-900 mb-2">
+            Copy this key now. It is shown only once and cannot be recovered.
+          </p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 p-2 bg-white border border-yellow-200 rounded text-xs break-all">{newKey.key}</code>
+            <button
+              onClick={handleCopy}
+              className="bg-royal-blue hover:bg-royal-blue-dark text-white px-3 py-2 rounded-lg text-sm font-medium"
+            >
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <button
+              onClick={() => setNewKey(null)}
+              className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-2 rounded-lg text-sm font-medium"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Create Key */}
+      <form onSubmit={handleCreate} className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Name
+          </label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="e.g. Payroll nightly sync"
+            maxLength={100}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+          />
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1">
+            Scopes
+          </span>
+          {Object.entries(scopes).map(([scope, description]) => (
+            <label key={scope} className="flex items-center space-x-2 text-sm text-gray-700" title={description}>
+              <input
+                type="checkbox"
+                checked={form.scopes.includes(scope)}
+                onChange={() => toggleScope(scope)}
+              />
+              <span>{scope}</span>
+            </label>
+          ))}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Expires (optional)
+          </label>
+          <input
+            type="date"
+            value={form.expiresAt}
+            onChange={(e) => setForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+          />
+        </div>
+
+        <div>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Create Key
+          </button>
+        </div>
+      </form>
+
+      <div className="overflow-x-auto">
+        {keys.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {loading ? 'Loading...' : 'No API keys yet'}
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Key
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Scopes
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Expires
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Last Used
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {keys.map((key) => {
+                const state = getKeyState(key);
+                return (
+                  <tr key={key.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{key.name}</div>
+                      <div className="text-xs text-gray-500 font-mono">{key.keyPrefix}…</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">
+                      {key.scopes.join(', ')}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {key.expiresAt ? formatDateTime(key.expiresAt) : 'Never'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      <div>{formatDateTime(key.lastUsedAt) || '-'}</div>
+                      {key.lastUsedIp && <div className="text-xs">{key.lastUsedIp}</div>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${state.className}`}>
+                        {state.label}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      {!key.revokedAt && (
+                        <button
+                          onClick={() => handleRevoke(key)}
+                          disabled={loading}
+                          className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
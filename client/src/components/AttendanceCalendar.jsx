@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateOnly, formatDateTime, formatTime, toDateString, addDays } from '../utils/dateTime';
+import { TYPE_LABELS } from './AttendanceTable';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Enough for every record of a month, including several sessions and breaks a day
+const HISTORY_LIMIT = 500;
+
+const DAY_STATUSES = {
+  complete: { label: 'Complete', style: 'bg-green-100 text-green-900 border-green-300' },
+  open: { label: 'In progress', style: 'bg-blue-100 text-blue-900 border-blue-300' },
+  missing: { label: 'Missing check-out', style: 'bg-yellow-100 text-yellow-900 border-yellow-300' },
+  absent: { label: 'Absent', style: 'bg-red-100 text-red-900 border-red-300' },
+  leave: { label: 'Leave', style: 'bg-purple-100 text-purple-900 border-purple-300' },
+  holiday: { label: 'Holiday', style: 'bg-gray-200 text-gray-800 border-gray-300' }
+};
+
+const RECORD_NOTES = {
+  correction: 'Corrected',
+  auto: 'Auto-closed'
+};
+
+// Status of a day from the monthly summary; attendance wins over leave and holidays
+const getDayStatus = (day) => {
+  if (!day) return null;
+  if (day.missingCheckouts > 0) return 'missing';
+  if (day.openSessions > 0) return 'open';
+  if (day.sessions > 0) return 'complete';
+  if (day.leaveType) return 'leave';
+  if (day.holiday) return 'holiday';
+  if (day.absent) return 'absent';
+  return null;
+};
+
+// Every date (YYYY-MM-DD) of a month (YYYY-MM)
+const getMonthDates = (month) => {
+  const dates = [];
+  for (let date = `${month}-01`; date.startsWith(month); date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+// Doctor's own month at a glance; selecting a day shows its records and photos
+const AttendanceCalendar = () => {
+  const currentMonth = toDateString().slice(0, 7);
+  const [month, setMonth] = useState(currentMonth);
+  const [days, setDays] = useState({});
+  const [records, setRecords] = useState([]);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setSelectedDate(null);
+    loadMonth();
+  }, [month]);
+
+  const loadMonth = async () => {
+    const dates = getMonthDates(month);
+
+    try {
+      setLoading(true);
+      setError(null);
+      const [summaryResponse, historyResponse] = await Promise.all([
+        apiService.getMonthlySummary(month),
+        apiService.getDoctorHistory({
+          startDate: dates[0],
+          endDate: dates[dates.length - 1],
+          limit: HISTORY_LIMIT
+        })
+      ]);
+
+      if (summaryResponse.success) {
+        const byDate = {};
+        summaryResponse.data.days.forEach(day => {
+          byDate[day.date] = day;
+        });
+        setDays(byDate);
+      }
+
+      if (historyResponse.success) {
+        setRecords(historyResponse.data.records);
+      }
+    } catch (error) {
+      setError('Failed to load calendar: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const dates = getMonthDates(month);
+  // Blank cells before the 1st so the grid starts on Monday
+  const leadingBlanks = (new Date(`${month}-01T00:00:00Z`).getUTCDay() + 6) % 7;
+  const today = toDateString();
+  const selectedDay = selectedDate ? days[selectedDate] : null;
+  const selectedRecords = records
+    .filter(record => record.session_date === selectedDate)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Attendance Calendar</h2>
+          <p className="text-sm text-gray-500">Select a day to see its check-in and check-out times and photos.</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setMonth(addDays(`${month}-01`, -1).slice(0, 7))}
+            disabled={loading}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <input
+            type="month"
+            value={month}
+            max={currentMonth}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+          />
+          <button
+            onClick={() => setMonth(addDays(dates[dates.length - 1], 1).slice(0, 7))}
+            disabled={loading || month >= currentMonth}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      <div className={`grid grid-cols-7 gap-1 text-sm ${loading ? 'opacity-50' : ''}`}>
+        {WEEKDAYS.map(weekday => (
+          <div key={weekday} className="text-center text-xs font-medium text-gray-500 uppercase py-1">{weekday}</div>
+        ))}
+        {Array.from({ length: leadingBlanks }, (_, index) => (
+          <div key={`blank-${index}`} />
+        ))}
+        {dates.map(date => {
+          const status = getDayStatus(days[date]);
+          return (
+            <button
+              key={date}
+              onClick={() => setSelectedDate(date === selectedDate ? null : date)}
+              title={status ? DAY_STATUSES[status].label : undefined}
+              className={`h-16 rounded-lg border p-1 text-left align-top transition-colors ${
+                status ? DAY_STATUSES[status].style : 'bg-white text-gray-700 border-gray-200 hover:bg-gray-50'
+              } ${date === selectedDate ? 'ring-2 ring-royal-blue' : ''}`}
+            >
+              <span className={`font-medium ${date === today ? 'underline' : ''}`}>{Number(date.slice(8))}</span>
+              {status && (
+                <span className="hidden sm:block text-xs truncate">{DAY_STATUSES[status].label}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-gray-600">
+        {Object.entries(DAY_STATUSES).map(([status, { label, style }]) => (
+          <span key={status} className="flex items-center space-x-1">
+            <span className={`inline-block w-3 h-3 rounded border ${style}`} />
+            <span>{label}</span>
+          </span>
+        ))}
+      </div>
+
+      {selectedDate && (
+        <div className="mt-4 border-t border-gray-200 pt-4">
+          <h3 className="font-medium text-gray-900 mb-2">{formatDateOnly(selectedDate, { weekday: 'long' })}</h3>
+
+          {selectedDay && (selectedDay.holiday || selectedDay.leaveType || selectedDay.absent) && (
+            <p className="text-sm text-gray-600 mb-2">
+              {[
+                selectedDay.holiday && `Holiday: ${selectedDay.holiday}`,
+                selectedDay.leaveType && `Leave: ${selectedDay.leaveType}`,
+                selectedDay.absent && 'Absent from a scheduled shift'
+              ].filter(Boolean).join(', ')}
+            </p>
+          )}
+
+          {selectedRecords.length === 0 ? (
+            <p className="text-sm text-gray-500">No attendance recorded</p>
+          ) : (
+            <ul className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {selectedRecords.map(record => (
+                <li key={record.id} className="flex items-center space-x-3 border border-gray-200 rounded-lg p-3">
+                  {record.photo_path ? (
+                    <a href={apiService.getPhotoUrl(record.photo_path)} target="_blank" rel="noopener noreferrer">
+                      <img
+                        src={apiService.getPhotoUrl(record.photo_path)}
+                        alt={TYPE_LABELS[record.type]}
+                        className="h-16 w-16 rounded-lg object-cover hover:opacity-75"
+                      />
+                    </a>
+                  ) : (
+                    <div className="h-16 w-16 rounded-lg bg-gray-100 flex items-center justify-center text-xs text-gray-400">
+                      No photo
+                    </div>
+                  )}
+                  <div className="text-sm">
+                    <p className="font-medium text-gray-900">{TYPE_LABELS[record.type]}</p>
+                    <p className="text-gray-700">
+                      {toDateString(record.timestamp) === selectedDate
+                        ? formatTime(record.timestamp)
+                        : formatDateTime(record.timestamp)}
+                    </p>
+                    {RECORD_NOTES[record.source] && (
+                      <p className="text-xs text-gray-500">{RECORD_NOTES[record.source]}</p>
+                    )}
+                    {record.exception_status && (
+                      <p className="text-xs text-gray-500">Outside fence: {record.exception_status}</p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceCalendar;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime, formatDateOnly } from '../utils/dateTime';
+import { REQUEST_STATUS_STYLES } from './LeaveRequests';
+
+const STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+export const CORRECTION_TYPE_LABELS = {
+  checkin: 'Check In',
+  checkout: 'Check Out'
+};
+
+// Approval queue for missed check-ins/outs reported by doctors
+const AttendanceCorrections = () => {
+  const [corrections, setCorrections] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadCorrections();
+  }, [status]);
+
+  const loadCorrections = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getCorrections({ status });
+      if (response.success) {
+        setCorrections(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load corrections: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (correction, decision) => {
+    const event = `${CORRECTION_TYPE_LABELS[correction.type]} at ${formatDateTime(correction.proposed_time)}`;
+    let note = '';
+    if (decision === 'reject') {
+      note = window.prompt(`Reason for rejecting the ${event} of ${correction.doctor_name}:`);
+      if (!note) {
+        return;
+      }
+    } else if (!window.confirm(`Record ${event} for ${correction.doctor_name}?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.reviewCorrection(correction.id, decision, note);
+      if (response.success) {
+        setSuccess(response.message);
+        loadCorrections();
+      } else {
+        setError(response.message || 'Failed to review correction');
+      }
+    } catch (error) {
+      setError('Failed to review correction: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Attendance Corrections</h2>
+          <p className="text-sm text-gray-500">
+            Approving a correction records the missed check-in or check-out, marked as corrected.
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+          >
+            {STATUSES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-6 mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        {corrections.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {loading ? 'Loading...' : 'No correction requests'}
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Shift Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Missed Event</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {corrections.map(correction => (
+                <tr key={correction.id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{correction.doctor_name}</div>
+                    <div className="text-xs text-gray-500">{correction.department || correction.user_id}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDateOnly(correction.session_date)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    <div>{CORRECTION_TYPE_LABELS[correction.type]} at {formatDateTime(correction.proposed_time)}</div>
+                    <div className="text-xs text-gray-500">Submitted {formatDateTime(correction.created_at)}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500 max-w-xs">
+                    <div className="break-words">{correction.reason}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${REQUEST_STATUS_STYLES[correction.status]}`}>
+                      {correction.status}
+                    </span>
+                    {correction.review_note && (
+                      <div className="text-xs text-gray-500 mt-1">{correction.review_note}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                    {correction.status === 'pending' && (
+                      <>
+                        <button
+                          onClick={() => handleReview(correction, 'approve')}
+                          disabled={loading}
+                          className="text-green-600 hover:text-green-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleReview(correction, 'reject')}
+                          disabled={loading}
+                          className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AttendanceCorrections;
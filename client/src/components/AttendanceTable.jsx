@@ -1,9 +1,35 @@
 import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
 import { apiService } from '../services/api';
 import { validateSearchQuery, validateDateRange } from '../utils/validation';
+import { formatDateTime, formatDate, formatTime, formatDateOnly, toDateString } from '../utils/dateTime';
+import { OUTSIDE_FENCE_REASONS, formatDistance } from './GeofenceExceptions';
+
+export const TYPE_LABELS = {
+  checkin: 'Check In',
+  checkout: 'Check Out',
+  break_start: 'Break Start',
+  break_end: 'Break End'
+};
+
+const TYPE_STYLES = {
+  checkin: 'bg-green-100 text-green-800',
+  checkout: 'bg-blue-100 text-blue-800',
+  break_start: 'bg-yellow-100 text-yellow-800',
+  break_end: 'bg-yellow-100 text-yellow-800'
+};
+
+// Records not made on the check-in screen, with the note shown next to their type
+const SOURCE_NOTES = {
+  correction: { label: 'Corrected', title: 'Recorded from an approved correction request' },
+  auto: { label: 'Auto-closed', title: 'Check-out forgotten; closed by the server' }
+};
 
 const AttendanceTable = () => {
+  const { hasPermission } = useAuth();
+  const canDelete = hasPermission('attendance:delete');
   const [attendanceData, setAttendanceData] = useState([]);
+  const [leaveData, setLeaveData] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
@@ -47,6 +73,7 @@ const AttendanceTable = () => {
       
       if (response.success) {
         setAttendanceData(response.data.records);
+        setLeaveData(response.data.leave || []);
         setTotalPages(response.data.pagination.totalPages);
         setTotalRecords(response.data.pagination.total);
       } else {
@@ -68,7 +95,7 @@ const AttendanceTable = () => {
   };
 
   const handleDeleteAttendance = async (attendanceId, doctorName, type, timestamp) => {
-    const formattedDate = new Date(timestamp).toLocaleDateString();
+    const formattedDate = formatDate(timestamp);
     const confirmMessage = `Are you sure you want to delete the ${type} record for Dr. ${doctorName} on ${formattedDate}? This will allow the doctor to retake the photo.`;
     
     if (!window.confirm(confirmMessage)) {
@@ -106,7 +133,7 @@ const AttendanceTable = () => {
   };
 
   const generatePrintContent = () => {
-    const currentDate = new Date().toLocaleDateString();
+    const currentDate = formatDate(new Date());
     const filterInfo = [];
     
     if (filters.search) filterInfo.push(`Search: ${filters.search}`);
@@ -131,6 +158,8 @@ const AttendanceTable = () => {
             th { background-color: #f5f5f5; font-weight: bold; }
             .type-checkin { background-color: #dcfce7; color: #166534; }
             .type-checkout { background-color: #dbeafe; color: #1e40af; }
+            .type-break_start, .type-break_end { background-color: #fef3c7; color: #92400e; }
+            .source-note { font-size: 10px; font-style: italic; color: #6b7280; }
             .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #666; }
             @media print {
               body { margin: 0; }
@@ -157,6 +186,7 @@ const AttendanceTable = () => {
                 <th>Doctor ID</th>
                 <th>Type</th>
                 <th>Date & Time</th>
+                <th>Schedule</th>
                 <th>Location</th>
               </tr>
             </thead>
@@ -166,19 +196,49 @@ const AttendanceTable = () => {
                   <td>${record.doctor_name}</td>
                   <td>${record.user_id}</td>
                   <td class="type-${record.type}">
-                    ${record.type === 'checkin' ? 'Check In' : 'Check Out'}
+                    ${TYPE_LABELS[record.type] || record.type}
+                    ${SOURCE_NOTES[record.source] ? `<div class="source-note">${SOURCE_NOTES[record.source].label}</div>` : ''}
                   </td>
                   <td>${formatDateTime(record.timestamp)}</td>
+                  <td>${getScheduleNote(record) || '-'}</td>
                   <td>
                     ${record.location_lat && record.location_lng 
                       ? `${record.location_lat.toFixed(6)}, ${record.location_lng.toFixed(6)}`
                       : 'N/A'
                     }
+                    ${record.exception_status
+                      ? `<div class="source-note">Outside fence (${formatDistance(record.distance_m)}), ${record.exception_status}</div>`
+                      : ''
+                    }
                   </td>
                 </tr>
               `).join('')}
             </tbody>
           </table>
+
+          ${leaveData.length > 0 ? `
+            <h3>Approved Leave</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Doctor Name</th>
+                  <th>Doctor ID</th>
+                  <th>Leave</th>
+                  <th>Dates</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${leaveData.map(leave => `
+                  <tr>
+                    <td>${leave.doctor_name}</td>
+                    <td>${leave.user_id}</td>
+                    <td>${leave.leave_type}</td>
+                    <td>${formatLeaveDates(leave)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          ` : ''}
           
           <div class="footer">
             <p>Made by RVL - Sistem Absensi Dokter RSUTI</p>
@@ -188,29 +248,28 @@ const AttendanceTable = () => {
     `;
   };
 
-  const formatDateTime = (timestamp) => {
-    return new Date(timestamp).toLocaleString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  const formatLeaveDates = (leave) => {
+    return leave.start_date === leave.end_date
+      ? formatDateOnly(leave.start_date)
+      : `${formatDateOnly(leave.start_date)} - ${formatDateOnly(leave.end_date)}`;
   };
 
-  const formatDate = (timestamp) => {
-    return new Date(timestamp).toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
-    });
+  // Shift date of a record; a night shift check-out belongs to the day the shift started
+  const getShiftDate = (record) => {
+    return record.session_date || toDateString(record.timestamp);
   };
 
-  const formatTime = (timestamp) => {
-    return new Date(timestamp).toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+  // Whether the record happened on a later calendar day than its shift date
+  const isNextDay = (record) => {
+    return toDateString(record.timestamp) !== getShiftDate(record);
+  };
+
+  // Lateness of a check-in or early leave of a check-out against the scheduled shift
+  const getScheduleNote = (record) => {
+    if (!record.scheduled_start) return null;
+    if (record.minutes_late > 0) return `Late ${record.minutes_late} min`;
+    if (record.minutes_early > 0) return `Left ${record.minutes_early} min early`;
+    return 'On schedule';
   };
 
   const clearFilters = () => {
@@ -302,6 +361,20 @@ const AttendanceTable = () => {
         </div>
       )}
 
+      {/* Approved leave in the filtered period */}
+      {leaveData.length > 0 && (
+        <div className="mx-6 mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <h3 className="text-sm font-semibold text-blue-900 mb-2">Approved Leave</h3>
+          <ul className="text-sm text-blue-800 space-y-1">
+            {leaveData.map(leave => (
+              <li key={leave.id}>
+                {leave.doctor_name} ({leave.user_id}) - {leave.leave_type}, {formatLeaveDates(leave)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Table */}
       <div className="overflow-x-auto">
         {loading ? (
@@ -335,9 +408,11 @@ const AttendanceTable = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Location
                 </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Actions
-                </th>
+                {canDelete && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                )}
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
@@ -355,18 +430,34 @@ const AttendanceTable = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                      record.type === 'checkin' 
-                        ? 'bg-green-100 text-green-800' 
-                        : 'bg-blue-100 text-blue-800'
+                      TYPE_STYLES[record.type] || 'bg-gray-100 text-gray-800'
                     }`}>
-                      {record.type === 'checkin' ? 'Check In' : 'Check Out'}
+                      {TYPE_LABELS[record.type] || record.type}
                     </span>
+                    {SOURCE_NOTES[record.source] && (
+                      <div className="text-xs text-gray-500 italic mt-1" title={SOURCE_NOTES[record.source].title}>
+                        {SOURCE_NOTES[record.source].label}
+                        {record.source === 'auto' && !record.reviewed_at && ' (needs review)'}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {formatDate(record.timestamp)}
+                    {formatDateOnly(getShiftDate(record))}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                     {formatTime(record.timestamp)}
+                    {isNextDay(record) && (
+                      <span className="ml-1 text-xs text-gray-500">(+1 day)</span>
+                    )}
+                    {getScheduleNote(record) && (
+                      <div className={`text-xs ${
+                        record.minutes_late > 0 || record.minutes_early > 0 ? 'text-red-600' : 'text-gray-500'
+                      }`}>
+                        {getScheduleNote(record)}
+                        {' · '}
+                        {formatTime(record.type === 'checkin' ? record.scheduled_start : record.scheduled_end)}
+                      </div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     {record.photo_path && (
@@ -399,21 +490,31 @@ const AttendanceTable = () => {
                     ) : (
                       'N/A'
                     )}
+                    {record.exception_status && (
+                      <div
+                        className={`text-xs mt-1 ${record.exception_status === 'rejected' ? 'text-red-600' : 'text-yellow-700'}`}
+                        title={`${OUTSIDE_FENCE_REASONS[record.outside_reason] || record.outside_reason}: ${record.outside_note}`}
+                      >
+                        Outside fence ({formatDistance(record.distance_m)}), {record.exception_status}
+                      </div>
+                    )}
                   </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                    <button
-                      onClick={() => handleDeleteAttendance(
-                        record.id, 
-                        record.doctor_name, 
-                        record.type, 
-                        record.timestamp
-                      )}
-                      disabled={loading}
-                      className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      Delete
-                    </button>
-                  </td>
+                  {canDelete && (
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        onClick={() => handleDeleteAttendance(
+                          record.id, 
+                          record.doctor_name, 
+                          record.type, 
+                          record.timestamp
+                        )}
+                        disabled={loading}
+                        className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  )}
                 </tr>
               ))}
             </tbody>
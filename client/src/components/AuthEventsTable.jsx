@@ -0,0 +1,359 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime, toDateString } from '../utils/dateTime';
+import { saveBlob } from '../utils/download';
+
+const EVENT_LABELS = {
+  login: 'Login',
+  login_2fa: 'Login (2FA)',
+  login_oidc: 'Login (Hospital Account)',
+  logout: 'Logout',
+  password_change: 'Password Change',
+  password_reset: 'Password Reset',
+  refresh_token_reuse: 'Token Reuse',
+  two_factor_enabled: '2FA Enabled',
+  two_factor_disabled: '2FA Disabled',
+  account_deactivated: 'Account Deactivated',
+  account_reactivated: 'Account Reactivated',
+  account_purged: 'Account Purged',
+  api_key_created: 'API Key Created',
+  api_key_revoked: 'API Key Revoked',
+  security_settings_changed: 'Security Settings Changed'
+};
+
+const OUTCOME_STYLES = {
+  success: 'bg-green-100 text-green-800',
+  failure: 'bg-red-100 text-red-800',
+  blocked: 'bg-yellow-100 text-yellow-800'
+};
+
+const EMPTY_FILTERS = {
+  userId: '',
+  eventType: '',
+  outcome: '',
+  ip: '',
+  startDate: '',
+  endDate: ''
+};
+
+// Authentication audit log: logins, failed attempts, logouts and password changes
+const AuthEventsTable = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Pagination state
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalRecords, setTotalRecords] = useState(0);
+  const [recordsPerPage] = useState(20);
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+  useEffect(() => {
+    loadEvents();
+  }, [currentPage, filters]);
+
+  // Filters without empty values, as sent to the server
+  const getFilterParams = () => {
+    const params = { ...filters };
+    Object.keys(params).forEach(key => {
+      if (params[key] === '') {
+        delete params[key];
+      }
+    });
+    return params;
+  };
+
+  const loadEvents = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await apiService.getAuthEvents({
+        page: currentPage,
+        limit: recordsPerPage,
+        ...getFilterParams()
+      });
+
+      if (response.success) {
+        setEvents(response.data.records);
+        setTotalPages(response.data.pagination.totalPages);
+        setTotalRecords(response.data.pagination.total);
+      } else {
+        setError(response.message || 'Failed to load audit log');
+      }
+    } catch (error) {
+      setError('Failed to load audit log: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [field]: value
+    }));
+    setCurrentPage(1); // Reset to first page when filtering
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError(null);
+
+      const blob = await apiService.exportAuthEvents(getFilterParams());
+      saveBlob(blob, `auth-events-${toDateString()}.csv`);
+    } catch (error) {
+      setError('Failed to export audit log: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      {/* Header */}
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Audit Log</h2>
+            <p className="text-sm text-gray-500">
+              Sign-ins, failed attempts, sign-outs and password changes. Filter by IP to spot brute-force attempts, or by user to spot shared accounts.
+            </p>
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={exporting || totalRecords === 0}
+            className="bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="px-6 py-4 bg-gray-50 border-b border-gray-200">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              User ID
+            </label>
+            <input
+              type="text"
+              value={filters.userId}
+              onChange={(e) => handleFilterChange('userId', e.target.value)}
+              placeholder="Exact user ID"
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Event
+            </label>
+            <select
+              value={filters.eventType}
+              onChange={(e) => handleFilterChange('eventType', e.target.value)}
+              className={inputClassName}
+            >
+              <option value="">All events</option>
+              {Object.entries(EVENT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Outcome
+            </label>
+            <select
+              value={filters.outcome}
+              onChange={(e) => handleFilterChange('outcome', e.target.value)}
+              className={inputClassName}
+            >
+              <option value="">All outcomes</option>
+              <option value="success">Success</option>
+              <option value="failure">Failure</option>
+              <option value="blocked">Blocked</option>
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              IP Address
+            </label>
+            <input
+              type="text"
+              value={filters.ip}
+              onChange={(e) => handleFilterChange('ip', e.target.value)}
+              placeholder="Exact IP address"
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Start Date
+            </label>
+            <input
+              type="date"
+              value={filters.startDate}
+              onChange={(e) => handleFilterChange('startDate', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              End Date
+            </label>
+            <input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => handleFilterChange('endDate', e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+
+          <div className="flex items-end">
+            <button
+              onClick={() => {
+                setFilters(EMPTY_FILTERS);
+                setCurrentPage(1);
+              }}
+              className="w-full bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg font-medium transition-colors text-sm"
+            >
+              Clear Filters
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {/* Table */}
+      <div className="overflow-x-auto">
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-royal-blue mx-auto"></div>
+            <p className="mt-2 text-gray-600">Loading audit log...</p>
+          </div>
+        ) : events.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            No events found
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Time
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  User
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Event
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Outcome
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  IP Address
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Device
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {events.map((event) => (
+                <tr key={event.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDateTime(event.created_at)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">
+                      {event.user_name || 'Unknown user'}
+                    </div>
+                    <div className="text-sm text-gray-500">
+                      ID: {event.user_id || '-'}
+                    </div>
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="text-sm text-gray-900">
+                      {EVENT_LABELS[event.event_type] || event.event_type}
+                    </div>
+                    {event.detail && (
+                      <div className="text-xs text-gray-500">{event.detail}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${OUTCOME_STYLES[event.outcome]}`}>
+                      {event.outcome}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <button
+                      onClick={() => handleFilterChange('ip', event.ip_address || '')}
+                      className="hover:text-royal-blue"
+                      title="Show all events from this IP"
+                    >
+                      {event.ip_address || '-'}
+                    </button>
+                  </td>
+                  <td className="px-6 py-4 text-xs text-gray-500 max-w-xs truncate" title={event.user_agent || ''}>
+                    {event.user_agent || '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="px-6 py-4 border-t border-gray-200">
+          <div className="flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing {((currentPage - 1) * recordsPerPage) + 1} to {Math.min(currentPage * recordsPerPage, totalRecords)} of {totalRecords} events
+            </div>
+
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                disabled={currentPage === 1 || loading}
+                className="px-3 py-1 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-700">
+                Page {currentPage} of {totalPages}
+              </span>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                disabled={currentPage === totalPages || loading}
+                className="px-3 py-1 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuthEventsTable;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime, formatDateOnly, formatTime } from '../utils/dateTime';
+
+const STATUSES = [
+  { value: 'pending', label: 'Needs review' },
+  { value: 'reviewed', label: 'Reviewed' }
+];
+
+// Sessions the server closed because the doctor forgot to check out. The reviewer keeps
+// the automatic check-out time or sets the real one.
+const AutoClosedSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadSessions();
+  }, [status]);
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getAutoClosedSessions({ status });
+      if (response.success) {
+        setSessions(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load auto-closed sessions: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (session, setTime) => {
+    let checkoutTime = '';
+    if (setTime) {
+      checkoutTime = window.prompt(
+        `Real check-out time of ${session.doctor_name} (HH:MM, checked in ${formatDateTime(session.checkin_time)}):`,
+        formatTime(session.checkout_time, { hourCycle: 'h23' })
+      );
+      if (!checkoutTime) {
+        return;
+      }
+    } else if (!window.confirm(`Keep the check-out of ${session.doctor_name} at ${formatDateTime(session.checkout_time)}?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.reviewAutoClosedSession(session.id, checkoutTime.trim());
+      if (response.success) {
+        setSuccess(response.message);
+        loadSessions();
+      } else {
+        setError(response.message || 'Failed to review session');
+      }
+    } catch (error) {
+      setError('Failed to review session: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Auto-closed Sessions</h2>
+          <p className="text-sm text-gray-500">
+            Check-outs the doctor forgot, closed by the server at the scheduled shift end (or the last recorded activity).
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+          >
+            {STATUSES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-6 mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        {sessions.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {loading ? 'Loading...' : 'No auto-closed sessions'}
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Shift Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Check In</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Closed At</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Schedule</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {status === 'pending' ? 'Actions' : 'Reviewed'}
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {sessions.map(session => (
+                <tr key={session.id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{session.doctor_name}</div>
+                    <div className="text-xs text-gray-500">{session.department || session.user_id}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDateOnly(session.session_date)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDateTime(session.checkin_time)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDateTime(session.checkout_time)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {session.scheduled_start
+                      ? `${formatTime(session.scheduled_start)} - ${formatTime(session.scheduled_end)}`
+                      : 'Unscheduled'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                    {status === 'pending' ? (
+                      <>
+                        <button
+                          onClick={() => handleReview(session, false)}
+                          disabled={loading}
+                          className="text-green-600 hover:text-green-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Keep
+                        </button>
+                        <button
+                          onClick={() => handleReview(session, true)}
+                          disabled={loading}
+                          className="text-royal-blue hover:text-royal-blue-dark disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Set Time
+                        </button>
+                      </>
+                    ) : (
+                      <span className="font-normal text-gray-500">
+                        {session.reviewed_by_name || '-'}, {formatDateTime(session.reviewed_at)}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AutoClosedSessions;
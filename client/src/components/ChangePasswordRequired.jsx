@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import PasswordStrength from './PasswordStrength';
+import { validatePassword, validatePasswordMatch, formatErrorMessages } from '../utils/validation';
+
+// Mandatory password change shown after an admin set the password or when it expired.
+// Dashboards stay unreachable (and their API endpoints blocked) until this is done.
+const ChangePasswordRequired = () => {
+  const { user, loading, error, clearError, changePassword, logout, passwordPolicy } = useAuth();
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [formError, setFormError] = useState(null);
+
+  useEffect(() => {
+    clearError();
+  }, [clearError]);
+
+  if (!user) {
+    if (loading) {
+      return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-royal-blue"></div>
+        </div>
+      );
+    }
+    return <Navigate to="/login" replace />;
+  }
+
+  if (!user.mustChangePassword && !user.passwordExpired) {
+    const redirectPath = user.dashboard === 'admin' ? '/admin' : '/doctor';
+    return <Navigate to={redirectPath} replace />;
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    clearError();
+
+    const passwordValidation = validatePassword(formData.newPassword, passwordPolicy);
+    const matchValidation = validatePasswordMatch(formData.newPassword, formData.confirmPassword);
+    if (!passwordValidation.isValid || !matchValidation.isValid) {
+      setFormError(formatErrorMessages([...passwordValidation.errors, ...matchValidation.errors]));
+      return;
+    }
+
+    // On success the refreshed profile no longer requires a change and we redirect
+    await changePassword(formData.currentPassword, formData.newPassword);
+  };
+
+  const inputClassName = 'appearance-none relative block w-full px-3 py-3 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue focus:border-royal-blue sm:text-sm';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-royal-blue-light to-royal-blue-dark px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="bg-white rounded-2xl shadow-2xl p-8">
+          <div className="text-center mb-6">
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">
+              Change Your Password
+            </h2>
+            <p className="text-gray-600 text-sm">
+              {user.mustChangePassword
+                ? 'Your password was set by an administrator. Choose a new password only you know to continue.'
+                : 'Your password has expired. Choose a new password to continue.'}
+            </p>
+          </div>
+
+          {(formError || error) && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-700">{formError || error}</p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <div>
+              <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                Current Password
+              </label>
+              <input
+                id="currentPassword"
+                name="currentPassword"
+                type="password"
+                autoComplete="current-password"
+                required
+                value={formData.currentPassword}
+                onChange={handleInputChange}
+                className={inputClassName}
+                disabled={loading}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                New Password
+              </label>
+              <input
+                id="newPassword"
+                name="newPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={formData.newPassword}
+                onChange={handleInputChange}
+                className={inputClassName}
+                disabled={loading}
+              />
+              <PasswordStrength password={formData.newPassword} />
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                Confirm New Password
+              </label>
+              <input
+                id="confirmPassword"
+                name="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                value={formData.confirmPassword}
+                onChange={handleInputChange}
+                className={inputClassName}
+                disabled={loading}
+              />
+            </div>
+
+            <div className="space-y-3">
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-royal-blue hover:bg-royal-blue-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-royal-blue disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading ? 'Saving...' : 'Change Password'}
+              </button>
+              <button
+                type="button"
+                onClick={logout}
+                disabled={loading}
+                className="w-full text-sm text-gray-600 hover:text-gray-800"
+              >
+                Sign out
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordRequired;
@@ -1,10 +1,21 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { apiService } from '../services/api';
-import { validateCoordinates, validateFile } from '../utils/validation';
+import ActiveSessions from './ActiveSessions';
+import MyLeaveRequests from './MyLeaveRequests';
+import MyCorrections from './MyCorrections';
+import AttendanceCalendar from './AttendanceCalendar';
+import MonthlySummary from './MonthlySummary';
+import Notifications from './Notifications';
+import { OUTSIDE_FENCE_REASONS, formatDistance } from './GeofenceExceptions';
+import PasswordStrength from './PasswordStrength';
+import { validateCoordinates, validateFile, validatePassword, formatErrorMessages } from '../utils/validation';
+import { formatDate, formatTime, formatDateOnly, formatDuration } from '../utils/dateTime';
+
+const LONG_DATE = { weekday: 'long', month: 'long' };
 
 const DoctorDashboard = () => {
-  const { user, logout, changePassword } = useAuth();
+  const { user, logout, changePassword, passwordPolicy } = useAuth();
   const [status, setStatus] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -14,6 +25,8 @@ const DoctorDashboard = () => {
   const [attendanceType, setAttendanceType] = useState(null); // 'checkin' or 'checkout'
   const [location, setLocation] = useState(null);
   const [gettingLocation, setGettingLocation] = useState(false);
+  // Set once the server reports the doctor outside the geofence: the on-call reason and note
+  const [outsideFence, setOutsideFence] = useState(null);
   
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
@@ -179,18 +192,50 @@ const DoctorDashboard = () => {
         throw new Error(fileValidation.errors.join(', '));
       }
 
+      if (outsideFence && !outsideFence.note.trim()) {
+        throw new Error('Explain why you are recording attendance outside the hospital');
+      }
+
       // Submit attendance
       const response = attendanceType === 'checkin' 
-        ? await apiService.checkin(location.latitude, location.longitude, photo)
-        : await apiService.checkout(location.latitude, location.longitude, photo);
+        ? await apiService.checkin(location.latitude, location.longitude, photo, outsideFence)
+        : await apiService.checkout(location.latitude, location.longitude, photo, outsideFence);
 
       if (response.success) {
-        setSuccess(`${attendanceType === 'checkin' ? 'Check-in' : 'Check-out'} successful!`);
+        setSuccess(response.message || `${attendanceType === 'checkin' ? 'Check-in' : 'Check-out'} successful!`);
         await loadDoctorStatus(); // Refresh status
         handleCloseCamera();
       } else {
         throw new Error(response.message || 'Attendance submission failed');
       }
+    } catch (error) {
+      // Outside the geofence: offer to record it as an on-call exception instead
+      const geofence = error.data?.geofence;
+      if (error.status === 403 && geofence && !geofence.isWithin && !outsideFence) {
+        setOutsideFence({ distance: geofence.distance, reason: 'phone_consult', note: '' });
+      }
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBreak = async () => {
+    try {
+      setError(null);
+      setSuccess(null);
+      setLoading(true);
+
+      const response = status?.openSession?.onBreak
+        ? await apiService.endBreak()
+        : await apiService.startBreak();
+
+      if (response.success) {
+        setSuccess(response.message);
+        await loadDoctorStatus();
+      } else {
+        throw new Error(response.message || 'Break update failed');
+      }
     } catch (error) {
       setError(error.message);
     } finally {
@@ -203,6 +248,7 @@ const DoctorDashboard = () => {
     setShowCamera(false);
     setAttendanceType(null);
     setLocation(null);
+    setOutsideFence(null);
   };
 
   const handlePasswordChange = async (e) => {
@@ -215,8 +261,9 @@ const DoctorDashboard = () => {
       return;
     }
 
-    if (passwordForm.newPassword.length < 6) {
-      setError('New password must be at least 6 characters long');
+    const passwordValidation = validatePassword(passwordForm.newPassword, passwordPolicy);
+    if (!passwordValidation.isValid) {
+      setError(formatErrorMessages(passwordValidation.errors));
       return;
     }
 
@@ -234,24 +281,14 @@ const DoctorDashboard = () => {
     }
   };
 
-  const formatTime = (timestamp) => {
-    if (!timestamp) return 'Not recorded';
-    return new Date(timestamp).toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit'
-    });
+  const formatRecordTime = (timestamp) => {
+    return formatTime(timestamp, { second: '2-digit' }) || 'Not recorded';
   };
 
-  const formatDate = (timestamp) => {
-    if (!timestamp) return '';
-    return new Date(timestamp).toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-  };
+  // Today's sessions, preceded by a still-open session from an earlier shift date
+  const timeline = status?.openSession && !status.sessions?.some(session => session.id === status.openSession.id)
+    ? [status.openSession, ...status.sessions]
+    : status?.sessions || [];
 
   if (loading && !status) {
     return (
@@ -306,37 +343,129 @@ const DoctorDashboard = () => {
           </div>
         )}
 
+        <Notifications />
+
         {/* Today's Status */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">
-            Today's Attendance - {formatDate(new Date())}
+            Today's Attendance - {formatDate(new Date(), LONG_DATE)}
           </h2>
+
+          {status?.sessionDate && status.sessionDate !== status.date && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
+              Your shift from {formatDateOnly(status.sessionDate, LONG_DATE)} is still open. Check out to close it.
+            </p>
+          )}
+
+          {status?.leave && (
+            <p className="text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
+              You are on approved leave today ({status.leave.leave_type}).
+            </p>
+          )}
+
+          <p className="text-sm text-gray-600 mb-4">
+            {status?.schedules?.length > 0
+              ? `Scheduled: ${status.schedules
+                  .map(schedule => `${schedule.shiftName} (${formatTime(schedule.scheduledStart)} - ${formatTime(schedule.scheduledEnd)})`)
+                  .join(', ')}`
+              : 'No shift scheduled today'}
+          </p>
           
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
             <div className="bg-green-50 rounded-lg p-4">
-              <h3 className="font-medium text-green-800 mb-2">Check-in</h3>
+              <h3 className="font-medium text-green-800 mb-2">Sessions</h3>
               <p className="text-2xl font-bold text-green-900">
-                {formatTime(status?.status?.checkin?.timestamp)}
+                {status?.sessions?.length || 0}
+              </p>
+              <p className="text-sm text-green-700 mt-1">
+                {status?.openSession?.onBreak
+                  ? 'On a break'
+                  : status?.openSession ? 'Currently checked in' : 'Not checked in'}
               </p>
             </div>
-            
+
             <div className="bg-blue-50 rounded-lg p-4">
-              <h3 className="font-medium text-blue-800 mb-2">Check-out</h3>
+              <h3 className="font-medium text-blue-800 mb-2">Worked Today</h3>
               <p className="text-2xl font-bold text-blue-900">
-                {formatTime(status?.status?.checkout?.timestamp)}
+                {formatDuration(status?.totalWorkedMinutes)}
               </p>
+              {status?.totalBreakMinutes > 0 && (
+                <p className="text-sm text-blue-700 mt-1">
+                  Excluding {formatDuration(status.totalBreakMinutes)} of breaks
+                </p>
+              )}
             </div>
           </div>
+
+          {/* Session Timeline */}
+          {timeline.length === 0 ? (
+            <p className="text-sm text-gray-500">No check-in recorded today</p>
+          ) : (
+            <ol className="border-l-2 border-gray-200 ml-2 space-y-4">
+              {timeline.map(session => (
+                <li key={session.id} className="relative pl-6">
+                  <span
+                    className={`absolute -left-2 top-1 h-3.5 w-3.5 rounded-full border-2 border-white ${
+                      session.onBreak ? 'bg-yellow-500' : session.isOpen ? 'bg-green-500' : 'bg-gray-400'
+                    }`}
+                  />
+                  <div className="flex flex-wrap items-baseline justify-between gap-2">
+                    <p className="font-medium text-gray-900">
+                      {formatRecordTime(session.checkin.timestamp)}
+                      {' - '}
+                      {session.isOpen ? 'now' : formatRecordTime(session.checkout.timestamp)}
+                      {session.shiftName && (
+                        <span className="ml-2 text-sm font-normal text-gray-600">{session.shiftName}</span>
+                      )}
+                    </p>
+                    <span className={`text-sm ${session.isOpen ? 'text-green-700' : 'text-gray-600'}`}>
+                      {session.onBreak ? 'On break - ' : session.isOpen ? 'Open - ' : ''}{formatDuration(session.workedMinutes)}
+                    </span>
+                  </div>
+                  {session.breaks?.length > 0 && (
+                    <ul className="mt-1 text-sm text-yellow-800">
+                      {session.breaks.map(item => (
+                        <li key={item.start}>
+                          Break {formatTime(item.start)} - {item.end ? formatTime(item.end) : 'now'} ({formatDuration(item.minutes)})
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {(session.checkin.exception_status || session.checkout?.exception_status) && (
+                    <p className="text-sm text-yellow-800 mt-1">
+                      Outside the hospital: {[
+                        session.checkin.exception_status && `check-in ${session.checkin.exception_status}`,
+                        session.checkout?.exception_status && `check-out ${session.checkout.exception_status}`
+                      ].filter(Boolean).join(', ')}
+                    </p>
+                  )}
+                  {session.checkout?.source === 'auto' && (
+                    <p className="text-sm text-yellow-800 mt-1">
+                      Check-out not recorded; closed automatically
+                    </p>
+                  )}
+                  {(session.checkin.minutes_late > 0 || session.checkout?.minutes_early > 0) && (
+                    <p className="text-sm text-red-600 mt-1">
+                      {[
+                        session.checkin.minutes_late > 0 && `${session.checkin.minutes_late} minutes late`,
+                        session.checkout?.minutes_early > 0 && `${session.checkout.minutes_early} minutes early`
+                      ].filter(Boolean).join(', ')}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
         </div>
 
         {/* Attendance Actions */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-6">Attendance Actions</h2>
           
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <button
               onClick={() => handleAttendance('checkin')}
-              disabled={loading || gettingLocation || !!status?.status?.checkin}
+              disabled={loading || gettingLocation || !!status?.openSession || !!status?.leave}
               className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white py-4 px-6 rounded-lg font-medium transition-colors disabled:cursor-not-allowed"
             >
               {gettingLocation ? 'Getting Location...' : 'Check In'}
@@ -344,17 +473,50 @@ const DoctorDashboard = () => {
             
             <button
               onClick={() => handleAttendance('checkout')}
-              disabled={loading || gettingLocation || !status?.status?.checkin || !!status?.status?.checkout}
+              disabled={loading || gettingLocation || !status?.openSession}
               className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white py-4 px-6 rounded-lg font-medium transition-colors disabled:cursor-not-allowed"
             >
               {gettingLocation ? 'Getting Location...' : 'Check Out'}
             </button>
+
+            <button
+              onClick={handleBreak}
+              disabled={loading || gettingLocation || !status?.openSession}
+              className="bg-yellow-500 hover:bg-yellow-600 disabled:bg-gray-400 text-white py-4 px-6 rounded-lg font-medium transition-colors disabled:cursor-not-allowed"
+            >
+              {status?.openSession?.onBreak ? 'End Break' : 'Start Break'}
+            </button>
           </div>
           
           <p className="text-sm text-gray-600 mt-4">
-            Note: You must be within 500 meters of the authorized location to check in/out.
+            Note: You must be within 500 meters of the authorized location to check in/out. When on call away from the hospital, you can give a reason and the record waits for approval.
           </p>
         </div>
+
+        {/* Attendance Calendar */}
+        <div className="mt-8">
+          <AttendanceCalendar />
+        </div>
+
+        {/* Monthly Summary */}
+        <div className="mt-8">
+          <MonthlySummary />
+        </div>
+
+        {/* Leave */}
+        <div className="mt-8">
+          <MyLeaveRequests />
+        </div>
+
+        {/* Attendance Corrections */}
+        <div className="mt-8">
+          <MyCorrections />
+        </div>
+
+        {/* Active Devices */}
+        <div className="mt-8">
+          <ActiveSessions />
+        </div>
       </div>
 
       {/* Camera Modal */}
@@ -374,6 +536,32 @@ const DoctorDashboard = () => {
               />
               <canvas ref={canvasRef} className="hidden" />
             </div>
+
+            {outsideFence && (
+              <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg space-y-3">
+                <p className="text-sm text-yellow-800">
+                  You are {formatDistance(outsideFence.distance)} from the hospital. If you are on call (jaga),
+                  give a reason to record this {attendanceType === 'checkin' ? 'check-in' : 'check-out'} for approval.
+                </p>
+                <select
+                  value={outsideFence.reason}
+                  onChange={(e) => setOutsideFence(prev => ({ ...prev, reason: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+                >
+                  {Object.entries(OUTSIDE_FENCE_REASONS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <textarea
+                  value={outsideFence.note}
+                  onChange={(e) => setOutsideFence(prev => ({ ...prev, note: e.target.value }))}
+                  maxLength={255}
+                  rows={2}
+                  placeholder="e.g. Called by IGD for a consult on patient in bed 4"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+                />
+              </div>
+            )}
             
             <div className="flex space-x-4">
               <button
@@ -381,7 +569,7 @@ const DoctorDashboard = () => {
                 disabled={loading}
                 className="flex-1 bg-royal-blue hover:bg-royal-blue-dark text-white py-2 px-4 rounded-lg font-medium disabled:opacity-50"
               >
-                {loading ? 'Submitting...' : 'Capture & Submit'}
+                {loading ? 'Submitting...' : outsideFence ? 'Capture & Submit for Approval' : 'Capture & Submit'}
               </button>
               <button
                 onClick={handleCloseCamera}
@@ -426,6 +614,7 @@ const DoctorDashboard = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue"
                   required
                 />
+                <PasswordStrength password={passwordForm.newPassword} />
               </div>
               
               <div>
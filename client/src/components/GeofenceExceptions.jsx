@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime } from '../utils/dateTime';
+import { REQUEST_STATUS_STYLES } from './LeaveRequests';
+import { CORRECTION_TYPE_LABELS } from './AttendanceCorrections';
+
+const STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+export const OUTSIDE_FENCE_REASONS = {
+  phone_consult: 'Phone consult (on call from home)',
+  secondary_site: 'Working at a secondary site',
+  emergency_call: 'Emergency call-in, on the way',
+  other: 'Other'
+};
+
+// Distance from the hospital, e.g. "850 m" or "12.4 km"
+export const formatDistance = (meters) => {
+  if (meters === null || meters === undefined) return '-';
+  return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${meters} m`;
+};
+
+// Approval queue for on-call (jaga) check-ins and check-outs made outside the geofence
+const GeofenceExceptions = () => {
+  const [exceptions, setExceptions] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadExceptions();
+  }, [status]);
+
+  const loadExceptions = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getGeofenceExceptions({ status });
+      if (response.success) {
+        setExceptions(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load exceptions: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (record, decision) => {
+    const event = `${CORRECTION_TYPE_LABELS[record.type]} at ${formatDateTime(record.timestamp)}`;
+    let note = '';
+    if (decision === 'reject') {
+      note = window.prompt(`Reason for rejecting the ${event} of ${record.doctor_name}:`);
+      if (!note) {
+        return;
+      }
+    } else if (!window.confirm(`Approve the ${event} of ${record.doctor_name}, ${formatDistance(record.distance_m)} from the hospital?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.reviewGeofenceException(record.id, decision, note);
+      if (response.success) {
+        setSuccess(response.message);
+        loadExceptions();
+      } else {
+        setError(response.message || 'Failed to review exception');
+      }
+    } catch (error) {
+      setError('Failed to review exception: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Outside-Fence Attendance</h2>
+          <p className="text-sm text-gray-500">
+            Check-ins and check-outs made away from the hospital while on call, with the doctor's reason.
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+          >
+            {STATUSES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-6 mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        {exceptions.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {loading ? 'Loading...' : 'No outside-fence attendance'}
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {exceptions.map(record => (
+                <tr key={record.id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{record.doctor_name}</div>
+                    <div className="text-xs text-gray-500">{record.department || record.user_id}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    <div>{CORRECTION_TYPE_LABELS[record.type]}</div>
+                    <div className="text-xs text-gray-500">{formatDateTime(record.timestamp)}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    <div>{formatDistance(record.distance_m)} away</div>
+                    {record.location_lat && record.location_lng && (
+                      <div className="text-xs text-gray-500">
+                        {record.location_lat.toFixed(6)}, {record.location_lng.toFixed(6)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500 max-w-xs">
+                    <div className="font-medium text-gray-900">{OUTSIDE_FENCE_REASONS[record.outside_reason] || record.outside_reason}</div>
+                    <div className="break-words">{record.outside_note}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${REQUEST_STATUS_STYLES[record.exception_status]}`}>
+                      {record.exception_status}
+                    </span>
+                    {record.review_note && (
+                      <div className="text-xs text-gray-500 mt-1">{record.review_note}</div>
+                    )}
+                    {record.reviewed_by_name && (
+                      <div className="text-xs text-gray-500 mt-1">{record.reviewed_by_name}, {formatDateTime(record.reviewed_at)}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                    {record.exception_status === 'pending' && (
+                      <>
+                        <button
+                          onClick={() => handleReview(record, 'approve')}
+                          disabled={loading}
+                          className="text-green-600 hover:text-green-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleReview(record, 'reject')}
+                          disabled={loading}
+                          className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GeofenceExceptions;
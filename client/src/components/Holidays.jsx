@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateOnly, toDateString } from '../utils/dateTime';
+
+// Public holidays and hospital closures; shown on the doctors' attendance calendars and
+// never counted as absence
+const Holidays = ({ canManage }) => {
+  const [holidays, setHolidays] = useState([]);
+  const [year, setYear] = useState(toDateString().slice(0, 4));
+  const [form, setForm] = useState({ date: '', name: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    if (/^\d{4}$/.test(year)) {
+      loadHolidays();
+    }
+  }, [year]);
+
+  const loadHolidays = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getHolidays(year);
+      if (response.success) {
+        setHolidays(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load holidays: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    if (!form.date || !form.name.trim()) {
+      setError('Date and name are required');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.createHoliday(form.date, form.name.trim());
+      if (response.success) {
+        setSuccess(response.message);
+        setForm({ date: '', name: '' });
+        loadHolidays();
+      } else {
+        setError(response.message || 'Failed to add holiday');
+      }
+    } catch (error) {
+      setError('Failed to add holiday: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (holiday) => {
+    if (!window.confirm(`Remove the holiday ${holiday.name} on ${holiday.holiday_date}?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.deleteHoliday(holiday.id);
+      if (response.success) {
+        setSuccess(response.message);
+        loadHolidays();
+      } else {
+        setError(response.message || 'Failed to remove holiday');
+      }
+    } catch (error) {
+      setError('Failed to remove holiday: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Holidays</h2>
+          <p className="text-sm text-gray-500">
+            Days the hospital observes as holidays. A scheduled doctor without attendance on a holiday is not marked absent.
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Year</label>
+          <input
+            type="number"
+            min="2000"
+            max="2100"
+            value={year}
+            onChange={(e) => setYear(e.target.value)}
+            className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-6 mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      {canManage && (
+        <form onSubmit={handleAdd} className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+            <input
+              type="date"
+              value={form.date}
+              onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="e.g. Hari Raya Idul Fitri"
+              maxLength={100}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Add
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="overflow-x-auto">
+        {holidays.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {loading ? 'Loading...' : `No holidays in ${year}`}
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Added By</th>
+                {canManage && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {holidays.map(holiday => (
+                <tr key={holiday.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDateOnly(holiday.holiday_date, { weekday: 'short' })}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{holiday.name}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{holiday.created_by_name || '-'}</td>
+                  {canManage && (
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        onClick={() => handleDelete(holiday)}
+                        disabled={loading}
+                        className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Holidays;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime, formatDateOnly } from '../utils/dateTime';
+import { saveBlob } from '../utils/download';
+
+const STATUSES = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+export const REQUEST_STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+// Approval queue for leave requests (cuti, sick leave, conference leave)
+const LeaveRequests = () => {
+  const [requests, setRequests] = useState([]);
+  const [filters, setFilters] = useState({
+    status: 'pending',
+    startDate: '',
+    endDate: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadRequests();
+  }, [filters]);
+
+  const loadRequests = async () => {
+    try {
+      setLoading(true);
+      const params = { ...filters };
+      Object.keys(params).forEach(key => {
+        if (params[key] === '') {
+          delete params[key];
+        }
+      });
+
+      const response = await apiService.getLeaveRequests(params);
+      if (response.success) {
+        setRequests(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load leave requests: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = async (request, decision) => {
+    let note = '';
+    if (decision === 'reject') {
+      note = window.prompt(`Reason for rejecting the leave of ${request.doctor_name}:`);
+      if (!note) {
+        return;
+      }
+    } else if (!window.confirm(`Approve ${request.leave_type} for ${request.doctor_name} (${formatDateOnly(request.start_date)} - ${formatDateOnly(request.end_date)})?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.reviewLeaveRequest(request.id, decision, note);
+      if (response.success) {
+        setSuccess(response.message);
+        loadRequests();
+      } else {
+        setError(response.message || 'Failed to review leave request');
+      }
+    } catch (error) {
+      setError('Failed to review leave request: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownload = async (request) => {
+    try {
+      setError(null);
+      const blob = await apiService.getLeaveAttachment(request.id);
+      saveBlob(blob, `leave-${request.user_id}-${request.id}`);
+    } catch (error) {
+      setError('Failed to download attachment: ' + error.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900">Leave Requests</h2>
+        <p className="text-sm text-gray-500">
+          Approved leave blocks check-in on those days and is listed with the attendance history.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-6 mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+            className={inputClass}
+          >
+            {STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+          <input
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => setFilters(prev => ({ ...prev, startDate: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+          <input
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => setFilters(prev => ({ ...prev, endDate: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        {requests.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {loading ? 'Loading...' : 'No leave requests'}
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Leave</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {requests.map(request => (
+                <tr key={request.id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{request.doctor_name}</div>
+                    <div className="text-xs text-gray-500">{request.department || request.user_id}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    <div>{request.leave_type}</div>
+                    <div className="text-xs text-gray-500">Submitted {formatDateTime(request.created_at)}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {formatDateOnly(request.start_date)}
+                    {request.end_date !== request.start_date && ` - ${formatDateOnly(request.end_date)}`}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500 max-w-xs">
+                    <div className="break-words">{request.reason || '-'}</div>
+                    {request.has_attachment && (
+                      <button
+                        onClick={() => handleDownload(request)}
+                        className="text-xs text-royal-blue hover:text-royal-blue-dark font-medium"
+                      >
+                        Download attachment
+                      </button>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${REQUEST_STATUS_STYLES[request.status]}`}>
+                      {request.status}
+                    </span>
+                    {request.review_note && (
+                      <div className="text-xs text-gray-500 mt-1">{request.review_note}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                    {request.status === 'pending' && (
+                      <>
+                        <button
+                          onClick={() => handleReview(request, 'approve')}
+                          disabled={loading}
+                          className="text-green-600 hover:text-green-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Approve
+                        </button>
+                        <button
+                          onClick={() => handleReview(request, 'reject')}
+                          disabled={loading}
+                          className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeaveRequests;
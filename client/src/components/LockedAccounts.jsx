@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime } from '../utils/dateTime';
+
+const LockedAccounts = () => {
+  const [locks, setLocks] = useState({ accounts: [], ips: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadLocks();
+  }, []);
+
+  const loadLocks = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await apiService.getLockedAccounts();
+
+      if (response.success) {
+        setLocks(response.data);
+      } else {
+        setError(response.message || 'Failed to load locked accounts');
+      }
+    } catch (error) {
+      setError('Failed to load locked accounts: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUnlock = async (lock) => {
+    const label = lock.scope === 'account' ? `account ${lock.identifier}` : `IP address ${lock.identifier}`;
+    if (!window.confirm(`Unlock ${label}?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = lock.scope === 'account'
+        ? await apiService.unlockAccount(lock.identifier)
+        : await apiService.unlockIp(lock.identifier);
+
+      if (response.success) {
+        setSuccess(response.message);
+        loadLocks();
+      } else {
+        setError(response.message || 'Failed to unlock');
+      }
+    } catch (error) {
+      setError('Failed to unlock: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderTable = (rows, identifierLabel) => (
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50">
+        <tr>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            {identifierLabel}
+          </th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Failed Attempts
+          </th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Last Attempt
+          </th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Locked Until
+          </th>
+          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Actions
+          </th>
+        </tr>
+      </thead>
+      <tbody className="bg-white divide-y divide-gray-200">
+        {rows.map((lock) => (
+          <tr key={`${lock.scope}-${lock.identifier}`}>
+            <td className="px-6 py-4 whitespace-nowrap">
+              <div className="text-sm font-medium text-gray-900">{lock.identifier}</div>
+              {lock.user_name && (
+                <div className="text-sm text-gray-500">{lock.user_name}</div>
+              )}
+            </td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+              {lock.failed_count}
+            </td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+              {formatDateTime(lock.last_failed_at)}
+            </td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+              {formatDateTime(lock.locked_until)}
+            </td>
+            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+              <button
+                onClick={() => handleUnlock(lock)}
+                disabled={loading}
+                className="text-royal-blue hover:text-royal-blue-dark disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Unlock
+              </button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Error/Success Messages */}
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      {/* Locked Accounts */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
+          <h2 className="text-xl font-semibold text-gray-900">Locked Accounts</h2>
+          <button
+            onClick={loadLocks}
+            disabled={loading}
+            className="bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Refresh
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          {loading ? (
+            <div className="p-8 text-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-royal-blue mx-auto"></div>
+              <p className="mt-2 text-gray-600">Loading...</p>
+            </div>
+          ) : locks.accounts.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              No locked accounts
+            </div>
+          ) : (
+            renderTable(locks.accounts, 'Account')
+          )}
+        </div>
+      </div>
+
+      {/* Locked IP Addresses */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Locked IP Addresses</h3>
+        </div>
+        <div className="overflow-x-auto">
+          {!loading && locks.ips.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              No locked IP addresses
+            </div>
+          ) : (
+            !loading && renderTable(locks.ips, 'IP Address')
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LockedAccounts;
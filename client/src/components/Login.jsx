@@ -1,25 +1,74 @@
 import React, { useState, useEffect } from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+import ResetPasswordForm from './ResetPasswordForm';
 import { validateId, validatePassword } from '../utils/validation';
 
+// Reasons the server gives when a hospital account login is sent back to this page
+const OIDC_ERRORS = {
+  OIDC_DISABLED: 'Login with the hospital account is not available.',
+  OIDC_UNAVAILABLE: 'The hospital login service is unavailable. Please use your Doctor ID and password.',
+  OIDC_STATE_INVALID: 'The hospital login expired or was interrupted. Please try again.',
+  OIDC_DENIED: 'The hospital login was cancelled.',
+  OIDC_TOKEN_INVALID: 'The hospital login could not be verified. Please try again.',
+  OIDC_NO_ACCOUNT: 'Your hospital account is not registered in the attendance system. Please contact the administrator.',
+  ACCOUNT_INACTIVE: 'This account has been deactivated. Please contact the administrator.',
+  ACCOUNT_NOT_YET_VALID: 'This account is not active yet.',
+  ACCOUNT_EXPIRED: 'This account has expired. Please contact the administrator.'
+};
+
 const Login = () => {
-  const { login, loading, error, clearError, isAuthenticated, user } = useAuth();
+  const { login, verifyTwoFactor, loading, error, clearError, isAuthenticated, user } = useAuth();
   const [formData, setFormData] = useState({
     id: '',
     password: ''
   });
   const [formErrors, setFormErrors] = useState({});
   const [showPassword, setShowPassword] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [showReset, setShowReset] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [oidc, setOidc] = useState(null);
+  const [searchParams] = useSearchParams();
+  const oidcError = searchParams.get('oidcError');
 
   // Clear errors when component mounts
   useEffect(() => {
     clearError();
   }, [clearError]);
 
+  // A hospital account login for an account with 2FA comes back with a challenge in the
+  // URL fragment; ask for the authenticator code and drop the fragment from the address bar
+  useEffect(() => {
+    const match = window.location.hash.match(/^#twoFactorChallenge=([\w.-]+)$/);
+    if (match) {
+      setChallengeToken(match[1]);
+      setTwoFactorCode('');
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+  }, []);
+
+  useEffect(() => {
+    const loadOidcStatus = async () => {
+      try {
+        const response = await apiService.getOidcStatus();
+        if (response.success && response.data.enabled) {
+          setOidc(response.data);
+        }
+      } catch (error) {
+        // The local login keeps working without the identity provider
+        console.error('Failed to load OIDC status:', error);
+      }
+    };
+
+    loadOidcStatus();
+  }, []);
+
   // Redirect if already authenticated
   if (isAuthenticated) {
-    const redirectPath = user?.role === 'admin' ? '/admin' : '/doctor';
+    const redirectPath = user?.dashboard === 'admin' ? '/admin' : '/doctor';
     return <Navigate to={redirectPath} replace />;
   }
 
@@ -66,12 +115,47 @@ const Login = () => {
 
     const result = await login(formData.id.trim(), formData.password);
     
+    if (result.requiresTwoFactor) {
+      setChallengeToken(result.challengeToken);
+      setTwoFactorCode('');
+      return;
+    }
+
     if (!result.success) {
       // Error is handled by AuthContext
       console.error('Login failed:', result.message);
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    clearError();
+
+    if (!twoFactorCode.trim()) {
+      setFormErrors({ twoFactorCode: 'Verification code is required' });
+      return;
+    }
+
+    const result = await verifyTwoFactor(challengeToken, twoFactorCode.trim());
+
+    if (!result.success) {
+      console.error('Two-factor verification failed:', result.message);
+    }
+  };
+
+  const handleResetComplete = (message, id) => {
+    setShowReset(false);
+    setNotice(message);
+    setFormData({ id, password: '' });
+  };
+
+  const handleCancelTwoFactor = () => {
+    clearError();
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-royal-blue-light to-royal-blue-dark px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -101,81 +185,183 @@ const Login = () => {
             </div>
           )}
 
-          {/* Login Form */}
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="id" className="block text-sm font-medium text-gray-700 mb-2">
-                Doctor ID
-              </label>
-              <input
-                id="id"
-                name="id"
-                type="text"
-                required
-                value={formData.id}
-                onChange={handleInputChange}
-                className={`appearance-none relative block w-full px-3 py-3 border ${
-                  formErrors.id ? 'border-red-300' : 'border-gray-300'
-                } placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue focus:border-royal-blue focus:z-10 sm:text-sm transition-colors`}
-                placeholder="Enter your Doctor ID"
-                disabled={loading}
-              />
-              {formErrors.id && (
-                <p className="mt-1 text-sm text-red-600">{formErrors.id}</p>
-              )}
+          {oidcError && !error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-700">
+                {OIDC_ERRORS[oidcError] || 'The hospital login failed. Please try again.'}
+              </p>
+            </div>
+          )}
+
+          {notice && !error && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-sm text-green-700">{notice}</p>
             </div>
+          )}
+
+          {/* Password Reset With Code / Two-Factor Step */}
+          {showReset ? (
+            <ResetPasswordForm
+              onComplete={handleResetComplete}
+              onCancel={() => setShowReset(false)}
+            />
+          ) : challengeToken ? (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+                  Authentication Code
+                </label>
+                <input
+                  id="twoFactorCode"
+                  name="twoFactorCode"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={twoFactorCode}
+                  onChange={(e) => {
+                    setTwoFactorCode(e.target.value);
+                    setFormErrors({});
+                  }}
+                  className={`appearance-none relative block w-full px-3 py-3 border ${
+                    formErrors.twoFactorCode ? 'border-red-300' : 'border-gray-300'
+                  } placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue focus:border-royal-blue focus:z-10 sm:text-sm transition-colors`}
+                  placeholder="6-digit code or backup code"
+                  disabled={loading}
+                />
+                {formErrors.twoFactorCode && (
+                  <p className="mt-1 text-sm text-red-600">{formErrors.twoFactorCode}</p>
+                )}
+                <p className="mt-2 text-xs text-gray-500">
+                  Open your authenticator app, or enter one of your backup codes.
+                </p>
+              </div>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <div className="relative">
+              <div className="space-y-3">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-royal-blue hover:bg-royal-blue-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-royal-blue disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loading ? 'Verifying...' : 'Verify'}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleCancelTwoFactor}
+                  disabled={loading}
+                  className="w-full text-sm text-gray-600 hover:text-gray-800"
+                >
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="id" className="block text-sm font-medium text-gray-700 mb-2">
+                  Doctor ID
+                </label>
                 <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
+                  id="id"
+                  name="id"
+                  type="text"
                   required
-                  value={formData.password}
+                  value={formData.id}
                   onChange={handleInputChange}
-                  className={`appearance-none relative block w-full px-3 py-3 pr-10 border ${
-                    formErrors.password ? 'border-red-300' : 'border-gray-300'
+                  className={`appearance-none relative block w-full px-3 py-3 border ${
+                    formErrors.id ? 'border-red-300' : 'border-gray-300'
                   } placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue focus:border-royal-blue focus:z-10 sm:text-sm transition-colors`}
-                  placeholder="Enter your password"
+                  placeholder="Enter your Doctor ID"
                   disabled={loading}
                 />
+                {formErrors.id && (
+                  <p className="mt-1 text-sm text-red-600">{formErrors.id}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <div className="relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    required
+                    value={formData.password}
+                    onChange={handleInputChange}
+                    className={`appearance-none relative block w-full px-3 py-3 pr-10 border ${
+                      formErrors.password ? 'border-red-300' : 'border-gray-300'
+                    } placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue focus:border-royal-blue focus:z-10 sm:text-sm transition-colors`}
+                    placeholder="Enter your password"
+                    disabled={loading}
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                    disabled={loading}
+                  >
+                    <span className="text-gray-400 hover:text-gray-600 text-sm">
+                      {showPassword ? 'Hide' : 'Show'}
+                    </span>
+                  </button>
+                </div>
+                {formErrors.password && (
+                  <p className="mt-1 text-sm text-red-600">{formErrors.password}</p>
+                )}
+              </div>
+
+              <div>
                 <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
+                  type="submit"
                   disabled={loading}
+                  className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-royal-blue hover:bg-royal-blue-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-royal-blue disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                 >
-                  <span className="text-gray-400 hover:text-gray-600 text-sm">
-                    {showPassword ? 'Hide' : 'Show'}
-                  </span>
+                  {loading ? (
+                    <div className="flex items-center">
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                      Signing in...
+                    </div>
+                  ) : (
+                    'Sign in'
+                  )}
                 </button>
               </div>
-              {formErrors.password && (
-                <p className="mt-1 text-sm text-red-600">{formErrors.password}</p>
-              )}
-            </div>
 
-            <div>
-              <button
-                type="submit"
-                disabled={loading}
-                className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-royal-blue hover:bg-royal-blue-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-royal-blue disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-              >
-                {loading ? (
-                  <div className="flex items-center">
-                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                    Signing in...
+              {oidc && (
+                <div>
+                  <div className="flex items-center my-2">
+                    <div className="flex-grow border-t border-gray-200"></div>
+                    <span className="px-3 text-xs text-gray-500">or</span>
+                    <div className="flex-grow border-t border-gray-200"></div>
                   </div>
-                ) : (
-                  'Sign in'
-                )}
-              </button>
-            </div>
-          </form>
+                  <a
+                    href={apiService.getOidcLoginUrl()}
+                    className="w-full flex justify-center py-3 px-4 border border-royal-blue text-sm font-medium rounded-lg text-royal-blue bg-white hover:bg-blue-50 transition-colors"
+                  >
+                    {oidc.label}
+                  </a>
+                </div>
+              )}
+
+              <div className="text-center">
+                <button
+                  type="button"
+                  onClick={() => {
+                    clearError();
+                    setNotice(null);
+                    setShowReset(true);
+                  }}
+                  disabled={loading}
+                  className="text-sm text-royal-blue hover:text-royal-blue-dark"
+                >
+                  Forgot password? Use a reset code
+                </button>
+              </div>
+            </form>
+          )}
 
           {/* Help Text */}
           <div className="mt-6 text-center">
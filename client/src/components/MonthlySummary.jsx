@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateOnly, formatDuration, toDateString } from '../utils/dateTime';
+
+// The month is already shown by the picker
+const DAY_FORMAT = { weekday: 'short', year: undefined };
+
+// Doctor's own totals for a month, to check before payroll
+const MonthlySummary = () => {
+  const [month, setMonth] = useState(toDateString().slice(0, 7));
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (month) {
+      loadSummary();
+    }
+  }, [month]);
+
+  const loadSummary = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiService.getMonthlySummary(month);
+      if (response.success) {
+        setSummary(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load monthly summary: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cards = summary ? [
+    { label: 'Days Present', value: summary.daysPresent, style: 'bg-green-50 text-green-900' },
+    { label: 'Hours Worked', value: formatDuration(summary.totalWorkedMinutes), style: 'bg-blue-50 text-blue-900' },
+    {
+      label: 'Late Days',
+      value: summary.lateDays,
+      detail: summary.totalMinutesLate > 0 ? `${summary.totalMinutesLate} minutes in total` : null,
+      style: summary.lateDays > 0 ? 'bg-red-50 text-red-900' : 'bg-gray-50 text-gray-900'
+    },
+    {
+      label: 'Missing Check-outs',
+      value: summary.missingCheckouts,
+      style: summary.missingCheckouts > 0 ? 'bg-yellow-50 text-yellow-900' : 'bg-gray-50 text-gray-900'
+    },
+    { label: 'Leave Days', value: summary.leaveDays, style: 'bg-purple-50 text-purple-900' },
+    {
+      label: 'Absent Days',
+      value: summary.absentDays,
+      style: summary.absentDays > 0 ? 'bg-red-50 text-red-900' : 'bg-gray-50 text-gray-900'
+    }
+  ] : [];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Monthly Summary</h2>
+          <p className="text-sm text-gray-500">Check your numbers before payroll; report anything missing as a correction.</p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Month</label>
+          <input
+            type="month"
+            value={month}
+            max={toDateString().slice(0, 7)}
+            onChange={(e) => setMonth(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {!summary ? (
+        <p className="text-sm text-gray-500">{loading ? 'Loading...' : 'No summary available'}</p>
+      ) : (
+        <>
+          <div className={`grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-4 ${loading ? 'opacity-50' : ''}`}>
+            {cards.map(card => (
+              <div key={card.label} className={`rounded-lg p-4 ${card.style}`}>
+                <p className="text-sm font-medium">{card.label}</p>
+                <p className="text-2xl font-bold">{card.value}</p>
+                {card.detail && <p className="text-xs mt-1">{card.detail}</p>}
+              </div>
+            ))}
+          </div>
+
+          {summary.pendingExceptions > 0 && (
+            <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
+              {summary.pendingExceptions} session(s) recorded outside the hospital are still awaiting approval.
+            </p>
+          )}
+
+          {summary.days.length === 0 ? (
+            <p className="text-sm text-gray-500">No attendance, schedules or leave in this month</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sessions</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Worked</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Notes</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {summary.days.map(day => (
+                    <tr key={day.date}>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-900">{formatDateOnly(day.date, DAY_FORMAT)}</td>
+                      <td className="px-4 py-2 text-gray-900">{day.sessions || '-'}</td>
+                      <td className="px-4 py-2 text-gray-900">{day.sessions > 0 ? formatDuration(day.workedMinutes) : '-'}</td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {[
+                          day.holiday && `Holiday: ${day.holiday}`,
+                          day.leaveType && `Leave: ${day.leaveType}`,
+                          day.absent && 'Absent',
+                          day.minutesLate > 0 && `${day.minutesLate} minutes late`,
+                          day.missingCheckouts > 0 && `${day.missingCheckouts} missing check-out${day.missingCheckouts > 1 ? 's' : ''}`
+                        ].filter(Boolean).join(', ') || '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonthlySummary;
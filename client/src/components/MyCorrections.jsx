@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime, formatDateOnly, toDateString } from '../utils/dateTime';
+import { REQUEST_STATUS_STYLES } from './LeaveRequests';
+import { CORRECTION_TYPE_LABELS } from './AttendanceCorrections';
+
+const EMPTY_FORM = {
+  date: toDateString(),
+  type: 'checkout',
+  time: '',
+  reason: ''
+};
+
+// Doctor's requests to record a missed check-in or check-out
+const MyCorrections = () => {
+  const [corrections, setCorrections] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadCorrections();
+  }, []);
+
+  const loadCorrections = async () => {
+    try {
+      const response = await apiService.getMyCorrections();
+      if (response.success) {
+        setCorrections(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load corrections: ' + error.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!form.time) {
+      setError('Enter the time of the missed event');
+      return;
+    }
+
+    if (!form.reason.trim()) {
+      setError('Explain why the event was missed');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.createCorrection(form.date, form.type, form.time, form.reason);
+
+      if (response.success) {
+        setSuccess(response.message);
+        setForm({ ...EMPTY_FORM, date: toDateString() });
+        loadCorrections();
+      } else {
+        setError(response.message || 'Failed to submit correction');
+      }
+    } catch (error) {
+      setError('Failed to submit correction: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async (correction) => {
+    if (!window.confirm(`Cancel your ${CORRECTION_TYPE_LABELS[correction.type].toLowerCase()} correction?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.cancelCorrection(correction.id);
+      if (response.success) {
+        setSuccess(response.message);
+        loadCorrections();
+      } else {
+        setError(response.message || 'Failed to cancel correction');
+      }
+    } catch (error) {
+      setError('Failed to cancel correction: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">Attendance Corrections</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Forgot to check in or out? Report the time it happened and it is recorded once approved.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Shift Date</label>
+          <input
+            type="date"
+            value={form.date}
+            max={toDateString()}
+            onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Missed Event</label>
+          <select
+            value={form.type}
+            onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}
+            className={inputClass}
+          >
+            {Object.entries(CORRECTION_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Time</label>
+          <input
+            type="time"
+            value={form.time}
+            onChange={(e) => setForm(prev => ({ ...prev, time: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+
+        <div className="md:col-span-3">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+          <textarea
+            value={form.reason}
+            onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+            maxLength={500}
+            rows={2}
+            placeholder="e.g. Phone battery died before check-out"
+            className={inputClass}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            A check-out earlier than the check-in time is taken as the next morning (night shifts).
+          </p>
+        </div>
+
+        <div className="md:col-span-3">
+          <button
+            type="submit"
+            disabled={loading}
+            className="bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Request Correction
+          </button>
+        </div>
+      </form>
+
+      {corrections.length === 0 ? (
+        <p className="text-sm text-gray-500">No corrections requested yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {corrections.map(correction => (
+            <li key={correction.id} className="py-3 flex flex-wrap items-start justify-between gap-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {CORRECTION_TYPE_LABELS[correction.type]} at {formatDateTime(correction.proposed_time)}
+                </p>
+                <p className="text-xs text-gray-500">Shift of {formatDateOnly(correction.session_date)}</p>
+                <p className="text-sm text-gray-600">{correction.reason}</p>
+                {correction.review_note && <p className="text-xs text-gray-500">Note: {correction.review_note}</p>}
+              </div>
+              <div className="flex items-center space-x-3 text-sm">
+                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${REQUEST_STATUS_STYLES[correction.status]}`}>
+                  {correction.status}
+                </span>
+                {correction.status === 'pending' && (
+                  <button
+                    onClick={() => handleCancel(correction)}
+                    disabled={loading}
+                    className="text-red-600 hover:text-red-900 font-medium disabled:opacity-50"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MyCorrections;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateOnly, dateFromToday } from '../utils/dateTime';
+import { saveBlob } from '../utils/download';
+import { REQUEST_STATUS_STYLES } from './LeaveRequests';
+
+const EMPTY_FORM = {
+  leaveTypeId: '',
+  startDate: dateFromToday(1),
+  endDate: dateFromToday(1),
+  reason: '',
+  attachment: null
+};
+
+// Doctor's own leave requests and the form to request leave
+const MyLeaveRequests = () => {
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadLeaveTypes();
+    loadRequests();
+  }, []);
+
+  const loadLeaveTypes = async () => {
+    try {
+      const response = await apiService.getLeaveTypes();
+      if (response.success) {
+        setLeaveTypes(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load leave types: ' + error.message);
+    }
+  };
+
+  const loadRequests = async () => {
+    try {
+      const response = await apiService.getMyLeaveRequests();
+      if (response.success) {
+        setRequests(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load leave requests: ' + error.message);
+    }
+  };
+
+  const selectedType = leaveTypes.find(type => String(type.id) === String(form.leaveTypeId));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!form.leaveTypeId) {
+      setError('Choose a leave type');
+      return;
+    }
+
+    if (form.endDate < form.startDate) {
+      setError('End date must not be before start date');
+      return;
+    }
+
+    if (selectedType?.requiresAttachment && !form.attachment) {
+      setError(`${selectedType.name} requires a supporting document`);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.createLeaveRequest(
+        form.leaveTypeId,
+        form.startDate,
+        form.endDate,
+        form.reason,
+        form.attachment
+      );
+
+      if (response.success) {
+        setSuccess(response.message);
+        setForm(EMPTY_FORM);
+        setFileInputKey(key => key + 1);
+        loadRequests();
+      } else {
+        setError(response.message || 'Failed to submit leave request');
+      }
+    } catch (error) {
+      setError('Failed to submit leave request: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(`Cancel your ${request.leave_type} request?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.cancelLeaveRequest(request.id);
+      if (response.success) {
+        setSuccess(response.message);
+        loadRequests();
+      } else {
+        setError(response.message || 'Failed to cancel leave request');
+      }
+    } catch (error) {
+      setError('Failed to cancel leave request: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownload = async (request) => {
+    try {
+      setError(null);
+      const blob = await apiService.getMyLeaveAttachment(request.id);
+      saveBlob(blob, `leave-${request.id}`);
+    } catch (error) {
+      setError('Failed to download attachment: ' + error.message);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">Leave</h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Leave Type</label>
+          <select
+            value={form.leaveTypeId}
+            onChange={(e) => setForm(prev => ({ ...prev, leaveTypeId: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="">Select leave type</option>
+            {leaveTypes.map(type => (
+              <option key={type.id} value={type.id}>{type.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={form.startDate}
+            onChange={(e) => setForm(prev => ({ ...prev, startDate: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={form.endDate}
+            onChange={(e) => setForm(prev => ({ ...prev, endDate: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+          <textarea
+            value={form.reason}
+            onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+            maxLength={500}
+            rows={2}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Attachment {selectedType?.requiresAttachment ? '(required)' : '(optional)'}
+          </label>
+          <input
+            key={fileInputKey}
+            type="file"
+            accept="image/jpeg,image/png,application/pdf"
+            onChange={(e) => setForm(prev => ({ ...prev, attachment: e.target.files[0] || null }))}
+            className="w-full text-sm text-gray-700"
+          />
+          <p className="text-xs text-gray-500 mt-1">JPEG, PNG or PDF, max 5MB</p>
+        </div>
+
+        <div className="md:col-span-3">
+          <button
+            type="submit"
+            disabled={loading}
+            className="bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Request Leave
+          </button>
+        </div>
+      </form>
+
+      {requests.length === 0 ? (
+        <p className="text-sm text-gray-500">No leave requested yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {requests.map(request => (
+            <li key={request.id} className="py-3 flex flex-wrap items-start justify-between gap-2">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {request.leave_type}: {formatDateOnly(request.start_date)}
+                  {request.end_date !== request.start_date && ` - ${formatDateOnly(request.end_date)}`}
+                </p>
+                {request.reason && <p className="text-sm text-gray-600">{request.reason}</p>}
+                {request.review_note && <p className="text-xs text-gray-500">Note: {request.review_note}</p>}
+              </div>
+              <div className="flex items-center space-x-3 text-sm">
+                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${REQUEST_STATUS_STYLES[request.status]}`}>
+                  {request.status}
+                </span>
+                {request.has_attachment && (
+                  <button
+                    onClick={() => handleDownload(request)}
+                    className="text-royal-blue hover:text-royal-blue-dark font-medium"
+                  >
+                    Attachment
+                  </button>
+                )}
+                {request.status === 'pending' && (
+                  <button
+                    onClick={() => handleCancel(request)}
+                    disabled={loading}
+                    className="text-red-600 hover:text-red-900 font-medium disabled:opacity-50"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MyLeaveRequests;
@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatDateTime } from '../utils/dateTime';
+
+// Unread notifications of the signed-in doctor (e.g. a forgotten check-out that the
+// server closed), dismissed one by one or all at once
+const Notifications = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadNotifications();
+  }, []);
+
+  const loadNotifications = async () => {
+    try {
+      const response = await apiService.getNotifications();
+      if (response.success) {
+        setNotifications(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load notifications: ' + error.message);
+    }
+  };
+
+  const handleDismiss = async (notification) => {
+    try {
+      setError(null);
+      await apiService.markNotificationRead(notification.id);
+      setNotifications(prev => prev.filter(item => item.id !== notification.id));
+    } catch (error) {
+      setError('Failed to dismiss notification: ' + error.message);
+    }
+  };
+
+  const handleDismissAll = async () => {
+    try {
+      setError(null);
+      await apiService.markAllNotificationsRead();
+      setNotifications([]);
+    } catch (error) {
+      setError('Failed to dismiss notifications: ' + error.message);
+    }
+  };
+
+  if (notifications.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-medium text-yellow-900">Notifications</h2>
+        {notifications.length > 1 && (
+          <button
+            onClick={handleDismissAll}
+            className="text-sm text-yellow-800 hover:text-yellow-900 font-medium"
+          >
+            Dismiss all
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-700 mb-2">{error}</p>}
+
+      <ul className="space-y-2">
+        {notifications.map(notification => (
+          <li key={notification.id} className="flex items-start justify-between gap-4 text-sm">
+            <div>
+              <p className="text-yellow-900">{notification.message}</p>
+              <p className="text-xs text-yellow-700">{formatDateTime(notification.created_at)}</p>
+            </div>
+            <button
+              onClick={() => handleDismiss(notification)}
+              className="text-yellow-800 hover:text-yellow-900 font-medium whitespace-nowrap"
+            >
+              Dismiss
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Notifications;
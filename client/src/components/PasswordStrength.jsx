@@ -0,0 +1,57 @@
+import React from 'react';
+import { useAuth } from '../context/AuthContext';
+import { getPasswordChecks, getPasswordStrength } from '../utils/validation';
+
+const STRENGTH_LEVELS = [
+  { label: '', color: 'bg-gray-200' },
+  { label: 'Weak', color: 'bg-red-500' },
+  { label: 'Fair', color: 'bg-yellow-500' },
+  { label: 'Good', color: 'bg-blue-500' },
+  { label: 'Strong', color: 'bg-green-500' }
+];
+
+// Live feedback for a new password, using the same rules the server enforces
+const PasswordStrength = ({ password }) => {
+  const { passwordPolicy } = useAuth();
+
+  if (!passwordPolicy || !password) {
+    return null;
+  }
+
+  const checks = getPasswordChecks(password, passwordPolicy);
+  const strength = getPasswordStrength(password, passwordPolicy);
+  const level = STRENGTH_LEVELS[strength];
+
+  return (
+    <div className="mt-2">
+      <div className="flex items-center space-x-2">
+        <div className="flex-1 flex space-x-1">
+          {[1, 2, 3, 4].map(step => (
+            <div
+              key={step}
+              className={`h-1.5 flex-1 rounded ${step <= strength ? level.color : 'bg-gray-200'}`}
+            />
+          ))}
+        </div>
+        <span className="text-xs text-gray-600 w-12 text-right">{level.label}</span>
+      </div>
+      <ul className="mt-2 space-y-0.5">
+        {checks.map(check => (
+          <li
+            key={check.label}
+            className={`text-xs ${check.passed ? 'text-green-700' : 'text-gray-500'}`}
+          >
+            {check.passed ? '✓' : '○'} {check.label}
+          </li>
+        ))}
+      </ul>
+      {passwordPolicy.historyCount > 0 && (
+        <p className="mt-1 text-xs text-gray-500">
+          Your last {passwordPolicy.historyCount} passwords cannot be reused.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PasswordStrength;
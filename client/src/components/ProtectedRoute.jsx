@@ -22,10 +22,15 @@ const ProtectedRoute = ({ children, requiredRole }) => {
     return <Navigate to="/login" replace />;
   }
 
+  // Send users who must pick a new password to the mandatory change screen
+  if (user?.mustChangePassword || user?.passwordExpired) {
+    return <Navigate to="/change-password" replace />;
+  }
+
   // Check role-based access
-  if (requiredRole && user?.role !== requiredRole) {
-    // Redirect based on user's actual role
-    const redirectPath = user?.role === 'admin' ? '/admin' : '/doctor';
+  if (requiredRole && user?.dashboard !== requiredRole) {
+    // Redirect based on the dashboard of the user's actual role
+    const redirectPath = user?.dashboard === 'admin' ? '/admin' : '/doctor';
     return <Navigate to={redirectPath} replace />;
   }
 
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { formatDateTime } from '../utils/dateTime';
+
+// Shows a freshly issued password reset code once, ready to print or share
+const ResetCodeSlip = ({ resetCode, onClose }) => {
+  const [copied, setCopied] = useState(false);
+
+  const expiresAt = formatDateTime(resetCode.expiresAt);
+
+  const shareText = [
+    `Password reset code for Dr. ${resetCode.doctorName} (ID ${resetCode.doctorId}): ${resetCode.code}`,
+    `Valid until ${expiresAt}, single use.`,
+    'Open the login page, choose "Forgot password? Use a reset code" and set a new password.'
+  ].join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareText);
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+      <html>
+        <head><title>Password Reset Code</title></head>
+        <body style="font-family: Arial, sans-serif; margin: 20px;">
+          <h2>RSUTI - Password Reset</h2>
+          <p>Doctor: <strong>Dr. ${resetCode.doctorName}</strong> (ID ${resetCode.doctorId})</p>
+          <p style="font-family: monospace; font-size: 28px; letter-spacing: 2px;">${resetCode.code}</p>
+          <p>Valid until ${expiresAt}. The code can be used once.</p>
+          <p>On the login page choose "Forgot password? Use a reset code" and set a new password.</p>
+        </body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    printWindow.close();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-md w-full">
+        <h3 className="text-lg font-semibold mb-4">
+          Reset Code for Dr. {resetCode.doctorName}
+        </h3>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Give this code to the doctor. It is shown only once, works a single time and expires on {expiresAt}.
+        </p>
+
+        <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg text-center">
+          <span className="font-mono text-2xl tracking-widest text-gray-900">{resetCode.code}</span>
+        </div>
+
+        <div className="flex space-x-4">
+          <button
+            onClick={handlePrint}
+            className="flex-1 bg-royal-blue hover:bg-royal-blue-dark text-white py-2 px-4 rounded-lg font-medium"
+          >
+            Print slip
+          </button>
+          <button
+            onClick={handleCopy}
+            className="flex-1 bg-royal-blue hover:bg-royal-blue-dark text-white py-2 px-4 rounded-lg font-medium"
+          >
+            {copied ? 'Copied' : 'Copy text'}
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg font-medium"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetCodeSlip;
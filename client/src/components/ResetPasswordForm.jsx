@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+import PasswordStrength from './PasswordStrength';
+import { validateId, validatePassword, validatePasswordMatch, formatErrorMessages } from '../utils/validation';
+
+// "Reset password with code" step of the login page; codes are issued by an admin
+const ResetPasswordForm = ({ onComplete, onCancel }) => {
+  const { passwordPolicy } = useAuth();
+  const [formData, setFormData] = useState({
+    id: '',
+    code: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const idValidation = validateId(formData.id);
+    const passwordValidation = validatePassword(formData.newPassword, passwordPolicy);
+    const matchValidation = validatePasswordMatch(formData.newPassword, formData.confirmPassword);
+    const errors = [...idValidation.errors, ...passwordValidation.errors, ...matchValidation.errors];
+    if (!formData.code.trim()) {
+      errors.push('Reset code is required');
+    }
+
+    if (errors.length > 0) {
+      setError(formatErrorMessages(errors));
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.resetPasswordWithCode(
+        formData.id.trim(),
+        formData.code.trim(),
+        formData.newPassword
+      );
+      if (response.success) {
+        onComplete(response.message, formData.id.trim());
+      } else {
+        setError(response.message);
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = 'appearance-none relative block w-full px-3 py-3 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue focus:border-royal-blue sm:text-sm';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      <p className="text-sm text-gray-600">
+        Enter the reset code you received from an administrator and choose a new password.
+      </p>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="resetId" className="block text-sm font-medium text-gray-700 mb-2">
+          Doctor ID
+        </label>
+        <input
+          id="resetId"
+          name="id"
+          type="text"
+          required
+          value={formData.id}
+          onChange={handleInputChange}
+          className={inputClassName}
+          placeholder="Enter your Doctor ID"
+          disabled={loading}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="resetCode" className="block text-sm font-medium text-gray-700 mb-2">
+          Reset Code
+        </label>
+        <input
+          id="resetCode"
+          name="code"
+          type="text"
+          autoComplete="off"
+          required
+          value={formData.code}
+          onChange={handleInputChange}
+          className={`${inputClassName} font-mono uppercase`}
+          placeholder="XXXX-XXXX-XXXX"
+          disabled={loading}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="resetNewPassword" className="block text-sm font-medium text-gray-700 mb-2">
+          New Password
+        </label>
+        <input
+          id="resetNewPassword"
+          name="newPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          value={formData.newPassword}
+          onChange={handleInputChange}
+          className={inputClassName}
+          disabled={loading}
+        />
+        <PasswordStrength password={formData.newPassword} />
+      </div>
+
+      <div>
+        <label htmlFor="resetConfirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
+          Confirm New Password
+        </label>
+        <input
+          id="resetConfirmPassword"
+          name="confirmPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          value={formData.confirmPassword}
+          onChange={handleInputChange}
+          className={inputClassName}
+          disabled={loading}
+        />
+      </div>
+
+      <div className="space-y-3">
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-royal-blue hover:bg-royal-blue-dark focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-royal-blue disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {loading ? 'Resetting...' : 'Reset Password'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={loading}
+          className="w-full text-sm text-gray-600 hover:text-gray-800"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ResetPasswordForm;
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+
+const SecuritySettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadSettings();
+  }, []);
+
+  const loadSettings = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getSecuritySettings();
+      if (response.success) {
+        setSettings(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load security settings: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = async (key) => {
+    const update = { [key]: !settings[key] };
+    setError(null);
+    setSuccess(null);
+
+    if (key === 'trustOidcMfa' && update.trustOidcMfa && !window.confirm(
+      'Hospital account logins will skip the authenticator code, 2FA enrollment and password expiry. Only turn this on if the identity provider enforces MFA. Continue?'
+    )) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.updateSecuritySettings(update);
+      if (response.success) {
+        setSettings(prev => ({ ...prev, ...update }));
+        setSuccess(response.message);
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">Security Settings</h2>
+
+      {/* Error/Success Messages */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      {settings && (
+        <div className="space-y-4">
+          <label className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-900">Require two-factor authentication for admins</p>
+              <p className="text-xs text-gray-500">
+                Admin accounts without 2FA must enroll before they can use the dashboard.
+              </p>
+            </div>
+            <input
+              type="checkbox"
+              checked={settings.requireAdmin2fa}
+              onChange={() => handleToggle('requireAdmin2fa')}
+              disabled={loading}
+              className="h-5 w-5 text-royal-blue rounded"
+            />
+          </label>
+
+          <label className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-900">Trust the hospital identity provider's MFA</p>
+              <p className="text-xs text-gray-500">
+                Hospital account logins skip the authenticator code, 2FA enrollment and password expiry. Leave off unless the identity provider enforces MFA.
+              </p>
+            </div>
+            <input
+              type="checkbox"
+              checked={settings.trustOidcMfa}
+              onChange={() => handleToggle('trustOidcMfa')}
+              disabled={loading}
+              className="h-5 w-5 text-royal-blue rounded"
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SecuritySettings;
@@ -0,0 +1,547 @@
+import React, { useState, useEffect } from 'react';
+import { apiService } from '../services/api';
+import { formatTime, dateFromToday } from '../utils/dateTime';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_TEMPLATE = {
+  code: '',
+  name: '',
+  startTime: '',
+  endTime: '',
+  lateGraceMinutes: 0,
+  isActive: true
+};
+
+// Shift templates and the doctor schedules assigned from them
+const ShiftSchedules = ({ canManage }) => {
+  const [templates, setTemplates] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [doctors, setDoctors] = useState([]);
+  const [filters, setFilters] = useState({
+    startDate: dateFromToday(0),
+    endDate: dateFromToday(6),
+    doctorId: ''
+  });
+  const [assignForm, setAssignForm] = useState({
+    doctorId: '',
+    shiftTemplateId: '',
+    startDate: dateFromToday(0),
+    endDate: dateFromToday(6),
+    weekdays: []
+  });
+  const [templateForm, setTemplateForm] = useState(EMPTY_TEMPLATE);
+  const [editingTemplateId, setEditingTemplateId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadTemplates();
+    loadDoctors();
+  }, []);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [filters]);
+
+  const loadTemplates = async () => {
+    try {
+      const response = await apiService.getShiftTemplates();
+      if (response.success) {
+        setTemplates(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load shift templates: ' + error.message);
+    }
+  };
+
+  const loadDoctors = async () => {
+    try {
+      const response = await apiService.getDoctors();
+      if (response.success) {
+        setDoctors(response.data.filter(doctor => doctor.status === 'active'));
+      }
+    } catch (error) {
+      setError('Failed to load doctors: ' + error.message);
+    }
+  };
+
+  const loadSchedules = async () => {
+    try {
+      setLoading(true);
+      const params = { ...filters };
+      Object.keys(params).forEach(key => {
+        if (params[key] === '') {
+          delete params[key];
+        }
+      });
+
+      const response = await apiService.getSchedules(params);
+      if (response.success) {
+        setSchedules(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load schedules: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleWeekday = (weekday) => {
+    setAssignForm(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(weekday)
+        ? prev.weekdays.filter(d => d !== weekday)
+        : [...prev.weekdays, weekday]
+    }));
+  };
+
+  const handleAssign = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (!assignForm.doctorId || !assignForm.shiftTemplateId) {
+      setError('Choose a doctor and a shift');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.assignSchedules(
+        assignForm.doctorId,
+        parseInt(assignForm.shiftTemplateId),
+        assignForm.startDate,
+        assignForm.endDate,
+        assignForm.weekdays
+      );
+
+      if (response.success) {
+        setSuccess(response.message);
+        loadSchedules();
+      } else {
+        setError(response.message || 'Failed to assign schedule');
+      }
+    } catch (error) {
+      setError('Failed to assign schedule: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteSchedule = async (schedule) => {
+    if (!window.confirm(`Remove the ${schedule.shift_name} shift of ${schedule.doctor_name} on ${schedule.schedule_date}?`)) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.deleteSchedule(schedule.id);
+      if (response.success) {
+        setSuccess(response.message);
+        loadSchedules();
+      } else {
+        setError(response.message || 'Failed to remove schedule');
+      }
+    } catch (error) {
+      setError('Failed to remove schedule: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditTemplate = (template) => {
+    setEditingTemplateId(template.id);
+    setTemplateForm({
+      code: template.code,
+      name: template.name,
+      startTime: template.start_time,
+      endTime: template.end_time,
+      lateGraceMinutes: template.late_grace_minutes,
+      isActive: !!template.is_active
+    });
+  };
+
+  const cancelEditTemplate = () => {
+    setEditingTemplateId(null);
+    setTemplateForm(EMPTY_TEMPLATE);
+  };
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    const template = {
+      ...templateForm,
+      lateGraceMinutes: parseInt(templateForm.lateGraceMinutes) || 0
+    };
+
+    try {
+      setLoading(true);
+      const response = editingTemplateId
+        ? await apiService.updateShiftTemplate(editingTemplateId, template)
+        : await apiService.createShiftTemplate(template);
+
+      if (response.success) {
+        setSuccess(response.message);
+        cancelEditTemplate();
+        loadTemplates();
+      } else {
+        setError(response.message || 'Failed to save shift template');
+      }
+    } catch (error) {
+      setError('Failed to save shift template: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue text-sm';
+  const activeTemplates = templates.filter(template => template.is_active);
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      {/* Schedules */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">Shift Schedules</h2>
+          <p className="text-sm text-gray-500">
+            Check-ins are matched to the doctor's scheduled shift to record minutes late and minutes early.
+          </p>
+        </div>
+
+        {canManage && (
+          <form onSubmit={handleAssign} className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Doctor</label>
+              <select
+                value={assignForm.doctorId}
+                onChange={(e) => setAssignForm(prev => ({ ...prev, doctorId: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Select doctor</option>
+                {doctors.map(doctor => (
+                  <option key={doctor.id} value={doctor.id}>{doctor.name} ({doctor.id})</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Shift</label>
+              <select
+                value={assignForm.shiftTemplateId}
+                onChange={(e) => setAssignForm(prev => ({ ...prev, shiftTemplateId: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Select shift</option>
+                {activeTemplates.map(template => (
+                  <option key={template.id} value={template.id}>
+                    {template.name} ({template.start_time}-{template.end_time})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input
+                type="date"
+                value={assignForm.startDate}
+                onChange={(e) => setAssignForm(prev => ({ ...prev, startDate: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <input
+                type="date"
+                value={assignForm.endDate}
+                onChange={(e) => setAssignForm(prev => ({ ...prev, endDate: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Assign Shift
+              </button>
+            </div>
+
+            <div className="md:col-span-5 flex flex-wrap items-center gap-3 text-sm text-gray-700">
+              <span>Only on:</span>
+              {WEEKDAYS.map((label, weekday) => (
+                <label key={label} className="flex items-center space-x-1">
+                  <input
+                    type="checkbox"
+                    checked={assignForm.weekdays.includes(weekday)}
+                    onChange={() => toggleWeekday(weekday)}
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+              <span className="text-xs text-gray-500">(none selected = every day)</span>
+            </div>
+          </form>
+        )}
+
+        {/* Filters */}
+        <div className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+            <input
+              type="date"
+              value={filters.startDate}
+              onChange={(e) => setFilters(prev => ({ ...prev, startDate: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+            <input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => setFilters(prev => ({ ...prev, endDate: e.target.value }))}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Doctor</label>
+            <select
+              value={filters.doctorId}
+              onChange={(e) => setFilters(prev => ({ ...prev, doctorId: e.target.value }))}
+              className={inputClass}
+            >
+              <option value="">All doctors</option>
+              {doctors.map(doctor => (
+                <option key={doctor.id} value={doctor.id}>{doctor.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          {schedules.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              {loading ? 'Loading...' : 'No schedules in this period'}
+            </div>
+          ) : (
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Doctor</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Shift</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Checked In</th>
+                  {canManage && (
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {schedules.map(schedule => (
+                  <tr key={schedule.id}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{schedule.schedule_date}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{schedule.doctor_name}</div>
+                      <div className="text-xs text-gray-500">{schedule.department || schedule.user_id}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      <div className="text-gray-900">{schedule.shift_name}</div>
+                      <div className="text-xs">
+                        {schedule.start_time}-{schedule.end_time}
+                        {schedule.end_time <= schedule.start_time && ' (+1 day)'}
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {formatTime(schedule.checkin_time) || '-'}
+                    </td>
+                    {canManage && (
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        {!schedule.checkin_time && (
+                          <button
+                            onClick={() => handleDeleteSchedule(schedule)}
+                            disabled={loading}
+                            className="text-red-600 hover:text-red-900 disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+
+      {/* Shift Templates */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">Shift Templates</h2>
+          <p className="text-sm text-gray-500">
+            A shift that ends at or before its start time ends the next day. Editing a template does not change schedules already assigned.
+          </p>
+        </div>
+
+        {canManage && (
+          <form onSubmit={handleSaveTemplate} className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-7 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+              <input
+                type="text"
+                value={templateForm.code}
+                onChange={(e) => setTemplateForm(prev => ({ ...prev, code: e.target.value }))}
+                placeholder="e.g. malam"
+                maxLength={20}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={templateForm.name}
+                onChange={(e) => setTemplateForm(prev => ({ ...prev, name: e.target.value }))}
+                maxLength={100}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Start</label>
+              <input
+                type="time"
+                value={templateForm.startTime}
+                onChange={(e) => setTemplateForm(prev => ({ ...prev, startTime: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">End</label>
+              <input
+                type="time"
+                value={templateForm.endTime}
+                onChange={(e) => setTemplateForm(prev => ({ ...prev, endTime: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Grace (min)</label>
+              <input
+                type="number"
+                min="0"
+                max="120"
+                value={templateForm.lateGraceMinutes}
+                onChange={(e) => setTemplateForm(prev => ({ ...prev, lateGraceMinutes: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700 py-2">
+                <input
+                  type="checkbox"
+                  checked={templateForm.isActive}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, isActive: e.target.checked }))}
+                />
+                <span>Active</span>
+              </label>
+            </div>
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={loading}
+                className="flex-1 bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {editingTemplateId ? 'Save' : 'Add'}
+              </button>
+              {editingTemplateId && (
+                <button
+                  type="button"
+                  onClick={cancelEditTemplate}
+                  className="flex-1 bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg font-medium"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </form>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Shift</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Hours</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Grace</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                {canManage && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {templates.map(template => (
+                <tr key={template.id}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{template.name}</div>
+                    <div className="text-xs text-gray-500 font-mono">{template.code}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {template.start_time}-{template.end_time}
+                    {template.end_time <= template.start_time && ' (+1 day)'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {template.late_grace_minutes} min
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+                      template.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                    }`}>
+                      {template.is_active ? 'Active' : 'Retired'}
+                    </span>
+                  </td>
+                  {canManage && (
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <button
+                        onClick={() => startEditTemplate(template)}
+                        className="text-royal-blue hover:text-royal-blue-dark"
+                      >
+                        Edit
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftSchedules;
@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+
+const TwoFactorSettings = () => {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setupData, setSetupData] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getTwoFactorStatus();
+      if (response.success) {
+        setStatus(response.data);
+      }
+    } catch (error) {
+      setError('Failed to load two-factor status: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetMessages = () => {
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleStartSetup = async () => {
+    resetMessages();
+    try {
+      setLoading(true);
+      const response = await apiService.setupTwoFactor();
+      if (response.success) {
+        setSetupData(response.data);
+        setCode('');
+      }
+    } catch (error) {
+      setError('Failed to start setup: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    resetMessages();
+    try {
+      setLoading(true);
+      const response = await apiService.enableTwoFactor(code.trim());
+      if (response.success) {
+        setSuccess(response.message);
+        setBackupCodes(response.data.backupCodes);
+        setSetupData(null);
+        setCode('');
+        await loadStatus();
+        await refreshUser();
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    resetMessages();
+    if (!window.confirm('Disable two-factor authentication for your account?')) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.disableTwoFactor(password, code.trim());
+      if (response.success) {
+        setSuccess(response.message);
+        setBackupCodes(null);
+        setPassword('');
+        setCode('');
+        await loadStatus();
+        await refreshUser();
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegenerateCodes = async () => {
+    resetMessages();
+    if (!code.trim()) {
+      setError('Enter a current authentication code to generate new backup codes');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await apiService.regenerateBackupCodes(code.trim());
+      if (response.success) {
+        setSuccess(response.message);
+        setBackupCodes(response.data.backupCodes);
+        setCode('');
+        await loadStatus();
+      }
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePrintCodes = () => {
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+      <html>
+        <head><title>Backup Codes</title></head>
+        <body style="font-family: Arial, sans-serif; margin: 20px;">
+          <h2>RSUTI - Two-Factor Backup Codes</h2>
+          <p>Each code can be used once. Keep them somewhere safe.</p>
+          <ul style="font-family: monospace; font-size: 18px;">
+            ${backupCodes.map(backupCode => `<li>${backupCode}</li>`).join('')}
+          </ul>
+        </body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    printWindow.close();
+  };
+
+  const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-royal-blue';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Two-Factor Authentication</h2>
+        {status && (
+          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
+            status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+          }`}>
+            {status.enabled ? 'Enabled' : 'Disabled'}
+          </span>
+        )}
+      </div>
+
+      {status?.setupRequired && (
+        <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-yellow-800 text-sm">
+            Two-factor authentication is required for admin accounts. Set it up to continue using the dashboard.
+          </p>
+        </div>
+      )}
+
+      {/* Error/Success Messages */}
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      {/* Backup codes are only shown once, right after they are generated */}
+      {backupCodes && (
+        <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+          <p className="text-sm text-gray-700 mb-3">
+            Save these backup codes. Each can be used once if you lose access to your authenticator app.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm mb-3">
+            {backupCodes.map(backupCode => (
+              <span key={backupCode}>{backupCode}</span>
+            ))}
+          </div>
+          <button
+            onClick={handlePrintCodes}
+            className="text-royal-blue hover:text-royal-blue-dark font-medium text-sm"
+          >
+            Print codes
+          </button>
+        </div>
+      )}
+
+      {status && !status.enabled && !setupData && (
+        <div>
+          <p className="text-sm text-gray-600 mb-4">
+            Protect your admin account with a time-based code from an authenticator app (Google Authenticator, Microsoft Authenticator, Authy).
+          </p>
+          <button
+            onClick={handleStartSetup}
+            disabled={loading}
+            className="bg-royal-blue hover:bg-royal-blue-dark text-white px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50"
+          >
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+
+      {setupData && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setupData.qrCode} alt="Two-factor QR code" className="h-48 w-48 mx-auto" />
+          <p className="text-xs text-gray-500 text-center break-all">
+            Manual entry key: <span className="font-mono">{setupData.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClassName}
+            placeholder="6-digit code"
+            required
+          />
+          <div className="flex space-x-4">
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 bg-royal-blue hover:bg-royal-blue-dark text-white py-2 px-4 rounded-lg font-medium disabled:opacity-50"
+            >
+              {loading ? 'Verifying...' : 'Enable'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setSetupData(null)}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 text-white py-2 px-4 rounded-lg font-medium"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Backup codes remaining: <strong>{status.backupCodesRemaining}</strong>
+          </p>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Authentication Code
+            </label>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClassName}
+              placeholder="6-digit code or backup code"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Password (required to disable)
+            </label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div className="flex space-x-4">
+            <button
+              type="button"
+              onClick={handleRegenerateCodes}
+              disabled={loading}
+              className="flex-1 bg-royal-blue hover:bg-royal-blue-dark text-white py-2 px-4 rounded-lg font-medium disabled:opacity-50"
+            >
+              New backup codes
+            </button>
+            <button
+              type="submit"
+              disabled={loading || !password}
+              className="flex-1 bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg font-medium disabled:opacity-50"
+            >
+              Disable
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+
+const UserAccess = () => {
+  const { user } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [usersResponse, rolesResponse] = await Promise.all([
+        apiService.getUsers(),
+        apiService.getRoles()
+      ]);
+
+      if (usersResponse.success && rolesResponse.success) {
+        setUsers(usersResponse.data);
+        setRoles(rolesResponse.data);
+        setEdits({});
+      }
+    } catch (error) {
+      setError('Failed to load users: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getEdit = (account) => {
+    return edits[account.id] || { role: account.role, department: account.department || '' };
+  };
+
+  const handleEditChange = (account, field, value) => {
+    setEdits(prev => ({
+      ...prev,
+      [account.id]: { ...getEdit(account), [field]: value }
+    }));
+  };
+
+  const handleSave = async (account) => {
+    const edit = getEdit(account);
+
+    try {
+      setLoading(true);
+      setError(null);
+      setSuccess(null);
+
+      const response = await apiService.updateUserAccess(account.id, edit.role, edit.department);
+
+      if (response.success) {
+        setSuccess(`Access updated for ${account.name}`);
+        loadData();
+      } else {
+        setError(response.message || 'Failed to update access');
+      }
+    } catch (error) {
+      setError('Failed to update access: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const describeRole = (roleName) => {
+    const role = roles.find(r => r.name === roleName);
+    if (!role) return '';
+    return role.permissions.join(', ') + (role.departmentScoped ? ' (own department only)' : '');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900">Roles &amp; Access</h2>
+        <p className="text-sm text-gray-500">
+          Roles decide which dashboard a user sees and what they may do. Department heads only see doctors in their own department.
+        </p>
+      </div>
+
+      {/* Error/Success Messages */}
+      {error && (
+        <div className="mx-6 mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {success && (
+        <div className="mx-6 mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-green-700 text-sm">{success}</p>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        {loading && users.length === 0 ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-royal-blue mx-auto"></div>
+            <p className="mt-2 text-gray-600">Loading...</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  User
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Role
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Department
+                </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Actions
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {users.map((account) => {
+                const edit = getEdit(account);
+                const isSelf = account.id === user?.id;
+                const changed = edit.role !== account.role || edit.department !== (account.department || '');
+
+                return (
+                  <tr key={account.id}>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{account.name}</div>
+                      <div className="text-sm text-gray-500">ID: {account.id}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <select
+                        value={edit.role}
+                        onChange={(e) => handleEditChange(account, 'role', e.target.value)}
+                        disabled={isSelf || loading}
+                        title={describeRole(edit.role)}
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-royal-blue disabled:bg-gray-100"
+                      >
+                        {roles.map(role => (
+                          <option key={role.name} value={role.name}>{role.label}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <input
+                        type="text"
+                        value={edit.department}
+                        onChange={(e) => handleEditChange(account, 'department', e.target.value)}
+                        disabled={isSelf || loading}
+                        placeholder="e.g. Cardiology"
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-royal-blue disabled:bg-gray-100"
+                      />
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      {isSelf ? (
+                        <span className="text-gray-400">Your account</span>
+                      ) : (
+                        <button
+                          onClick={() => handleSave(account)}
+                          disabled={!changed || loading}
+                          className="text-royal-blue hover:text-royal-blue-dark disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Save
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserAccess;
@@ -1,8 +1,11 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { apiService } from '../services/api';
 
 const AuthContext = createContext();
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -15,43 +18,136 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [accessTokenExpiresAt, setAccessTokenExpiresAt] = useState(null);
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+
+  const clearSession = useCallback(() => {
+    apiService.csrfToken = null;
+    setUser(null);
+    setAccessTokenExpiresAt(null);
+  }, []);
 
   // Check if user is authenticated on app load
   useEffect(() => {
+    apiService.onSessionExpired = clearSession;
     checkAuth();
+
+    return () => {
+      apiService.onSessionExpired = null;
+    };
+  }, [clearSession]);
+
+  // Load the password policy once so forms can validate new passwords as they are typed
+  useEffect(() => {
+    apiService.getPasswordPolicy()
+      .then(response => {
+        if (response.success) {
+          setPasswordPolicy(response.data);
+        }
+      })
+      .catch(error => console.error('Failed to load password policy:', error));
   }, []);
 
+  // Silently refresh the access token shortly before it expires
+  useEffect(() => {
+    if (!user || !accessTokenExpiresAt) {
+      return undefined;
+    }
+
+    const delay = Math.max(new Date(accessTokenExpiresAt).getTime() - Date.now() - REFRESH_MARGIN_MS, 0);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiService.refreshSession();
+        if (response.success) {
+          setUser(response.user);
+          setAccessTokenExpiresAt(response.accessTokenExpiresAt);
+        } else {
+          clearSession();
+        }
+      } catch (error) {
+        console.error('Session refresh failed:', error);
+        clearSession();
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [user, accessTokenExpiresAt, clearSession]);
+
   const checkAuth = async () => {
     try {
       setLoading(true);
       const response = await apiService.verifyToken();
       if (response.success) {
         setUser(response.user);
+        setAccessTokenExpiresAt(response.accessTokenExpiresAt);
       } else {
-        setUser(null);
+        clearSession();
       }
     } catch (error) {
       console.error('Auth check failed:', error);
-      setUser(null);
+      clearSession();
     } finally {
       setLoading(false);
     }
   };
 
+  // Reload the current user's profile without showing the global loading state
+  const refreshUser = async () => {
+    try {
+      const response = await apiService.verifyToken();
+      if (response.success) {
+        setUser(response.user);
+        setAccessTokenExpiresAt(response.accessTokenExpiresAt);
+      }
+    } catch (error) {
+      console.error('User refresh failed:', error);
+    }
+  };
+
+  const handleLoginResponse = (response) => {
+    // Password accepted but a second factor is still needed
+    if (response.success && response.requiresTwoFactor) {
+      return {
+        success: false,
+        requiresTwoFactor: true,
+        challengeToken: response.challengeToken,
+        message: response.message
+      };
+    }
+
+    if (response.success) {
+      setUser(response.user);
+      setAccessTokenExpiresAt(response.accessTokenExpiresAt);
+      return { success: true, user: response.user };
+    }
+
+    setError(response.message || 'Login failed');
+    return { success: false, message: response.message };
+  };
+
   const login = async (id, password) => {
     try {
       setError(null);
       setLoading(true);
       
       const response = await apiService.login(id, password);
-      
-      if (response.success) {
-        setUser(response.user);
-        return { success: true, user: response.user };
-      } else {
-        setError(response.message || 'Login failed');
-        return { success: false, message: response.message };
-      }
+      return handleLoginResponse(response);
+    } catch (error) {
+      const errorMessage = error.message || 'Network error. Please try again.';
+      setError(errorMessage);
+      return { success: false, message: errorMessage };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      setError(null);
+      setLoading(true);
+
+      const response = await apiService.loginTwoFactor(challengeToken, code);
+      return handleLoginResponse(response);
     } catch (error) {
       const errorMessage = error.message || 'Network error. Please try again.';
       setError(errorMessage);
@@ -67,7 +163,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      setUser(null);
+      clearSession();
       setError(null);
     }
   };
@@ -80,6 +176,8 @@ export const AuthProvider = ({ children }) => {
       const response = await apiService.changePassword(currentPassword, newPassword);
       
       if (response.success) {
+        // Clears flags such as an expired password from the profile
+        await refreshUser();
         return { success: true, message: response.message };
       } else {
         setError(response.message || 'Password change failed');
@@ -98,18 +196,26 @@ export const AuthProvider = ({ children }) => {
     setError(null);
   };
 
+  const hasPermission = (permission) => {
+    return !!user?.permissions?.includes(permission);
+  };
+
   const value = {
     user,
     loading,
     error,
     login,
+    verifyTwoFactor,
     logout,
     changePassword,
     clearError,
     checkAuth,
+    refreshUser,
+    passwordPolicy,
+    hasPermission,
     isAuthenticated: !!user,
-    isAdmin: user?.role === 'admin',
-    isDoctor: user?.role === 'doctor'
+    isAdmin: user?.dashboard === 'admin',
+    isDoctor: user?.dashboard === 'doctor'
   };
 
   return (
@@ -2,17 +2,29 @@ const API_BASE_URL = process.env.NODE_ENV === 'production'
   ? '/api' 
   : 'http://localhost:5000/api';
 
+// Endpoints that must never trigger an automatic token refresh
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/refresh', '/auth/logout', '/auth/reset-password'];
+
 class ApiService {
-  async request(endpoint, options = {}) {
+  constructor() {
+    this.refreshPromise = null;
+    this.onSessionExpired = null;
+    // Issued by login, refresh and verify; sent back on every state-changing request
+    this.csrfToken = null;
+  }
+
+  async request(endpoint, options = {}, canRetry = true) {
     const url = `${API_BASE_URL}${endpoint}`;
     
+    const method = (options.method || 'GET').toUpperCase();
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(this.csrfToken && method !== 'GET' ? { 'X-CSRF-Token': this.csrfToken } : {}),
         ...options.headers,
       },
       credentials: 'include', // Include cookies for authentication
-      ...options,
     };
 
     // Handle FormData (for file uploads)
@@ -22,6 +34,26 @@ class ApiService {
 
     try {
       const response = await fetch(url, config);
+
+      // Access token expired or session revoked: refresh once and retry
+      if (response.status === 401 && canRetry && !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+        const refreshed = await this.tryRefresh();
+        if (refreshed) {
+          return this.request(endpoint, options, false);
+        }
+        if (this.onSessionExpired) {
+          this.onSessionExpired();
+        }
+      }
+
+      // CSRF token belongs to another session (e.g. signed in again in another tab):
+      // refreshing returns the current token, then retry once
+      if (response.status === 403 && canRetry && method !== 'GET') {
+        const body = await response.clone().json().catch(() => null);
+        if (body?.code === 'CSRF_INVALID' && await this.tryRefresh()) {
+          return this.request(endpoint, options, false);
+        }
+      }
       
       // Handle non-JSON responses
       const contentType = response.headers.get('content-type');
@@ -30,9 +62,16 @@ class ApiService {
       }
 
       const data = await response.json();
+
+      if (data.csrfToken) {
+        this.csrfToken = data.csrfToken;
+      }
       
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        error.data = data;
+        throw error;
       }
       
       return data;
@@ -42,6 +81,40 @@ class ApiService {
     }
   }
 
+  // Fetch a file (e.g. a CSV export) as a Blob, refreshing the session once on 401
+  async download(endpoint, canRetry = true) {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+      credentials: 'include',
+    });
+
+    if (response.status === 401 && canRetry && await this.tryRefresh()) {
+      return this.download(endpoint, false);
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.message || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+
+    return response.blob();
+  }
+
+  // Share a single in-flight refresh between concurrent requests
+  async tryRefresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refreshSession()
+        .then(response => !!response.success)
+        .catch(() => false)
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
   // Authentication endpoints
   async login(id, password) {
     return this.request('/auth/login', {
@@ -50,6 +123,19 @@ class ApiService {
     });
   }
 
+  async loginTwoFactor(challengeToken, code) {
+    return this.request('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code }),
+    });
+  }
+
+  async refreshSession() {
+    return this.request('/auth/refresh', {
+      method: 'POST',
+    });
+  }
+
   async logout() {
     return this.request('/auth/logout', {
       method: 'POST',
@@ -63,10 +149,77 @@ class ApiService {
     });
   }
 
+  async getOidcStatus() {
+    return this.request('/auth/oidc/status');
+  }
+
+  // Full-page navigation target for the hospital identity provider login
+  getOidcLoginUrl() {
+    return `${API_BASE_URL}/auth/oidc/login`;
+  }
+
   async verifyToken() {
     return this.request('/auth/verify');
   }
 
+  async getPasswordPolicy() {
+    return this.request('/auth/password-policy');
+  }
+
+  async resetPasswordWithCode(id, code, newPassword) {
+    return this.request('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ id, code, newPassword }),
+    });
+  }
+
+  async getTwoFactorStatus() {
+    return this.request('/auth/2fa/status');
+  }
+
+  async setupTwoFactor() {
+    return this.request('/auth/2fa/setup', {
+      method: 'POST',
+    });
+  }
+
+  async enableTwoFactor(code) {
+    return this.request('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async disableTwoFactor(password, code) {
+    return this.request('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code }),
+    });
+  }
+
+  async regenerateBackupCodes(code) {
+    return this.request('/auth/2fa/backup-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async getSessions() {
+    return this.request('/auth/sessions');
+  }
+
+  async revokeSession(sessionId) {
+    return this.request(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async revokeOtherSessions() {
+    return this.request('/auth/sessions/revoke-others', {
+      method: 'POST',
+    });
+  }
+
   // Admin endpoints
   async getRecentActivity() {
     return this.request('/admin/activity');
@@ -86,9 +239,30 @@ class ApiService {
     });
   }
 
-  async deleteDoctor(doctorId) {
-    return this.request(`/admin/delete-doctor/${doctorId}`, {
+  async updateDoctorValidity(doctorId, validFrom, validUntil) {
+    return this.request(`/admin/doctors/${doctorId}/validity`, {
+      method: 'PUT',
+      body: JSON.stringify({ validFrom, validUntil }),
+    });
+  }
+
+  async deactivateDoctor(doctorId, reason) {
+    return this.request(`/admin/deactivate-doctor/${doctorId}`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  async reactivateDoctor(doctorId) {
+    return this.request(`/admin/reactivate-doctor/${doctorId}`, {
+      method: 'POST',
+    });
+  }
+
+  async purgeDoctor(doctorId, confirmId) {
+    return this.request(`/admin/purge-doctor/${doctorId}`, {
       method: 'DELETE',
+      body: JSON.stringify({ confirmId }),
     });
   }
 
@@ -107,16 +281,206 @@ class ApiService {
     return this.request('/admin/doctors');
   }
 
+  async getRoles() {
+    return this.request('/admin/roles');
+  }
+
+  async getUsers() {
+    return this.request('/admin/users');
+  }
+
+  async updateUserAccess(userId, role, department) {
+    return this.request(`/admin/users/${encodeURIComponent(userId)}/access`, {
+      method: 'PUT',
+      body: JSON.stringify({ role, department }),
+    });
+  }
+
+  async createResetCode(doctorId) {
+    return this.request(`/admin/reset-code/${encodeURIComponent(doctorId)}`, {
+      method: 'POST',
+    });
+  }
+
+  async forceLogoutDoctor(doctorId) {
+    return this.request(`/admin/force-logout/${encodeURIComponent(doctorId)}`, {
+      method: 'POST',
+    });
+  }
+
+  async getAuthEvents(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/admin/auth-events?${queryString}`);
+  }
+
+  async exportAuthEvents(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.download(`/admin/auth-events/export?${queryString}`);
+  }
+
+  async getSecuritySettings() {
+    return this.request('/admin/settings/security');
+  }
+
+  async updateSecuritySettings(settings) {
+    return this.request('/admin/settings/security', {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    });
+  }
+
+  async getLockedAccounts() {
+    return this.request('/admin/locked-accounts');
+  }
+
+  async unlockAccount(userId) {
+    return this.request(`/admin/locked-accounts/${encodeURIComponent(userId)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async unlockIp(ip) {
+    return this.request(`/admin/locked-ips/${encodeURIComponent(ip)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getApiKeys() {
+    return this.request('/admin/api-keys');
+  }
+
+  async createApiKey(name, scopes, expiresAt) {
+    return this.request('/admin/api-keys', {
+      method: 'POST',
+      body: JSON.stringify({ name, scopes, expiresAt }),
+    });
+  }
+
+  async revokeApiKey(keyId) {
+    return this.request(`/admin/api-keys/${keyId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getShiftTemplates() {
+    return this.request('/admin/shift-templates');
+  }
+
+  async createShiftTemplate(template) {
+    return this.request('/admin/shift-templates', {
+      method: 'POST',
+      body: JSON.stringify(template),
+    });
+  }
+
+  async updateShiftTemplate(templateId, template) {
+    return this.request(`/admin/shift-templates/${templateId}`, {
+      method: 'PUT',
+      body: JSON.stringify(template),
+    });
+  }
+
+  async getSchedules(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/admin/schedules?${queryString}`);
+  }
+
+  async assignSchedules(doctorId, shiftTemplateId, startDate, endDate, weekdays = []) {
+    return this.request('/admin/schedules', {
+      method: 'POST',
+      body: JSON.stringify({ doctorId, shiftTemplateId, startDate, endDate, weekdays }),
+    });
+  }
+
+  async deleteSchedule(scheduleId) {
+    return this.request(`/admin/schedules/${scheduleId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getHolidays(year) {
+    return this.request(`/admin/holidays?year=${encodeURIComponent(year)}`);
+  }
+
+  async createHoliday(date, name) {
+    return this.request('/admin/holidays', {
+      method: 'POST',
+      body: JSON.stringify({ date, name }),
+    });
+  }
+
+  async deleteHoliday(holidayId) {
+    return this.request(`/admin/holidays/${holidayId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getLeaveRequests(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/admin/leave-requests?${queryString}`);
+  }
+
+  async reviewLeaveRequest(requestId, decision, note = '') {
+    return this.request(`/admin/leave-requests/${requestId}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  }
+
+  async getLeaveAttachment(requestId) {
+    return this.download(`/admin/leave-requests/${requestId}/attachment`);
+  }
+
+  async getCorrections(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/admin/corrections?${queryString}`);
+  }
+
+  async reviewCorrection(correctionId, decision, note = '') {
+    return this.request(`/admin/corrections/${correctionId}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  }
+
+  async getAutoClosedSessions(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/admin/auto-closed?${queryString}`);
+  }
+
+  async reviewAutoClosedSession(attendanceId, checkoutTime = '') {
+    return this.request(`/admin/auto-closed/${attendanceId}/review`, {
+      method: 'POST',
+      body: JSON.stringify({ checkoutTime }),
+    });
+  }
+
+  async getGeofenceExceptions(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/admin/geofence-exceptions?${queryString}`);
+  }
+
+  async reviewGeofenceException(attendanceId, decision, note = '') {
+    return this.request(`/admin/geofence-exceptions/${attendanceId}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ note }),
+    });
+  }
+
   // Doctor endpoints
   async getDoctorStatus() {
     return this.request('/doctor/status');
   }
 
-  async checkin(latitude, longitude, photo) {
+  async checkin(latitude, longitude, photo, outsideFence = null) {
     const formData = new FormData();
     formData.append('latitude', latitude);
     formData.append('longitude', longitude);
     formData.append('photo', photo);
+    if (outsideFence) {
+      formData.append('outsideReason', outsideFence.reason);
+      formData.append('outsideNote', outsideFence.note);
+    }
 
     return this.request('/doctor/checkin', {
       method: 'POST',
@@ -124,11 +488,15 @@ class ApiService {
     });
   }
 
-  async checkout(latitude, longitude, photo) {
+  async checkout(latitude, longitude, photo, outsideFence = null) {
     const formData = new FormData();
     formData.append('latitude', latitude);
     formData.append('longitude', longitude);
     formData.append('photo', photo);
+    if (outsideFence) {
+      formData.append('outsideReason', outsideFence.reason);
+      formData.append('outsideNote', outsideFence.note);
+    }
 
     return this.request('/doctor/checkout', {
       method: 'POST',
@@ -136,11 +504,94 @@ class ApiService {
     });
   }
 
+  async startBreak() {
+    return this.request('/doctor/break/start', {
+      method: 'POST',
+    });
+  }
+
+  async endBreak() {
+    return this.request('/doctor/break/end', {
+      method: 'POST',
+    });
+  }
+
+  async getLeaveTypes() {
+    return this.request('/doctor/leave-types');
+  }
+
+  async getMyLeaveRequests() {
+    return this.request('/doctor/leave-requests');
+  }
+
+  async createLeaveRequest(leaveTypeId, startDate, endDate, reason, attachment) {
+    const formData = new FormData();
+    formData.append('leaveTypeId', leaveTypeId);
+    formData.append('startDate', startDate);
+    formData.append('endDate', endDate);
+    formData.append('reason', reason);
+    if (attachment) {
+      formData.append('attachment', attachment);
+    }
+
+    return this.request('/doctor/leave-requests', {
+      method: 'POST',
+      body: formData,
+    });
+  }
+
+  async cancelLeaveRequest(requestId) {
+    return this.request(`/doctor/leave-requests/${requestId}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  async getMyLeaveAttachment(requestId) {
+    return this.download(`/doctor/leave-requests/${requestId}/attachment`);
+  }
+
+  async getMyCorrections() {
+    return this.request('/doctor/corrections');
+  }
+
+  async createCorrection(date, type, time, reason) {
+    return this.request('/doctor/corrections', {
+      method: 'POST',
+      body: JSON.stringify({ date, type, time, reason }),
+    });
+  }
+
+  async cancelCorrection(correctionId) {
+    return this.request(`/doctor/corrections/${correctionId}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  async getNotifications() {
+    return this.request('/doctor/notifications');
+  }
+
+  async markNotificationRead(notificationId) {
+    return this.request(`/doctor/notifications/${notificationId}/read`, {
+      method: 'POST',
+    });
+  }
+
+  async markAllNotificationsRead() {
+    return this.request('/doctor/notifications/read', {
+      method: 'POST',
+    });
+  }
+
   async getDoctorHistory(params = {}) {
     const queryString = new URLSearchParams(params).toString();
     return this.request(`/doctor/history?${queryString}`);
   }
 
+  async getMonthlySummary(month) {
+    return this.request(`/doctor/summary?month=${encodeURIComponent(month)}`);
+  }
+
   // Utility methods
   getPhotoUrl(photoPath) {
     if (!photoPath) return null;
@@ -0,0 +1,81 @@
+// Date and time formatting in the hospital's timezone, so every browser shows the same
+// day boundaries as the server regardless of the device's own timezone setting
+
+export const HOSPITAL_TIMEZONE = process.env.REACT_APP_HOSPITAL_TIMEZONE || 'Asia/Jakarta';
+
+const LOCALE = 'en-US';
+
+// Instants (timestamps from the API)
+export const formatDateTime = (value, options = {}) => {
+  if (!value) return '';
+  return new Date(value).toLocaleString(LOCALE, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    ...options,
+    timeZone: HOSPITAL_TIMEZONE
+  });
+};
+
+export const formatDate = (value, options = {}) => {
+  if (!value) return '';
+  return new Date(value).toLocaleDateString(LOCALE, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...options,
+    timeZone: HOSPITAL_TIMEZONE
+  });
+};
+
+export const formatTime = (value, options = {}) => {
+  if (!value) return '';
+  return new Date(value).toLocaleTimeString(LOCALE, {
+    hour: '2-digit',
+    minute: '2-digit',
+    ...options,
+    timeZone: HOSPITAL_TIMEZONE
+  });
+};
+
+// Calendar dates (YYYY-MM-DD strings from the API) have no timezone of their own
+export const formatDateOnly = (dateString, options = {}) => {
+  if (!dateString) return '';
+  return new Date(`${dateString}T00:00:00Z`).toLocaleDateString(LOCALE, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    ...options,
+    timeZone: 'UTC'
+  });
+};
+
+// Hospital calendar date (YYYY-MM-DD) of an instant
+export const toDateString = (value = new Date()) => {
+  const parts = {};
+  new Intl.DateTimeFormat(LOCALE, {
+    timeZone: HOSPITAL_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(value)).forEach(({ type, value: part }) => {
+    parts[type] = part;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+export const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Hospital date, days from today
+export const dateFromToday = (days = 0) => addDays(toDateString(), days);
+
+// Minutes as "7h 05m"
+export const formatDuration = (minutes = 0) => {
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
@@ -0,0 +1,33 @@
+// Turn a raw User-Agent string into a short "Browser on OS" description
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg\// },
+  { name: 'Opera', pattern: /OPR\// },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Chrome', pattern: /Chrome\// },
+  { name: 'Firefox', pattern: /Firefox\// },
+  { name: 'Safari', pattern: /Safari\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(entry => entry.pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(entry => entry.pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+
+  return [browser?.name || 'Unknown browser', os?.name].filter(Boolean).join(' on ');
+};
+
+export const isMobileUserAgent = (userAgent) => {
+  return /Android|iPhone|iPad|iPod|Mobile/.test(userAgent || '');
+};
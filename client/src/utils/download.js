@@ -0,0 +1,19 @@
+// Save a downloaded Blob as a file
+const EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'text/csv': '.csv'
+};
+
+export const saveBlob = (blob, name) => {
+  const extension = EXTENSIONS[blob.type.split(';')[0]] || '';
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name.includes('.') ? name : `${name}${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
@@ -15,13 +15,17 @@ export const validateId = (id) => {
   };
 };
 
-export const validatePassword = (password) => {
+// Without a policy only presence is checked (e.g. on login); pass the server's
+// password policy when a new password is being set
+export const validatePassword = (password, policy = null) => {
   const errors = [];
   
   if (!password) {
     errors.push('Password is required');
-  } else if (password.length < 6) {
-    errors.push('Password must be at least 6 characters long');
+  } else if (policy) {
+    getPasswordChecks(password, policy)
+      .filter(check => !check.passed)
+      .forEach(check => errors.push(check.error));
   }
   
   return {
@@ -30,6 +34,71 @@ export const validatePassword = (password) => {
   };
 };
 
+// Individual password policy rules, mirroring server/utils/passwordPolicy.js
+export const getPasswordChecks = (password, policy) => {
+  const value = password || '';
+  const checks = [
+    {
+      label: `At least ${policy.minLength} characters`,
+      error: `Password must be at least ${policy.minLength} characters long`,
+      passed: value.length >= policy.minLength
+    }
+  ];
+
+  if (policy.requireUppercase) {
+    checks.push({
+      label: 'An uppercase letter',
+      error: 'Password must contain an uppercase letter',
+      passed: /[A-Z]/.test(value)
+    });
+  }
+  if (policy.requireLowercase) {
+    checks.push({
+      label: 'A lowercase letter',
+      error: 'Password must contain a lowercase letter',
+      passed: /[a-z]/.test(value)
+    });
+  }
+  if (policy.requireNumber) {
+    checks.push({
+      label: 'A number',
+      error: 'Password must contain a number',
+      passed: /\d/.test(value)
+    });
+  }
+  if (policy.requireSymbol) {
+    checks.push({
+      label: 'A symbol',
+      error: 'Password must contain a symbol',
+      passed: /[^A-Za-z0-9]/.test(value)
+    });
+  }
+
+  checks.push({
+    label: 'Not a common password',
+    error: 'Password is too common',
+    passed: value.length > 0 && !(policy.commonPasswords || []).includes(value.toLowerCase())
+  });
+
+  return checks;
+};
+
+// Rough strength score from 0 (weak) to 4 (strong) for the strength meter
+export const getPasswordStrength = (password, policy) => {
+  if (!password) return 0;
+
+  const checks = getPasswordChecks(password, policy);
+  if (checks.some(check => !check.passed)) {
+    return 1;
+  }
+
+  let score = 2;
+  if (password.length >= policy.minLength + 4) score++;
+  if (/[^A-Za-z0-9]/.test(password) && /\d/.test(password)) score++;
+
+  return Math.min(score, 4);
+};
+
 export const validateName = (name) => {
   const errors = [];
   
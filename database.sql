@@ -13,8 +13,20 @@ USE absendokter;
 CREATE TABLE IF NOT EXISTS users (
   id VARCHAR(20) PRIMARY KEY,
   name VARCHAR(100) NOT NULL,
-  role ENUM('admin','doctor') NOT NULL,
+  role VARCHAR(30) NOT NULL DEFAULT 'doctor',
+  department VARCHAR(100) NULL,
   password_hash VARCHAR(255) NOT NULL,
+  totp_secret VARCHAR(64) NULL,
+  totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  totp_last_step BIGINT NULL,
+  password_changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+  status ENUM('active','inactive') NOT NULL DEFAULT 'active',
+  deactivated_at DATETIME NULL,
+  deactivation_reason VARCHAR(255) NULL,
+  deactivated_by VARCHAR(20) NULL,
+  valid_from DATE NULL,
+  valid_until DATE NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -23,11 +35,27 @@ CREATE TABLE IF NOT EXISTS users (
 CREATE TABLE IF NOT EXISTS attendance (
   id INT AUTO_INCREMENT PRIMARY KEY,
   user_id VARCHAR(20),
-  type ENUM('checkin','checkout') NOT NULL,
+  type ENUM('checkin','checkout','break_start','break_end') NOT NULL,
   timestamp DATETIME NOT NULL,
-  photo_path VARCHAR(255) NOT NULL,
+  photo_path VARCHAR(255) NULL,
   location_lat DOUBLE,
   location_lng DOUBLE,
+  schedule_id INT NULL,
+  scheduled_start DATETIME NULL,
+  scheduled_end DATETIME NULL,
+  minutes_late INT NULL,
+  minutes_early INT NULL,
+  session_date DATE NULL,
+  checkin_id INT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'app',
+  correction_id INT NULL,
+  reviewed_by VARCHAR(20) NULL,
+  reviewed_at DATETIME NULL,
+  distance_m INT NULL,
+  outside_reason VARCHAR(30) NULL,
+  outside_note VARCHAR(255) NULL,
+  exception_status ENUM('pending','approved','rejected') NULL,
+  review_note VARCHAR(255) NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
   INDEX idx_user_time (user_id, timestamp),
@@ -35,10 +63,293 @@ CREATE TABLE IF NOT EXISTS attendance (
   INDEX idx_date (DATE(timestamp))
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Create login attempts table (failed login counters per account and per IP)
+CREATE TABLE IF NOT EXISTS login_attempts (
+  scope ENUM('account','ip') NOT NULL,
+  identifier VARCHAR(64) NOT NULL,
+  failed_count INT NOT NULL DEFAULT 0,
+  last_failed_at DATETIME NOT NULL,
+  locked_until DATETIME NULL,
+  PRIMARY KEY (scope, identifier),
+  INDEX idx_locked_until (locked_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create sessions table (one row per signed-in device)
+CREATE TABLE IF NOT EXISTS sessions (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id VARCHAR(20) NOT NULL,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64) NULL,
+  rotated_at DATETIME NULL,
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(50) NULL,
+  auth_method VARCHAR(10) NOT NULL DEFAULT 'password',
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user_sessions (user_id, revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create backup codes table (single-use 2FA recovery codes)
+CREATE TABLE IF NOT EXISTS backup_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(20) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user_code (user_id, code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create settings table (application-wide key/value settings)
+CREATE TABLE IF NOT EXISTS settings (
+  setting_key VARCHAR(64) PRIMARY KEY,
+  setting_value VARCHAR(255) NOT NULL,
+  updated_by VARCHAR(20) NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create password history table (previous password hashes, for the reuse check)
+CREATE TABLE IF NOT EXISTS password_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(20) NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user_history (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create password reset codes table (single-use codes issued by an admin)
+CREATE TABLE IF NOT EXISTS password_reset_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(20) NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  created_by VARCHAR(20) NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_user_code (user_id, code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create authentication events table (audit log of logins, logouts and password changes)
+CREATE TABLE IF NOT EXISTS auth_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(64) NULL,
+  event_type VARCHAR(40) NOT NULL,
+  outcome ENUM('success','failure','blocked') NOT NULL,
+  detail VARCHAR(255) NULL,
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_auth_events_user (user_id, created_at),
+  INDEX idx_auth_events_ip (ip_address, created_at),
+  INDEX idx_auth_events_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create API keys table (hashed keys for HRIS/payroll integrations)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  public_id CHAR(12) NOT NULL UNIQUE,
+  secret_hash CHAR(64) NOT NULL,
+  scopes VARCHAR(255) NOT NULL,
+  created_by VARCHAR(20) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NULL,
+  last_used_at DATETIME NULL,
+  last_used_ip VARCHAR(45) NULL,
+  revoked_at DATETIME NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create roles table (dashboard each role uses; department_scoped limits data to own department)
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(30) PRIMARY KEY,
+  label VARCHAR(100) NOT NULL,
+  dashboard ENUM('admin','doctor') NOT NULL,
+  department_scoped BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create role permissions table (permission set of each role)
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(30) NOT NULL,
+  permission VARCHAR(50) NOT NULL,
+  PRIMARY KEY (role, permission),
+  FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Insert default roles
+INSERT IGNORE INTO roles (name, label, dashboard, department_scoped) VALUES
+('super_admin', 'Super Admin', 'admin', FALSE),
+('admin', 'Admin', 'admin', FALSE),
+('hr', 'HR Staff', 'admin', FALSE),
+('department_head', 'Department Head', 'admin', TRUE),
+('doctor', 'Doctor', 'doctor', FALSE);
+
+INSERT IGNORE INTO role_permissions (role, permission) VALUES
+('super_admin', 'activity:view'),
+('super_admin', 'audit:view'),
+('super_admin', 'attendance:view'),
+('super_admin', 'attendance:delete'),
+('super_admin', 'doctors:view'),
+('super_admin', 'doctors:manage'),
+('super_admin', 'doctors:purge'),
+('super_admin', 'integrations:manage'),
+('super_admin', 'corrections:approve'),
+('super_admin', 'exceptions:approve'),
+('super_admin', 'leave:approve'),
+('super_admin', 'schedules:manage'),
+('super_admin', 'security:manage'),
+('super_admin', 'roles:assign'),
+('admin', 'activity:view'),
+('admin', 'audit:view'),
+('admin', 'attendance:view'),
+('admin', 'attendance:delete'),
+('admin', 'doctors:view'),
+('admin', 'doctors:manage'),
+('admin', 'integrations:manage'),
+('admin', 'corrections:approve'),
+('admin', 'exceptions:approve'),
+('admin', 'leave:approve'),
+('admin', 'schedules:manage'),
+('admin', 'security:manage'),
+('hr', 'activity:view'),
+('hr', 'attendance:view'),
+('hr', 'doctors:view'),
+('hr', 'corrections:approve'),
+('hr', 'exceptions:approve'),
+('hr', 'leave:approve'),
+('department_head', 'activity:view'),
+('department_head', 'attendance:view'),
+('department_head', 'doctors:view'),
+('department_head', 'corrections:approve'),
+('department_head', 'exceptions:approve'),
+('department_head', 'leave:approve'),
+('doctor', 'attendance:record');
+
+-- Create shift templates table (pagi/siang/malam, poli hours; end before start = ends next day)
+CREATE TABLE IF NOT EXISTS shift_templates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(20) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  late_grace_minutes INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create doctor schedules table (shift assigned to a doctor on a date, times copied from the template)
+CREATE TABLE IF NOT EXISTS doctor_schedules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(20) NOT NULL,
+  schedule_date DATE NOT NULL,
+  shift_template_id INT NULL,
+  shift_name VARCHAR(100) NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  late_grace_minutes INT NOT NULL DEFAULT 0,
+  created_by VARCHAR(20) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (shift_template_id) REFERENCES shift_templates(id) ON DELETE SET NULL,
+  UNIQUE KEY uq_doctor_schedule (user_id, schedule_date, start_time),
+  INDEX idx_schedule_date (schedule_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO shift_templates (code, name, start_time, end_time) VALUES
+('pagi', 'Pagi', '07:00:00', '14:00:00'),
+('siang', 'Siang', '14:00:00', '21:00:00'),
+('malam', 'Malam', '21:00:00', '07:00:00'),
+('poli_pagi', 'Poli Pagi', '08:00:00', '12:00:00'),
+('poli_sore', 'Poli Sore', '16:00:00', '20:00:00');
+
+-- Create leave types table (cuti, sakit, conference leave, ...)
+CREATE TABLE IF NOT EXISTS leave_types (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(20) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  requires_attachment BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create leave requests table (a doctor's absence over a date range, approved by an admin)
+CREATE TABLE IF NOT EXISTS leave_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(20) NOT NULL,
+  leave_type_id INT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason VARCHAR(500) NULL,
+  attachment_path VARCHAR(255) NULL,
+  status ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+  reviewed_by VARCHAR(20) NULL,
+  reviewed_at DATETIME NULL,
+  review_note VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (leave_type_id) REFERENCES leave_types(id),
+  INDEX idx_leave_user_dates (user_id, start_date, end_date),
+  INDEX idx_leave_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create attendance corrections table (a missed check-in or check-out reported by the doctor;
+-- approval creates the attendance record)
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(20) NOT NULL,
+  session_date DATE NOT NULL,
+  type ENUM('checkin','checkout') NOT NULL,
+  proposed_time DATETIME NOT NULL,
+  reason VARCHAR(500) NOT NULL,
+  status ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+  reviewed_by VARCHAR(20) NULL,
+  reviewed_at DATETIME NULL,
+  review_note VARCHAR(255) NULL,
+  attendance_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_correction_user_date (user_id, session_date),
+  INDEX idx_correction_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create notifications table (messages shown to a user on their dashboard)
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id VARCHAR(20) NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  message VARCHAR(500) NOT NULL,
+  attendance_id INT NULL,
+  read_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_notification_user (user_id, read_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Create holidays table (public holidays and hospital closures, shown on calendars)
+CREATE TABLE IF NOT EXISTS holidays (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  holiday_date DATE NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  created_by VARCHAR(20) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO leave_types (code, name, requires_attachment) VALUES
+('cuti', 'Cuti Tahunan', FALSE),
+('sakit', 'Sakit', TRUE),
+('konferensi', 'Konferensi / Pelatihan', FALSE),
+('izin', 'Izin', FALSE);
+
 -- Insert default admin user
 -- Password: admin123 (hashed with bcrypt)
 INSERT IGNORE INTO users (id, name, role, password_hash) VALUES 
-('admin', 'Administrator', 'admin', '$2b$10$rOzJqQZJqQZJqQZJqQZJqOzJqQZJqQZJqQZJqQZJqQZJqQZJqQZJq');
+('admin', 'Administrator', 'super_admin', '$2b$10$rOzJqQZJqQZJqQZJqQZJqOzJqQZJqQZJqQZJqQZJqQZJqQZJqQZJq');
 
 -- Insert sample doctor users for testing
 INSERT IGNORE INTO users (id, name, role, password_hash) VALUES 
@@ -48,22 +359,28 @@ INSERT IGNORE INTO users (id, name, role, password_hash) VALUES
 
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_users_department ON users(department);
+CREATE INDEX IF NOT EXISTS idx_users_status ON users(status);
+CREATE INDEX IF NOT EXISTS idx_users_valid_until ON users(valid_until);
 CREATE INDEX IF NOT EXISTS idx_attendance_user_date ON attendance(user_id, DATE(timestamp));
+CREATE INDEX IF NOT EXISTS idx_attendance_schedule ON attendance(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_session ON attendance(user_id, session_date);
+CREATE INDEX IF NOT EXISTS idx_attendance_checkin ON attendance(checkin_id);
 
 -- Create a view for daily attendance summary
 CREATE OR REPLACE VIEW daily_attendance_summary AS
 SELECT 
-    DATE(timestamp) as attendance_date,
+    session_date as attendance_date,
     user_id,
     u.name as doctor_name,
-    MAX(CASE WHEN type = 'checkin' THEN timestamp END) as checkin_time,
+    MIN(CASE WHEN type = 'checkin' THEN timestamp END) as checkin_time,
     MAX(CASE WHEN type = 'checkout' THEN timestamp END) as checkout_time,
     COUNT(CASE WHEN type = 'checkin' THEN 1 END) as checkin_count,
     COUNT(CASE WHEN type = 'checkout' THEN 1 END) as checkout_count
 FROM attendance a
 JOIN users u ON a.user_id = u.id
 WHERE u.role = 'doctor'
-GROUP BY DATE(timestamp), user_id, u.name
+GROUP BY session_date, user_id, u.name
 ORDER BY attendance_date DESC, u.name;
 
 -- Create a view for recent activity (last 7 days)
@@ -7,13 +7,19 @@ require('dotenv').config();
 
 // Import database and routes
 const { testConnection, initializeTables } = require('./config/db');
+const { startAutoCloseJob } = require('./utils/autoClose');
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
 const doctorRoutes = require('./routes/doctor');
+const integrationRoutes = require('./routes/integrations');
+const { csrfProtection } = require('./middleware/csrf');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Trust the reverse proxy (Apache/cPanel) so req.ip is the real client address
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback');
+
 // Middleware
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
@@ -34,10 +40,14 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../client/build')));
 }
 
+// CSRF check for state-changing API requests
+app.use('/api', csrfProtection);
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/doctor', doctorRoutes);
+app.use('/api/integrations', integrationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -70,10 +80,11 @@ app.use((error, req, res, next) => {
   }
 
   // File type errors
-  if (error.message === 'Only image files are allowed') {
+  if (error.message === 'Only image files are allowed' ||
+      error.message === 'Attachments must be JPEG, PNG or PDF files') {
     return res.status(400).json({
       success: false,
-      message: 'Only image files are allowed'
+      message: error.message
     });
   }
 
@@ -101,6 +112,9 @@ const startServer = async () => {
     // Initialize database tables
     await initializeTables();
     
+    // Close sessions whose check-out was forgotten
+    startAutoCloseJob();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
@@ -1,6 +1,11 @@
 const mysql = require('mysql2/promise');
+const { HOSPITAL_TIMEZONE, getOffsetMinutes, formatOffset } = require('../utils/time');
 require('dotenv').config();
 
+// DATETIME values are read and written as hospital wall-clock time, and DATE() / NOW() in
+// SQL use the same offset. The offset is taken at startup (the hospital zone has no DST).
+const DB_TIMEZONE = formatOffset(getOffsetMinutes());
+
 // Create connection pool for better performance
 const pool = mysql.createPool({
   host: process.env.DB_HOST || 'localhost',
@@ -11,14 +16,25 @@ const pool = mysql.createPool({
   connectionLimit: 10,
   queueLimit: 0,
   acquireTimeout: 60000,
-  timeout: 60000
+  timeout: 60000,
+  timezone: DB_TIMEZONE,
+  // DATE columns are calendar dates, not instants
+  dateStrings: ['DATE']
+});
+
+pool.on('connection', (connection) => {
+  connection.query('SET time_zone = ?', [DB_TIMEZONE], (error) => {
+    if (error) {
+      console.error('❌ Failed to set database time zone:', error.message);
+    }
+  });
 });
 
 // Test database connection
 const testConnection = async () => {
   try {
     const connection = await pool.getConnection();
-    console.log('✅ Database connected successfully');
+    console.log(`✅ Database connected successfully (time zone ${HOSPITAL_TIMEZONE}, ${DB_TIMEZONE})`);
     connection.release();
   } catch (error) {
     console.error('❌ Database connection failed:', error.message);
@@ -26,6 +42,31 @@ const testConnection = async () => {
   }
 };
 
+// Add a column to an existing table if it is not there yet (schema upgrades)
+const ensureColumn = async (connection, table, column, definition) => {
+  const [rows] = await connection.execute(`
+    SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (rows.length === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+// Add an index to an existing table if it is not there yet (schema upgrades)
+const ensureIndex = async (connection, table, index, columns) => {
+  const [rows] = await connection.execute(`
+    SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+    LIMIT 1
+  `, [table, index]);
+
+  if (rows.length === 0) {
+    await connection.execute(`CREATE INDEX ${index} ON ${table} (${columns})`);
+  }
+};
+
 // Initialize database tables
 const initializeTables = async () => {
   try {
@@ -36,7 +77,8 @@ const initializeTables = async () => {
       CREATE TABLE IF NOT EXISTS users (
         id VARCHAR(20) PRIMARY KEY,
         name VARCHAR(100) NOT NULL,
-        role ENUM('admin','doctor') NOT NULL,
+        role VARCHAR(30) NOT NULL DEFAULT 'doctor',
+        department VARCHAR(100) NULL,
         password_hash VARCHAR(255) NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -47,9 +89,9 @@ const initializeTables = async () => {
       CREATE TABLE IF NOT EXISTS attendance (
         id INT AUTO_INCREMENT PRIMARY KEY,
         user_id VARCHAR(20),
-        type ENUM('checkin','checkout') NOT NULL,
+        type ENUM('checkin','checkout','break_start','break_end') NOT NULL,
         timestamp DATETIME NOT NULL,
-        photo_path VARCHAR(255) NOT NULL,
+        photo_path VARCHAR(255) NULL,
         location_lat DOUBLE,
         location_lng DOUBLE,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -57,15 +99,374 @@ const initializeTables = async () => {
       )
     `);
 
+    // Create login attempts table (failed login counters per account and per IP)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        scope ENUM('account','ip') NOT NULL,
+        identifier VARCHAR(64) NOT NULL,
+        failed_count INT NOT NULL DEFAULT 0,
+        last_failed_at DATETIME NOT NULL,
+        locked_until DATETIME NULL,
+        PRIMARY KEY (scope, identifier),
+        INDEX idx_locked_until (locked_until)
+      )
+    `);
+
+    // Create sessions table (one row per signed-in device)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id VARCHAR(64) PRIMARY KEY,
+        user_id VARCHAR(20) NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        previous_token_hash CHAR(64) NULL,
+        rotated_at DATETIME NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        revoked_reason VARCHAR(50) NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_sessions (user_id, revoked_at)
+      )
+    `);
+
+    // How the session was started: local password or the OIDC identity provider
+    await ensureColumn(connection, 'sessions', 'auth_method', "VARCHAR(10) NOT NULL DEFAULT 'password'");
+
+    // Two-factor authentication columns
+    await ensureColumn(connection, 'users', 'totp_secret', 'VARCHAR(64) NULL');
+    await ensureColumn(connection, 'users', 'totp_enabled', 'BOOLEAN NOT NULL DEFAULT FALSE');
+    await ensureColumn(connection, 'users', 'totp_last_step', 'BIGINT NULL');
+
+    // Create backup codes table (single-use 2FA recovery codes)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS backup_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(20) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_code (user_id, code_hash)
+      )
+    `);
+
+    // Create settings table (application-wide key/value settings)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS settings (
+        setting_key VARCHAR(64) PRIMARY KEY,
+        setting_value VARCHAR(255) NOT NULL,
+        updated_by VARCHAR(20) NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Shift DATETIME values written before HOSPITAL_TIMEZONE existed, before the session
+    // backfill below or anything else reads them
+    const { convertLegacyDatetimes } = require('../utils/timezoneUpgrade');
+    await convertLegacyDatetimes(connection, DB_TIMEZONE);
+
+    // Password policy: track when each password was set and which ones were used before
+    await ensureColumn(connection, 'users', 'password_changed_at', 'DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP');
+    // Set when an admin chose the password; cleared once the user picks their own
+    await ensureColumn(connection, 'users', 'must_change_password', 'BOOLEAN NOT NULL DEFAULT FALSE');
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(20) NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_history (user_id, created_at)
+      )
+    `);
+
+    // Create password reset codes table (single-use codes issued by an admin)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS password_reset_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(20) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        created_by VARCHAR(20) NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_code (user_id, code_hash)
+      )
+    `);
+
+    // Create roles and role permissions tables (permission-based access control)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name VARCHAR(30) PRIMARY KEY,
+        label VARCHAR(100) NOT NULL,
+        dashboard ENUM('admin','doctor') NOT NULL,
+        department_scoped BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role VARCHAR(30) NOT NULL,
+        permission VARCHAR(50) NOT NULL,
+        PRIMARY KEY (role, permission),
+        FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE
+      )
+    `);
+
+    // Create authentication events table (audit log of logins, logouts and password changes).
+    // No foreign key: failed logins for unknown IDs and events of deleted users are kept.
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS auth_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(64) NULL,
+        event_type VARCHAR(40) NOT NULL,
+        outcome ENUM('success','failure','blocked') NOT NULL,
+        detail VARCHAR(255) NULL,
+        ip_address VARCHAR(45),
+        user_agent VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_auth_events_user (user_id, created_at),
+        INDEX idx_auth_events_ip (ip_address, created_at),
+        INDEX idx_auth_events_created (created_at)
+      )
+    `);
+
+    // Create API keys table (hashed keys for HRIS/payroll integrations)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        public_id CHAR(12) NOT NULL UNIQUE,
+        secret_hash CHAR(64) NOT NULL,
+        scopes VARCHAR(255) NOT NULL,
+        created_by VARCHAR(20) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NULL,
+        last_used_at DATETIME NULL,
+        last_used_ip VARCHAR(45) NULL,
+        revoked_at DATETIME NULL
+      )
+    `);
+
+    const { seedDefaultRoles } = require('../utils/permissions');
+    await seedDefaultRoles(connection);
+
+    // Create shift templates table (pagi/siang/malam, poli hours)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS shift_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(20) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        late_grace_minutes INT NOT NULL DEFAULT 0,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create doctor schedules table (shift assigned to a doctor on a date). Times are
+    // copied from the template so editing a template does not change past schedules.
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS doctor_schedules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(20) NOT NULL,
+        schedule_date DATE NOT NULL,
+        shift_template_id INT NULL,
+        shift_name VARCHAR(100) NOT NULL,
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        late_grace_minutes INT NOT NULL DEFAULT 0,
+        created_by VARCHAR(20) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (shift_template_id) REFERENCES shift_templates(id) ON DELETE SET NULL,
+        UNIQUE KEY uq_doctor_schedule (user_id, schedule_date, start_time),
+        INDEX idx_schedule_date (schedule_date)
+      )
+    `);
+
+    const { seedShiftTemplates } = require('../utils/schedule');
+    await seedShiftTemplates(connection);
+
+    // Schedule annotations of check-ins and check-outs
+    await ensureColumn(connection, 'attendance', 'schedule_id', 'INT NULL');
+    await ensureColumn(connection, 'attendance', 'scheduled_start', 'DATETIME NULL');
+    await ensureColumn(connection, 'attendance', 'scheduled_end', 'DATETIME NULL');
+    await ensureColumn(connection, 'attendance', 'minutes_late', 'INT NULL');
+    await ensureColumn(connection, 'attendance', 'minutes_early', 'INT NULL');
+    await ensureIndex(connection, 'attendance', 'idx_attendance_schedule', 'schedule_id');
+
+    // Attendance sessions: shift date of every record and the check-in a check-out closes
+    await ensureColumn(connection, 'attendance', 'session_date', 'DATE NULL');
+    await ensureColumn(connection, 'attendance', 'checkin_id', 'INT NULL');
+    const { backfillSessions } = require('../utils/attendance');
+    await backfillSessions(connection);
+    // Sessions are looked up by shift date, and a check-out by the check-in it closes
+    await ensureIndex(connection, 'attendance', 'idx_attendance_session', 'user_id, session_date');
+    await ensureIndex(connection, 'attendance', 'idx_attendance_checkin', 'checkin_id');
+
+    // Breaks inside a session are recorded without a photo
+    const [attendanceColumns] = await connection.execute(`
+      SELECT COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'attendance' AND COLUMN_NAME IN ('type', 'photo_path')
+    `);
+    const typeColumn = attendanceColumns.find(column => column.COLUMN_NAME === 'type');
+    if (typeColumn && !typeColumn.COLUMN_TYPE.includes('break_start')) {
+      await connection.execute(
+        `ALTER TABLE attendance MODIFY type ENUM('checkin','checkout','break_start','break_end') NOT NULL`
+      );
+    }
+    const photoColumn = attendanceColumns.find(column => column.COLUMN_NAME === 'photo_path');
+    if (photoColumn && photoColumn.IS_NULLABLE === 'NO') {
+      await connection.execute('ALTER TABLE attendance MODIFY photo_path VARCHAR(255) NULL');
+    }
+
+    // Create leave types table (cuti, sakit, conference leave, ...)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS leave_types (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(20) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        requires_attachment BOOLEAN NOT NULL DEFAULT FALSE,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create leave requests table (a doctor's absence over a date range, approved by an admin)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS leave_requests (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(20) NOT NULL,
+        leave_type_id INT NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        reason VARCHAR(500) NULL,
+        attachment_path VARCHAR(255) NULL,
+        status ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+        reviewed_by VARCHAR(20) NULL,
+        reviewed_at DATETIME NULL,
+        review_note VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (leave_type_id) REFERENCES leave_types(id),
+        INDEX idx_leave_user_dates (user_id, start_date, end_date),
+        INDEX idx_leave_status (status)
+      )
+    `);
+
+    const { seedLeaveTypes } = require('../utils/leave');
+    await seedLeaveTypes(connection);
+
+    // Create attendance corrections table (a missed check-in or check-out reported by the
+    // doctor; approval creates the attendance record)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS attendance_corrections (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(20) NOT NULL,
+        session_date DATE NOT NULL,
+        type ENUM('checkin','checkout') NOT NULL,
+        proposed_time DATETIME NOT NULL,
+        reason VARCHAR(500) NOT NULL,
+        status ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+        reviewed_by VARCHAR(20) NULL,
+        reviewed_at DATETIME NULL,
+        review_note VARCHAR(255) NULL,
+        attendance_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_correction_user_date (user_id, session_date),
+        INDEX idx_correction_status (status)
+      )
+    `);
+
+    // Where an attendance record came from: 'app' (check-in screen), 'correction' or 'auto'
+    // (a forgotten check-out closed by the server)
+    await ensureColumn(connection, 'attendance', 'source', "VARCHAR(20) NOT NULL DEFAULT 'app'");
+    await ensureColumn(connection, 'attendance', 'correction_id', 'INT NULL');
+    // Auto-closed check-outs stay in the admin review list until reviewed
+    await ensureColumn(connection, 'attendance', 'reviewed_by', 'VARCHAR(20) NULL');
+    await ensureColumn(connection, 'attendance', 'reviewed_at', 'DATETIME NULL');
+    // Distance from the hospital, and the on-call reason when recorded outside the geofence
+    // (the exception waits for approval like auto-closed check-outs)
+    await ensureColumn(connection, 'attendance', 'distance_m', 'INT NULL');
+    await ensureColumn(connection, 'attendance', 'outside_reason', 'VARCHAR(30) NULL');
+    await ensureColumn(connection, 'attendance', 'outside_note', 'VARCHAR(255) NULL');
+    await ensureColumn(connection, 'attendance', 'exception_status', "ENUM('pending','approved','rejected') NULL");
+    await ensureColumn(connection, 'attendance', 'review_note', 'VARCHAR(255) NULL');
+
+    // Create notifications table (messages shown to a user on their dashboard)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(20) NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        message VARCHAR(500) NOT NULL,
+        attendance_id INT NULL,
+        read_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_notification_user (user_id, read_at)
+      )
+    `);
+
+    // Create holidays table (public holidays and hospital closures, shown on calendars)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS holidays (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        holiday_date DATE NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        created_by VARCHAR(20) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Older installs stored the role as ENUM('admin','doctor')
+    const [roleColumn] = await connection.execute(`
+      SELECT DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'role'
+    `);
+    if (roleColumn.length > 0 && roleColumn[0].DATA_TYPE === 'enum') {
+      await connection.execute(`ALTER TABLE users MODIFY role VARCHAR(30) NOT NULL DEFAULT 'doctor'`);
+    }
+    await ensureColumn(connection, 'users', 'department', 'VARCHAR(100) NULL');
+
+    // Account status: deactivated accounts keep their history but cannot sign in
+    await ensureColumn(connection, 'users', 'status', "ENUM('active','inactive') NOT NULL DEFAULT 'active'");
+    await ensureColumn(connection, 'users', 'deactivated_at', 'DATETIME NULL');
+    await ensureColumn(connection, 'users', 'deactivation_reason', 'VARCHAR(255) NULL');
+    await ensureColumn(connection, 'users', 'deactivated_by', 'VARCHAR(20) NULL');
+
+    // Validity window of temporary accounts (locum and visiting doctors), inclusive dates
+    await ensureColumn(connection, 'users', 'valid_from', 'DATE NULL');
+    await ensureColumn(connection, 'users', 'valid_until', 'DATE NULL');
+
     // Create default admin user if not exists
     const bcrypt = require('bcrypt');
     const adminPassword = await bcrypt.hash('admin123', 10);
     
     await connection.execute(`
       INSERT IGNORE INTO users (id, name, role, password_hash) 
-      VALUES ('admin', 'Administrator', 'admin', ?)
+      VALUES ('admin', 'Administrator', 'super_admin', ?)
     `, [adminPassword]);
 
+    // Someone must be able to assign roles: promote the built-in admin on upgrade
+    const [superAdmins] = await connection.execute(
+      "SELECT COUNT(*) as count FROM users WHERE role = 'super_admin'"
+    );
+    if (superAdmins[0].count === 0) {
+      await connection.execute(
+        "UPDATE users SET role = 'super_admin' WHERE id = 'admin' AND role = 'admin'"
+      );
+    }
+
     console.log('✅ Database tables initialized successfully');
     connection.release();
   } catch (error) {
@@ -1,25 +1,35 @@
 const jwt = require('jsonwebtoken');
+const { pool } = require('../config/db');
+const { isTwoFactorSetupRequired } = require('../utils/twoFactor');
+const { isPasswordExpired } = require('../utils/passwordPolicy');
+const { getRolePermissions, hasPermission } = require('../utils/permissions');
+const { getAccountAccessError } = require('../utils/accountStatus');
+const { verifyApiKey } = require('../utils/apiKeys');
+const { isTrustedOidcSession } = require('../utils/oidc');
 require('dotenv').config();
 
-// Middleware to verify JWT token from cookies
-const authenticateToken = (req, res, next) => {
-  try {
-    const token = req.cookies.token;
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Access denied. No token provided.' 
-      });
-    }
+// Only bump last_seen_at once a minute to avoid a write on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Middleware to verify JWT token from cookies against an active session
+const authenticateToken = async (req, res, next) => {
+  const token = req.cookies.token;
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+  if (!token) {
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Access denied. No token provided.' 
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
         success: false, 
+        code: 'TOKEN_EXPIRED',
         message: 'Token expired. Please login again.' 
       });
     }
@@ -29,11 +39,126 @@ const authenticateToken = (req, res, next) => {
       message: 'Invalid token.' 
     });
   }
+
+  try {
+    const now = new Date();
+    const [rows] = await pool.execute(`
+      SELECT s.id as session_id, s.last_seen_at, s.auth_method, u.id, u.name, u.role, u.department,
+        u.totp_enabled, u.password_changed_at, u.must_change_password,
+        u.status, u.valid_from, u.valid_until,
+        r.dashboard, r.department_scoped
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      LEFT JOIN roles r ON r.name = u.role
+      WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > ?
+    `, [decoded.sid || '', decoded.id, now]);
+
+    if (rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'Session has ended. Please login again.'
+      });
+    }
+
+    const session = rows[0];
+
+    // Deactivated, or a temporary account outside its validity window
+    const accessError = getAccountAccessError(session, now);
+    if (accessError) {
+      return res.status(401).json({
+        success: false,
+        code: accessError.code,
+        message: accessError.message
+      });
+    }
+
+    if (now - new Date(session.last_seen_at) > LAST_SEEN_INTERVAL_MS) {
+      await pool.execute(
+        'UPDATE sessions SET last_seen_at = ?, ip_address = ? WHERE id = ?',
+        [now, req.ip, session.session_id]
+      );
+    }
+
+    // Local password and 2FA rules apply unless the identity provider is trusted
+    const trustedOidc = await isTrustedOidcSession(session.auth_method);
+
+    req.user = {
+      id: session.id,
+      name: session.name,
+      role: session.role,
+      dashboard: session.dashboard,
+      department: session.department,
+      departmentScoped: !!session.department_scoped,
+      permissions: await getRolePermissions(session.role),
+      totpEnabled: !!session.totp_enabled,
+      passwordExpired: !trustedOidc && isPasswordExpired(session.password_changed_at),
+      mustChangePassword: !trustedOidc && !!session.must_change_password,
+      authMethod: session.auth_method,
+      trustedOidc,
+      sessionId: session.session_id
+    };
+    req.accessTokenExpiresAt = new Date(decoded.exp * 1000);
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+
+  next();
 };
 
-// Middleware to check if user is admin
+// Middleware for server-to-server integrations: authenticates the X-API-Key header
+// instead of the session cookie and sets req.apiKey
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = req.get('X-API-Key');
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No API key provided.'
+    });
+  }
+
+  try {
+    const key = await verifyApiKey(apiKey, req.ip);
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        code: 'API_KEY_INVALID',
+        message: 'Invalid, expired or revoked API key.'
+      });
+    }
+
+    req.apiKey = key;
+  } catch (error) {
+    console.error('API key lookup error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+
+  next();
+};
+
+// Middleware factory requiring an API key scope, e.g. requireScope('attendance:read')
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || !req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      code: 'SCOPE_DENIED',
+      message: `Access denied. API key is missing scope: ${scope}`
+    });
+  }
+  next();
+};
+
+// Middleware to check if user is admin (any role that uses the admin dashboard)
 const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+  if (req.user.dashboard !== 'admin') {
     return res.status(403).json({ 
       success: false, 
       message: 'Access denied. Admin privileges required.' 
@@ -42,9 +167,9 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// Middleware to check if user is doctor
+// Middleware to check if user is doctor (any role that uses the doctor dashboard)
 const requireDoctor = (req, res, next) => {
-  if (req.user.role !== 'doctor') {
+  if (req.user.dashboard !== 'doctor') {
     return res.status(403).json({ 
       success: false, 
       message: 'Access denied. Doctor privileges required.' 
@@ -53,9 +178,68 @@ const requireDoctor = (req, res, next) => {
   next();
 };
 
+// Middleware to block admins who have not enrolled in 2FA while it is enforced
+const requireTwoFactorEnrollment = async (req, res, next) => {
+  try {
+    const setupRequired = !req.user.trustedOidc &&
+      await isTwoFactorSetupRequired(req.user.dashboard, req.user.totpEnabled);
+
+    if (setupRequired) {
+      return res.status(403).json({
+        success: false,
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+        message: 'Two-factor authentication must be set up before continuing.'
+      });
+    }
+  } catch (error) {
+    console.error('Two-factor enrollment check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+
+  next();
+};
+
+// Middleware to block users who have to change their password first
+// (admin-assigned password or past the maximum age)
+const requireCurrentPassword = (req, res, next) => {
+  if (req.user.mustChangePassword) {
+    return res.status(403).json({
+      success: false,
+      code: 'PASSWORD_CHANGE_REQUIRED',
+      message: 'You must change your password before continuing.'
+    });
+  }
+
+  if (req.user.passwordExpired) {
+    return res.status(403).json({
+      success: false,
+      code: 'PASSWORD_EXPIRED',
+      message: 'Your password has expired. Please change it to continue.'
+    });
+  }
+  next();
+};
+
+// Middleware factory requiring every listed permission, e.g. requirePermission('attendance:delete')
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      code: 'PERMISSION_DENIED',
+      message: `Access denied. Missing permission: ${missing.join(', ')}`
+    });
+  }
+  next();
+};
+
 // Middleware to allow both admin and doctor
 const requireAuth = (req, res, next) => {
-  if (!req.user || !['admin', 'doctor'].includes(req.user.role)) {
+  if (!req.user || !['admin', 'doctor'].includes(req.user.dashboard)) {
     return res.status(403).json({ 
       success: false, 
       message: 'Access denied. Authentication required.' 
@@ -66,7 +250,12 @@ const requireAuth = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateApiKey,
+  requireScope,
   requireAdmin,
   requireDoctor,
-  requireAuth
+  requireAuth,
+  requireTwoFactorEnrollment,
+  requireCurrentPassword,
+  requirePermission
 };
@@ -0,0 +1,49 @@
+const jwt = require('jsonwebtoken');
+const { isValidCsrfToken } = require('../utils/session');
+require('dotenv').config();
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Endpoints that run before the client has a CSRF token
+const EXEMPT_PATHS = [
+  '/api/auth/login',
+  '/api/auth/login/2fa',
+  '/api/auth/reset-password',
+  '/api/auth/refresh'
+];
+
+// Middleware to require the session's CSRF token (X-CSRF-Token header) on every
+// state-changing request made with the auth cookie
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || EXEMPT_PATHS.includes(req.originalUrl.split('?')[0])) {
+    return next();
+  }
+
+  const token = req.cookies.token;
+  if (!token) {
+    // Not cookie-authenticated; the route's own auth check decides
+    return next();
+  }
+
+  let decoded;
+  try {
+    // An expired access token still identifies the session the request claims
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+  } catch (error) {
+    return next();
+  }
+
+  if (!isValidCsrfToken(decoded.sid, req.get('X-CSRF-Token'))) {
+    return res.status(403).json({
+      success: false,
+      code: 'CSRF_INVALID',
+      message: 'Invalid or missing CSRF token. Please reload the page.'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  csrfProtection
+};
@@ -0,0 +1,169 @@
+// Minimal OpenID Connect provider for local testing of the hospital account login.
+// Not for production: it signs in whoever types an employee number (NIP) on its form.
+//
+//   npm run mock-oidc
+//
+// and in server/.env:
+//   OIDC_ISSUER=http://localhost:5055
+//   OIDC_CLIENT_ID=absensi-local
+//   OIDC_CLIENT_SECRET=absensi-local-secret
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 5055;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'absensi-local';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || 'absensi-local-secret';
+const CODE_TTL_MS = 60 * 1000;
+
+// Fresh signing key on every start; the app re-fetches the key set for an unknown kid
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes, single use
+const codes = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(body)));
+  req.on('error', reject);
+});
+
+const loginForm = (query) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(query.get(name) || '')}">`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head><title>Mock hospital login</title></head>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 80px auto;">
+    <h2>Mock hospital login</h2>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <label>Employee number (NIP)<br><input name="sub" autofocus required></label>
+      <p><button type="submit">Sign in</button> <button type="submit" name="deny" value="1">Cancel</button></p>
+    </form>
+  </body>
+</html>`;
+};
+
+const redirectWith = (res, redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  res.writeHead(302, { Location: url.toString() });
+  res.end();
+};
+
+const handleAuthorizeSubmit = async (req, res) => {
+  const form = await readBody(req);
+  const redirectUri = form.get('redirect_uri');
+
+  if (form.get('client_id') !== CLIENT_ID || !redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_request' });
+  }
+
+  if (form.get('deny')) {
+    return redirectWith(res, redirectUri, { error: 'access_denied', state: form.get('state') || '' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    sub: form.get('sub').trim(),
+    nonce: form.get('nonce'),
+    redirectUri,
+    codeChallenge: form.get('code_challenge'),
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  redirectWith(res, redirectUri, { code, state: form.get('state') || '' });
+};
+
+const handleToken = async (req, res) => {
+  const form = await readBody(req);
+  const grant = codes.get(form.get('code'));
+  codes.delete(form.get('code'));
+
+  if (form.get('client_id') !== CLIENT_ID || form.get('client_secret') !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ sub: grant.sub, nip: grant.sub, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      const jwk = publicKey.export({ format: 'jwk' });
+      return sendJson(res, 200, { keys: [{ ...jwk, kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(loginForm(url.searchParams));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      return await handleAuthorizeSubmit(req, res);
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock OIDC error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id ${CLIENT_ID})`);
+});
@@ -1,16 +1,51 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const { pool } = require('../config/db');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  authenticateToken,
+  requireAdmin,
+  requireTwoFactorEnrollment,
+  requireCurrentPassword,
+  requirePermission
+} = require('../middleware/auth');
+const { getActiveLocks, clearFailedLogins } = require('../utils/loginThrottle');
+const { revokeUserSessions } = require('../utils/session');
+const { getBooleanSetting, setSetting } = require('../utils/settings');
+const {
+  BCRYPT_ROUNDS,
+  validatePassword,
+  isPasswordReused,
+  setUserPassword,
+  recordPasswordHistory
+} = require('../utils/passwordPolicy');
+const { createResetCode } = require('../utils/passwordReset');
+const { getRoles, getDepartmentScope } = require('../utils/permissions');
+const { AUTH_EVENT_TYPES, AUTH_EVENT_OUTCOMES, recordAuthEvent } = require('../utils/authEvents');
+const { parseValidityWindow } = require('../utils/accountStatus');
+const { API_KEY_SCOPES, createApiKey, getApiKeys, revokeApiKey } = require('../utils/apiKeys');
+const { parseShiftTemplate, getAssignmentDates, parseHoliday } = require('../utils/schedule');
+const { toDateString, toTimeString, zonedDateTime, isDateString } = require('../utils/time');
+const { LEAVE_STATUSES, sendLeaveAttachment } = require('../utils/leave');
+const {
+  CORRECTION_STATUSES,
+  resolveCorrection,
+  createCorrectionRecord
+} = require('../utils/corrections');
+const { resolveReviewedCheckout } = require('../utils/autoClose');
+const { createNotification } = require('../utils/notifications');
+const { normalizeTime } = require('../utils/schedule');
 const router = express.Router();
 
 // Apply authentication and admin middleware to all routes
 router.use(authenticateToken);
 router.use(requireAdmin);
+router.use(requireTwoFactorEnrollment);
+router.use(requireCurrentPassword);
 
 // GET /admin/activity - Get recent activity
-router.get('/activity', async (req, res) => {
+router.get('/activity', requirePermission('activity:view'), async (req, res) => {
   try {
+    const scope = getDepartmentScope(req.user);
     const [rows] = await pool.execute(`
       SELECT 
         a.id,
@@ -23,9 +58,10 @@ router.get('/activity', async (req, res) => {
         u.name as doctor_name
       FROM attendance a
       JOIN users u ON a.user_id = u.id
+      WHERE 1=1${scope.clause}
       ORDER BY a.timestamp DESC
       LIMIT 20
-    `);
+    `, scope.params);
 
     res.json({
       success: true,
@@ -42,9 +78,9 @@ router.get('/activity', async (req, res) => {
 });
 
 // POST /admin/create-doctor - Create new doctor
-router.post('/create-doctor', async (req, res) => {
+router.post('/create-doctor', requirePermission('doctors:manage'), async (req, res) => {
   try {
-    const { id, name, password } = req.body;
+    const { id, name, password, department } = req.body;
 
     // Validate input
     if (!id || !name || !password) {
@@ -54,13 +90,37 @@ router.post('/create-doctor', async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
+    // Optional validity window for locum and visiting doctors
+    const validity = parseValidityWindow(req.body.validFrom, req.body.validUntil);
+    if (validity.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: validity.errors.join('. '),
+        errors: validity.errors
+      });
+    }
+
+    const policyErrors = validatePassword(password);
+    if (policyErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: policyErrors.join('. '),
+        errors: policyErrors
       });
     }
 
+    // A department-scoped admin can only add doctors to their own department
+    let doctorDepartment = (department || '').trim() || null;
+    if (req.user.departmentScoped) {
+      if (!req.user.department || (doctorDepartment && doctorDepartment !== req.user.department)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only add doctors to your own department'
+        });
+      }
+      doctorDepartment = req.user.department;
+    }
+
     // Check if doctor ID already exists
     const [existingUser] = await pool.execute(
       'SELECT id FROM users WHERE id = ?',
@@ -75,13 +135,15 @@ router.post('/create-doctor', async (req, res) => {
     }
 
     // Hash password
-    const passwordHash = await bcrypt.hash(password, 10);
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
 
-    // Insert new doctor
+    // Insert new doctor; the admin-chosen password must be replaced at first login
     await pool.execute(
-      'INSERT INTO users (id, name, role, password_hash) VALUES (?, ?, ?, ?)',
-      [id.trim(), name.trim(), 'doctor', passwordHash]
+      `INSERT INTO users (id, name, role, department, password_hash, must_change_password, valid_from, valid_until)
+       VALUES (?, ?, ?, ?, ?, TRUE, ?, ?)`,
+      [id.trim(), name.trim(), 'doctor', doctorDepartment, passwordHash, validity.validFrom, validity.validUntil]
     );
+    await recordPasswordHistory(id.trim(), passwordHash);
 
     res.json({
       success: true,
@@ -98,7 +160,7 @@ router.post('/create-doctor', async (req, res) => {
 });
 
 // PUT /admin/update-password - Update doctor's password
-router.put('/update-password', async (req, res) => {
+router.put('/update-password', requirePermission('doctors:manage'), async (req, res) => {
   try {
     const { doctorId, newPassword } = req.body;
 
@@ -110,17 +172,20 @@ router.put('/update-password', async (req, res) => {
       });
     }
 
-    if (newPassword.length < 6) {
+    const policyErrors = validatePassword(newPassword);
+    if (policyErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: policyErrors.join('. '),
+        errors: policyErrors
       });
     }
 
     // Check if doctor exists
+    const scope = getDepartmentScope(req.user);
     const [existingUser] = await pool.execute(
-      'SELECT id FROM users WHERE id = ? AND role = ?',
-      [doctorId, 'doctor']
+      `SELECT u.id FROM users u WHERE u.id = ? AND u.role = ?${scope.clause}`,
+      [doctorId, 'doctor', ...scope.params]
     );
 
     if (existingUser.length === 0) {
@@ -130,14 +195,19 @@ router.put('/update-password', async (req, res) => {
       });
     }
 
-    // Hash new password
-    const passwordHash = await bcrypt.hash(newPassword, 10);
+    if (await isPasswordReused(doctorId, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the doctor\'s recent passwords'
+      });
+    }
 
-    // Update password
-    await pool.execute(
-      'UPDATE users SET password_hash = ? WHERE id = ?',
-      [passwordHash, doctorId]
-    );
+    // Hash and store the new password; the doctor has to replace it at next login
+    await setUserPassword(doctorId, newPassword, { mustChange: true });
+
+    // Sign the doctor out everywhere
+    await revokeUserSessions(doctorId, 'password_reset');
+    await recordAuthEvent(req, doctorId, 'password_reset', 'success', `Password set by ${req.user.id}`);
 
     res.json({
       success: true,
@@ -153,15 +223,118 @@ router.put('/update-password', async (req, res) => {
   }
 });
 
-// DELETE /admin/delete-doctor - Delete doctor
-router.delete('/delete-doctor/:doctorId', async (req, res) => {
+// POST /admin/deactivate-doctor/:doctorId - Block sign-in and check-in, keeping all history
+router.post('/deactivate-doctor/:doctorId', requirePermission('doctors:manage'), async (req, res) => {
   try {
     const { doctorId } = req.params;
+    const reason = (req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A deactivation reason is required'
+      });
+    }
 
     // Check if doctor exists
+    const scope = getDepartmentScope(req.user);
     const [existingUser] = await pool.execute(
-      'SELECT id FROM users WHERE id = ? AND role = ?',
-      [doctorId, 'doctor']
+      `SELECT u.id, u.status FROM users u WHERE u.id = ? AND u.role = ?${scope.clause}`,
+      [doctorId, 'doctor', ...scope.params]
+    );
+
+    if (existingUser.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    if (existingUser[0].status === 'inactive') {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor is already deactivated'
+      });
+    }
+
+    await pool.execute(`
+      UPDATE users
+      SET status = 'inactive', deactivated_at = ?, deactivation_reason = ?, deactivated_by = ?
+      WHERE id = ?
+    `, [new Date(), reason.substring(0, 255), req.user.id, doctorId]);
+
+    // Sign the doctor out everywhere and void any outstanding reset code
+    await revokeUserSessions(doctorId, 'account_deactivated');
+    await pool.execute('DELETE FROM password_reset_codes WHERE user_id = ? AND used_at IS NULL', [doctorId]);
+    await recordAuthEvent(req, doctorId, 'account_deactivated', 'success', `By ${req.user.id}: ${reason}`);
+
+    res.json({
+      success: true,
+      message: 'Doctor deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate doctor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/reactivate-doctor/:doctorId - Allow a deactivated doctor to sign in again
+router.post('/reactivate-doctor/:doctorId', requirePermission('doctors:manage'), async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const scope = getDepartmentScope(req.user);
+    const [result] = await pool.execute(`
+      UPDATE users u
+      SET u.status = 'active', u.deactivated_at = NULL, u.deactivation_reason = NULL, u.deactivated_by = NULL
+      WHERE u.id = ? AND u.role = ? AND u.status = 'inactive'${scope.clause}
+    `, [doctorId, 'doctor', ...scope.params]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deactivated doctor not found'
+      });
+    }
+
+    await recordAuthEvent(req, doctorId, 'account_reactivated', 'success', `By ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Doctor reactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Reactivate doctor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /admin/purge-doctor/:doctorId - Permanently delete a deactivated doctor and all their records
+router.delete('/purge-doctor/:doctorId', requirePermission('doctors:purge'), async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+    const { confirmId } = req.body;
+
+    // The caller has to type the doctor ID again, as for any irreversible action
+    if (confirmId !== doctorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type the doctor ID to confirm the purge'
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    const [existingUser] = await pool.execute(
+      `SELECT u.id, u.status FROM users u WHERE u.id = ? AND u.role = ?${scope.clause}`,
+      [doctorId, 'doctor', ...scope.params]
     );
 
     if (existingUser.length === 0) {
@@ -171,19 +344,28 @@ router.delete('/delete-doctor/:doctorId', async (req, res) => {
       });
     }
 
-    // Delete doctor (attendance records will be deleted due to CASCADE)
+    if (existingUser[0].status !== 'inactive') {
+      return res.status(400).json({
+        success: false,
+        message: 'Deactivate the doctor before purging the account'
+      });
+    }
+
+    // Delete doctor (attendance records and sessions will be deleted due to CASCADE)
     await pool.execute(
       'DELETE FROM users WHERE id = ? AND role = ?',
       [doctorId, 'doctor']
     );
+    // auth_events has no foreign key, so this entry outlives the account
+    await recordAuthEvent(req, doctorId, 'account_purged', 'success', `By ${req.user.id}; confirmed ID ${confirmId}`);
 
     res.json({
       success: true,
-      message: 'Doctor deleted successfully'
+      message: 'Doctor and attendance history permanently deleted'
     });
 
   } catch (error) {
-    console.error('Delete doctor error:', error);
+    console.error('Purge doctor error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -192,7 +374,7 @@ router.delete('/delete-doctor/:doctorId', async (req, res) => {
 });
 
 // GET /admin/attendance-history - Get attendance history with pagination and filters
-router.get('/attendance-history', async (req, res) => {
+router.get('/attendance-history', requirePermission('attendance:view'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -203,8 +385,9 @@ router.get('/attendance-history', async (req, res) => {
     } = req.query;
 
     const offset = (page - 1) * limit;
-    let whereClause = 'WHERE 1=1';
-    const params = [];
+    const scope = getDepartmentScope(req.user);
+    let whereClause = `WHERE 1=1${scope.clause}`;
+    const params = [...scope.params];
 
     // Add search filter
     if (search) {
@@ -213,13 +396,14 @@ router.get('/attendance-history', async (req, res) => {
     }
 
     // Add date range filter
+    // Dates filter by shift date, so both halves of a night shift stay together
     if (startDate) {
-      whereClause += ' AND DATE(a.timestamp) >= ?';
+      whereClause += ' AND a.session_date >= ?';
       params.push(startDate);
     }
 
     if (endDate) {
-      whereClause += ' AND DATE(a.timestamp) <= ?';
+      whereClause += ' AND a.session_date <= ?';
       params.push(endDate);
     }
 
@@ -243,6 +427,19 @@ router.get('/attendance-history', async (req, res) => {
         a.photo_path,
         a.location_lat,
         a.location_lng,
+        DATE_FORMAT(a.session_date, '%Y-%m-%d') as session_date,
+        a.checkin_id,
+        a.scheduled_start,
+        a.scheduled_end,
+        a.minutes_late,
+        a.minutes_early,
+        a.source,
+        a.correction_id,
+        a.reviewed_at,
+        a.distance_m,
+        a.outside_reason,
+        a.outside_note,
+        a.exception_status,
         u.name as doctor_name
       FROM attendance a
       JOIN users u ON a.user_id = u.id
@@ -251,10 +448,46 @@ router.get('/attendance-history', async (req, res) => {
       LIMIT ? OFFSET ?
     `, [...params, parseInt(limit), parseInt(offset)]);
 
+    // Approved leave in the same range, so absences on leave are not read as no-shows
+    let leaveClause = `WHERE lr.status = 'approved'${scope.clause}`;
+    const leaveParams = [...scope.params];
+
+    if (search) {
+      leaveClause += ' AND (u.name LIKE ? OR u.id LIKE ?)';
+      leaveParams.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (startDate) {
+      leaveClause += ' AND lr.end_date >= ?';
+      leaveParams.push(startDate);
+    }
+
+    if (endDate) {
+      leaveClause += ' AND lr.start_date <= ?';
+      leaveParams.push(endDate);
+    }
+
+    const [leave] = await pool.execute(`
+      SELECT
+        lr.id,
+        lr.user_id,
+        u.name as doctor_name,
+        lt.name as leave_type,
+        lr.start_date,
+        lr.end_date
+      FROM leave_requests lr
+      JOIN users u ON lr.user_id = u.id
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      ${leaveClause}
+      ORDER BY lr.start_date DESC
+      LIMIT 100
+    `, leaveParams);
+
     res.json({
       success: true,
       data: {
         records: rows,
+        leave,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -274,14 +507,15 @@ router.get('/attendance-history', async (req, res) => {
 });
 
 // DELETE /admin/delete-attendance - Delete attendance record
-router.delete('/delete-attendance/:attendanceId', async (req, res) => {
+router.delete('/delete-attendance/:attendanceId', requirePermission('attendance:delete'), async (req, res) => {
   try {
     const { attendanceId } = req.params;
 
     // Check if attendance record exists
+    const scope = getDepartmentScope(req.user);
     const [existingRecord] = await pool.execute(
-      'SELECT id, photo_path FROM attendance WHERE id = ?',
-      [attendanceId]
+      `SELECT a.id, a.photo_path FROM attendance a JOIN users u ON a.user_id = u.id WHERE a.id = ?${scope.clause}`,
+      [attendanceId, ...scope.params]
     );
 
     if (existingRecord.length === 0) {
@@ -320,14 +554,28 @@ router.delete('/delete-attendance/:attendanceId', async (req, res) => {
 });
 
 // GET /admin/doctors - Get all doctors
-router.get('/doctors', async (req, res) => {
+router.get('/doctors', requirePermission('doctors:view'), async (req, res) => {
   try {
+    const scope = getDepartmentScope(req.user);
     const [rows] = await pool.execute(`
-      SELECT id, name, created_at
-      FROM users 
-      WHERE role = 'doctor'
-      ORDER BY name ASC
-    `);
+      SELECT 
+        u.id, 
+        u.name, 
+        u.department,
+        u.status,
+        u.deactivated_at,
+        u.deactivation_reason,
+        DATE_FORMAT(u.valid_from, '%Y-%m-%d') as valid_from,
+        DATE_FORMAT(u.valid_until, '%Y-%m-%d') as valid_until,
+        u.created_at,
+        (
+          SELECT COUNT(*) FROM sessions s
+          WHERE s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > ?
+        ) as active_sessions
+      FROM users u
+      WHERE u.role = 'doctor'${scope.clause}
+      ORDER BY u.status ASC, u.name ASC
+    `, [new Date(), ...scope.params]);
 
     res.json({
       success: true,
@@ -343,4 +591,1646 @@ router.get('/doctors', async (req, res) => {
   }
 });
 
+// PUT /admin/doctors/:doctorId/validity - Set, extend or clear the validity window of a doctor account
+router.put('/doctors/:doctorId/validity', requirePermission('doctors:manage'), async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    const validity = parseValidityWindow(req.body.validFrom, req.body.validUntil);
+    if (validity.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: validity.errors.join('. '),
+        errors: validity.errors
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    const [result] = await pool.execute(
+      `UPDATE users u SET u.valid_from = ?, u.valid_until = ? WHERE u.id = ? AND u.role = ?${scope.clause}`,
+      [validity.validFrom, validity.validUntil, doctorId, 'doctor', ...scope.params]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: validity.validFrom || validity.validUntil
+        ? 'Account validity updated'
+        : 'Account is now permanent'
+    });
+
+  } catch (error) {
+    console.error('Update validity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/reset-code/:doctorId - Issue a one-time password reset code
+router.post('/reset-code/:doctorId', requirePermission('doctors:manage'), async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    // Check if doctor exists
+    const scope = getDepartmentScope(req.user);
+    const [existingUser] = await pool.execute(
+      `SELECT u.id, u.name, u.status FROM users u WHERE u.id = ? AND u.role = ?${scope.clause}`,
+      [doctorId, 'doctor', ...scope.params]
+    );
+
+    if (existingUser.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    if (existingUser[0].status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reactivate the doctor before issuing a reset code'
+      });
+    }
+
+    const { code, expiresAt } = await createResetCode(doctorId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Reset code created',
+      data: {
+        doctorId,
+        doctorName: existingUser[0].name,
+        code,
+        expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create reset code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/force-logout/:doctorId - Sign a doctor out of every device
+router.post('/force-logout/:doctorId', requirePermission('doctors:manage'), async (req, res) => {
+  try {
+    const { doctorId } = req.params;
+
+    // Check if doctor exists
+    const scope = getDepartmentScope(req.user);
+    const [existingUser] = await pool.execute(
+      `SELECT u.id FROM users u WHERE u.id = ? AND u.role = ?${scope.clause}`,
+      [doctorId, 'doctor', ...scope.params]
+    );
+
+    if (existingUser.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const count = await revokeUserSessions(doctorId, 'admin_force_logout');
+
+    res.json({
+      success: true,
+      message: `Doctor signed out of ${count} device(s)`,
+      data: { count }
+    });
+
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/shift-templates - Shift templates (pagi/siang/malam, poli hours)
+router.get('/shift-templates', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT
+        id,
+        code,
+        name,
+        TIME_FORMAT(start_time, '%H:%i') as start_time,
+        TIME_FORMAT(end_time, '%H:%i') as end_time,
+        late_grace_minutes,
+        is_active
+      FROM shift_templates
+      ORDER BY is_active DESC, start_time ASC
+    `);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Get shift templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/shift-templates - Create a shift template
+router.post('/shift-templates', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { errors, template } = parseShiftTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const [existing] = await pool.execute(
+      'SELECT id FROM shift_templates WHERE code = ?',
+      [template.code]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'A shift template with this code already exists'
+      });
+    }
+
+    const [result] = await pool.execute(`
+      INSERT INTO shift_templates (code, name, start_time, end_time, late_grace_minutes, is_active)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [template.code, template.name, template.startTime, template.endTime, template.lateGraceMinutes, template.isActive]);
+
+    res.json({
+      success: true,
+      message: 'Shift template created',
+      data: { id: result.insertId }
+    });
+
+  } catch (error) {
+    console.error('Create shift template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /admin/shift-templates/:templateId - Update or retire a shift template.
+// Schedules already assigned keep the times they were created with.
+router.put('/shift-templates/:templateId', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const { errors, template } = parseShiftTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const [existing] = await pool.execute(
+      'SELECT id FROM shift_templates WHERE code = ? AND id <> ?',
+      [template.code, templateId]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'A shift template with this code already exists'
+      });
+    }
+
+    const [result] = await pool.execute(`
+      UPDATE shift_templates
+      SET code = ?, name = ?, start_time = ?, end_time = ?, late_grace_minutes = ?, is_active = ?
+      WHERE id = ?
+    `, [template.code, template.name, template.startTime, template.endTime, template.lateGraceMinutes, template.isActive, templateId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shift template updated'
+    });
+
+  } catch (error) {
+    console.error('Update shift template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/schedules - Doctor schedules in a date range
+router.get('/schedules', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const { startDate = '', endDate = '', doctorId = '' } = req.query;
+
+    const scope = getDepartmentScope(req.user);
+    let whereClause = `WHERE 1=1${scope.clause}`;
+    const params = [...scope.params];
+
+    if (doctorId) {
+      whereClause += ' AND s.user_id = ?';
+      params.push(doctorId);
+    }
+
+    if (startDate) {
+      whereClause += ' AND s.schedule_date >= ?';
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ' AND s.schedule_date <= ?';
+      params.push(endDate);
+    }
+
+    const [rows] = await pool.execute(`
+      SELECT
+        s.id,
+        s.user_id,
+        u.name as doctor_name,
+        u.department,
+        DATE_FORMAT(s.schedule_date, '%Y-%m-%d') as schedule_date,
+        s.shift_name,
+        TIME_FORMAT(s.start_time, '%H:%i') as start_time,
+        TIME_FORMAT(s.end_time, '%H:%i') as end_time,
+        s.late_grace_minutes,
+        (
+          SELECT MIN(a.timestamp) FROM attendance a
+          WHERE a.schedule_id = s.id AND a.type = 'checkin'
+        ) as checkin_time
+      FROM doctor_schedules s
+      JOIN users u ON s.user_id = u.id
+      ${whereClause}
+      ORDER BY s.schedule_date ASC, s.start_time ASC, u.name ASC
+      LIMIT 1000
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Get schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/schedules - Assign a shift to a doctor for every date in a range
+router.post('/schedules', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { doctorId, shiftTemplateId, startDate, endDate, weekdays } = req.body;
+
+    if (!doctorId || !shiftTemplateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor and shift are required'
+      });
+    }
+
+    const { dates, error } = getAssignmentDates(startDate, endDate, weekdays);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Department-scoped roles only schedule doctors of their own department
+    const scope = getDepartmentScope(req.user);
+    const [doctors] = await pool.execute(
+      `SELECT u.id FROM users u WHERE u.id = ? AND u.role = ?${scope.clause}`,
+      [doctorId, 'doctor', ...scope.params]
+    );
+
+    if (doctors.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Doctor not found'
+      });
+    }
+
+    const [templates] = await pool.execute(
+      'SELECT id, name, start_time, end_time, late_grace_minutes FROM shift_templates WHERE id = ? AND is_active = TRUE',
+      [shiftTemplateId]
+    );
+
+    if (templates.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift template not found'
+      });
+    }
+
+    const template = templates[0];
+    let created = 0;
+
+    // Dates where the doctor already has this shift are skipped
+    for (const date of dates) {
+      const [result] = await pool.execute(`
+        INSERT IGNORE INTO doctor_schedules
+          (user_id, schedule_date, shift_template_id, shift_name, start_time, end_time, late_grace_minutes, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [doctorId, date, template.id, template.name, template.start_time, template.end_time, template.late_grace_minutes, req.user.id]);
+      created += result.affectedRows;
+    }
+
+    res.json({
+      success: true,
+      message: `${created} schedule(s) assigned${created < dates.length ? `, ${dates.length - created} already existed` : ''}`,
+      data: { created }
+    });
+
+  } catch (error) {
+    console.error('Create schedules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /admin/schedules/:scheduleId - Remove a schedule that has no check-in yet
+router.delete('/schedules/:scheduleId', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const scope = getDepartmentScope(req.user);
+    const [schedules] = await pool.execute(
+      `SELECT s.id FROM doctor_schedules s JOIN users u ON s.user_id = u.id WHERE s.id = ?${scope.clause}`,
+      [scheduleId, ...scope.params]
+    );
+
+    if (schedules.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    const [checkins] = await pool.execute(
+      "SELECT id FROM attendance WHERE schedule_id = ? AND type = 'checkin'",
+      [scheduleId]
+    );
+
+    if (checkins.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This schedule already has a check-in and cannot be removed'
+      });
+    }
+
+    const [result] = await pool.execute(
+      'DELETE FROM doctor_schedules WHERE id = ?',
+      [scheduleId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule removed'
+    });
+
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/holidays - Holidays of a year (defaults to the current year)
+router.get('/holidays', requirePermission('attendance:view'), async (req, res) => {
+  try {
+    const year = req.query.year || toDateString(new Date()).slice(0, 4);
+
+    if (!/^\d{4}$/.test(year)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Year must be a year (YYYY)'
+      });
+    }
+
+    const [rows] = await pool.execute(`
+      SELECT
+        h.id,
+        DATE_FORMAT(h.holiday_date, '%Y-%m-%d') as holiday_date,
+        h.name,
+        u.name as created_by_name
+      FROM holidays h
+      LEFT JOIN users u ON h.created_by = u.id
+      WHERE h.holiday_date BETWEEN ? AND ?
+      ORDER BY h.holiday_date ASC
+    `, [`${year}-01-01`, `${year}-12-31`]);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/holidays - Add a holiday
+router.post('/holidays', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const { errors, holiday } = parseHoliday(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        errors
+      });
+    }
+
+    const [existing] = await pool.execute(
+      'SELECT id FROM holidays WHERE holiday_date = ?',
+      [holiday.date]
+    );
+
+    if (existing.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'A holiday on this date already exists'
+      });
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO holidays (holiday_date, name, created_by) VALUES (?, ?, ?)',
+      [holiday.date, holiday.name, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Holiday added',
+      data: { id: result.insertId }
+    });
+
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /admin/holidays/:holidayId - Remove a holiday
+router.delete('/holidays/:holidayId', requirePermission('schedules:manage'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM holidays WHERE id = ?',
+      [req.params.holidayId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Holiday removed'
+    });
+
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/leave-requests - Leave requests by status (pending first for the approval queue)
+router.get('/leave-requests', requirePermission('leave:approve'), async (req, res) => {
+  try {
+    const { status = 'pending', startDate = '', endDate = '' } = req.query;
+
+    if (status && !LEAVE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${LEAVE_STATUSES.join(', ')}`
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    let whereClause = `WHERE 1=1${scope.clause}`;
+    const params = [...scope.params];
+
+    if (status) {
+      whereClause += ' AND lr.status = ?';
+      params.push(status);
+    }
+
+    // Requests overlapping the date range
+    if (startDate) {
+      whereClause += ' AND lr.end_date >= ?';
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ' AND lr.start_date <= ?';
+      params.push(endDate);
+    }
+
+    const [rows] = await pool.execute(`
+      SELECT
+        lr.id,
+        lr.user_id,
+        u.name as doctor_name,
+        u.department,
+        lt.name as leave_type,
+        lr.start_date,
+        lr.end_date,
+        lr.reason,
+        lr.attachment_path IS NOT NULL as has_attachment,
+        lr.status,
+        lr.reviewed_by,
+        lr.reviewed_at,
+        lr.review_note,
+        lr.created_at
+      FROM leave_requests lr
+      JOIN users u ON lr.user_id = u.id
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      ${whereClause}
+      ORDER BY lr.start_date ASC, lr.created_at ASC
+      LIMIT 500
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows.map(row => ({ ...row, has_attachment: !!row.has_attachment }))
+    });
+
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/leave-requests/:requestId/:decision - Approve or reject a pending leave request
+router.post('/leave-requests/:requestId/:decision(approve|reject)', requirePermission('leave:approve'), async (req, res) => {
+  try {
+    const { requestId, decision } = req.params;
+    const note = String(req.body.note || '').trim();
+
+    if (note.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be at most 255 characters'
+      });
+    }
+
+    if (decision === 'reject' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the rejection is required'
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    const [result] = await pool.execute(`
+      UPDATE leave_requests lr
+      JOIN users u ON lr.user_id = u.id
+      SET lr.status = ?, lr.reviewed_by = ?, lr.reviewed_at = ?, lr.review_note = ?
+      WHERE lr.id = ? AND lr.status = 'pending'${scope.clause}
+    `, [
+      decision === 'approve' ? 'approved' : 'rejected',
+      req.user.id,
+      new Date(),
+      note || null,
+      requestId,
+      ...scope.params
+    ]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending leave request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Leave request approved' : 'Leave request rejected'
+    });
+
+  } catch (error) {
+    console.error('Review leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/leave-requests/:requestId/attachment - Download the attachment of a leave request
+router.get('/leave-requests/:requestId/attachment', requirePermission('leave:approve'), async (req, res) => {
+  try {
+    const scope = getDepartmentScope(req.user);
+    const [rows] = await pool.execute(`
+      SELECT lr.attachment_path
+      FROM leave_requests lr
+      JOIN users u ON lr.user_id = u.id
+      WHERE lr.id = ?${scope.clause}
+    `, [req.params.requestId, ...scope.params]);
+
+    if (rows.length === 0 || !rows[0].attachment_path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    sendLeaveAttachment(res, rows[0].attachment_path);
+
+  } catch (error) {
+    console.error('Get leave attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/corrections - Attendance correction requests by status (pending for the approval queue)
+router.get('/corrections', requirePermission('corrections:approve'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    if (status && !CORRECTION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${CORRECTION_STATUSES.join(', ')}`
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    let whereClause = `WHERE 1=1${scope.clause}`;
+    const params = [...scope.params];
+
+    if (status) {
+      whereClause += ' AND c.status = ?';
+      params.push(status);
+    }
+
+    const [rows] = await pool.execute(`
+      SELECT
+        c.id,
+        c.user_id,
+        u.name as doctor_name,
+        u.department,
+        c.session_date,
+        c.type,
+        c.proposed_time,
+        c.reason,
+        c.status,
+        c.reviewed_by,
+        c.reviewed_at,
+        c.review_note,
+        c.attendance_id,
+        c.created_at
+      FROM attendance_corrections c
+      JOIN users u ON c.user_id = u.id
+      ${whereClause}
+      ORDER BY c.session_date ASC, c.proposed_time ASC
+      LIMIT 500
+    `, params);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Get corrections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/corrections/:correctionId/:decision - Approve (creating the attendance record)
+// or reject a pending correction
+router.post('/corrections/:correctionId/:decision(approve|reject)', requirePermission('corrections:approve'), async (req, res) => {
+  try {
+    const { correctionId, decision } = req.params;
+    const note = String(req.body.note || '').trim();
+
+    if (note.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be at most 255 characters'
+      });
+    }
+
+    if (decision === 'reject' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the rejection is required'
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    const [corrections] = await pool.execute(`
+      SELECT c.id, c.user_id, c.session_date, c.type, c.proposed_time
+      FROM attendance_corrections c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.id = ? AND c.status = 'pending'${scope.clause}
+    `, [correctionId, ...scope.params]);
+
+    if (corrections.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending correction not found'
+      });
+    }
+
+    const correction = corrections[0];
+    let record = null;
+
+    // Check the event against the doctor's attendance as it is now
+    if (decision === 'approve') {
+      const resolved = await resolveCorrection(correction.user_id, {
+        date: correction.session_date,
+        type: correction.type,
+        time: toTimeString(correction.proposed_time)
+      });
+
+      if (resolved.error) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot apply this correction: ${resolved.error}`
+        });
+      }
+      record = resolved.record;
+    }
+
+    // Claim the request first so it is applied only once; the claim and the attendance
+    // record it creates are committed together
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(`
+        UPDATE attendance_corrections
+        SET status = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?
+        WHERE id = ? AND status = 'pending'
+      `, [decision === 'approve' ? 'approved' : 'rejected', req.user.id, new Date(), note || null, correction.id]);
+
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Pending correction not found'
+        });
+      }
+
+      if (record) {
+        const attendanceId = await createCorrectionRecord(correction.user_id, correction.id, record, connection);
+        await connection.execute(
+          'UPDATE attendance_corrections SET attendance_id = ? WHERE id = ?',
+          [attendanceId, correction.id]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Correction approved and attendance recorded' : 'Correction rejected'
+    });
+
+  } catch (error) {
+    console.error('Review correction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/auto-closed - Sessions closed by the server because the check-out was forgotten
+router.get('/auto-closed', requirePermission('corrections:approve'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    if (!['pending', 'reviewed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be pending or reviewed'
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    const [rows] = await pool.execute(`
+      SELECT
+        co.id,
+        co.user_id,
+        u.name as doctor_name,
+        u.department,
+        DATE_FORMAT(co.session_date, '%Y-%m-%d') as session_date,
+        ci.timestamp as checkin_time,
+        co.timestamp as checkout_time,
+        co.scheduled_start,
+        co.scheduled_end,
+        co.reviewed_at,
+        reviewer.name as reviewed_by_name
+      FROM attendance co
+      JOIN attendance ci ON co.checkin_id = ci.id
+      JOIN users u ON co.user_id = u.id
+      LEFT JOIN users reviewer ON co.reviewed_by = reviewer.id
+      WHERE co.type = 'checkout' AND co.source = 'auto'
+        AND co.reviewed_at IS ${status === 'pending' ? 'NULL' : 'NOT NULL'}${scope.clause}
+      ORDER BY co.timestamp ${status === 'pending' ? 'ASC' : 'DESC'}
+      LIMIT 500
+    `, scope.params);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Get auto-closed sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/auto-closed/:attendanceId/review - Mark an auto-closed session as reviewed,
+// optionally setting the real check-out time
+router.post('/auto-closed/:attendanceId/review', requirePermission('corrections:approve'), async (req, res) => {
+  try {
+    const { attendanceId } = req.params;
+    const time = req.body.checkoutTime ? normalizeTime(req.body.checkoutTime) : null;
+
+    if (req.body.checkoutTime && !time) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-out time must be a time (HH:MM)'
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    const [sessions] = await pool.execute(`
+      SELECT
+        co.id,
+        co.user_id,
+        co.checkin_id,
+        DATE_FORMAT(co.session_date, '%Y-%m-%d') as session_date,
+        co.scheduled_end,
+        ci.timestamp as checkin_time
+      FROM attendance co
+      JOIN attendance ci ON co.checkin_id = ci.id
+      JOIN users u ON co.user_id = u.id
+      WHERE co.id = ? AND co.type = 'checkout' AND co.source = 'auto' AND co.reviewed_at IS NULL${scope.clause}
+    `, [attendanceId, ...scope.params]);
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auto-closed session awaiting review not found'
+      });
+    }
+
+    const session = sessions[0];
+    let checkout = null;
+
+    if (time) {
+      checkout = await resolveReviewedCheckout(session, time);
+      if (checkout.error) {
+        return res.status(400).json({
+          success: false,
+          message: checkout.error
+        });
+      }
+    }
+
+    const [result] = await pool.execute(`
+      UPDATE attendance
+      SET reviewed_by = ?, reviewed_at = ?
+      WHERE id = ? AND reviewed_at IS NULL
+    `, [req.user.id, new Date(), session.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Auto-closed session awaiting review not found'
+      });
+    }
+
+    if (checkout) {
+      await pool.execute(
+        'UPDATE attendance SET timestamp = ?, minutes_early = ? WHERE id = ?',
+        [checkout.timestamp, checkout.minutesEarly, session.id]
+      );
+      // A break the server ended with the session moves along with the check-out
+      await pool.execute(`
+        UPDATE attendance SET timestamp = ?
+        WHERE checkin_id = ? AND type = 'break_end' AND source = 'auto'
+      `, [checkout.timestamp, session.checkin_id]);
+    }
+
+    res.json({
+      success: true,
+      message: checkout ? 'Check-out time updated and session reviewed' : 'Session marked as reviewed'
+    });
+
+  } catch (error) {
+    console.error('Review auto-closed session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/geofence-exceptions - Check-ins and check-outs recorded outside the geofence
+router.get('/geofence-exceptions', requirePermission('exceptions:approve'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: pending, approved, rejected'
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    const [rows] = await pool.execute(`
+      SELECT
+        a.id,
+        a.user_id,
+        u.name as doctor_name,
+        u.department,
+        a.type,
+        a.timestamp,
+        DATE_FORMAT(a.session_date, '%Y-%m-%d') as session_date,
+        a.photo_path,
+        a.location_lat,
+        a.location_lng,
+        a.distance_m,
+        a.outside_reason,
+        a.outside_note,
+        a.exception_status,
+        a.review_note,
+        a.reviewed_at,
+        reviewer.name as reviewed_by_name
+      FROM attendance a
+      JOIN users u ON a.user_id = u.id
+      LEFT JOIN users reviewer ON a.reviewed_by = reviewer.id
+      WHERE a.exception_status = ?${scope.clause}
+      ORDER BY a.timestamp ${status === 'pending' ? 'ASC' : 'DESC'}
+      LIMIT 500
+    `, [status, ...scope.params]);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Get geofence exceptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/geofence-exceptions/:attendanceId/:decision - Approve or reject a check-in or
+// check-out recorded outside the geofence; the doctor is notified of the decision
+router.post('/geofence-exceptions/:attendanceId/:decision(approve|reject)', requirePermission('exceptions:approve'), async (req, res) => {
+  try {
+    const { attendanceId, decision } = req.params;
+    const note = String(req.body.note || '').trim();
+
+    if (note.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be at most 255 characters'
+      });
+    }
+
+    if (decision === 'reject' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the rejection is required'
+      });
+    }
+
+    const scope = getDepartmentScope(req.user);
+    const [records] = await pool.execute(`
+      SELECT a.id, a.user_id, a.type, a.timestamp
+      FROM attendance a
+      JOIN users u ON a.user_id = u.id
+      WHERE a.id = ? AND a.exception_status = 'pending'${scope.clause}
+    `, [attendanceId, ...scope.params]);
+
+    if (records.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending exception not found'
+      });
+    }
+
+    const record = records[0];
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    const [result] = await pool.execute(`
+      UPDATE attendance
+      SET exception_status = ?, reviewed_by = ?, reviewed_at = ?, review_note = ?
+      WHERE id = ? AND exception_status = 'pending'
+    `, [status, req.user.id, new Date(), note || null, record.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending exception not found'
+      });
+    }
+
+    const event = record.type === 'checkin' ? 'check-in' : 'check-out';
+    await createNotification(
+      record.user_id,
+      'geofence_exception',
+      `Your ${event} outside the authorized location on ${toDateString(record.timestamp)} at ` +
+        `${toTimeString(record.timestamp).slice(0, 5)} was ${status}${note ? `: ${note}` : ''}`,
+      record.id
+    );
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Exception approved' : 'Exception rejected'
+    });
+
+  } catch (error) {
+    console.error('Review geofence exception error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/roles - Roles and their permissions
+router.get('/roles', requirePermission('roles:assign'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getRoles()
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/users - All user accounts with their role and department
+router.get('/users', requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT u.id, u.name, u.role, u.department, u.created_at, r.label as role_label
+      FROM users u
+      LEFT JOIN roles r ON r.name = u.role
+      ORDER BY u.name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /admin/users/:userId/access - Change a user's role and department
+router.put('/users/:userId/access', requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, department } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required'
+      });
+    }
+
+    // Changing your own role could lock everyone out of role management
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const [roles] = await pool.execute('SELECT name FROM roles WHERE name = ?', [role]);
+    if (roles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown role'
+      });
+    }
+
+    const [result] = await pool.execute(
+      'UPDATE users SET role = ?, department = ? WHERE id = ?',
+      [role, (department || '').trim() || null, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User access updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update user access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+const AUTH_EVENT_EXPORT_LIMIT = 10000;
+
+// WHERE clause shared by the audit log list and its CSV export
+const buildAuthEventFilter = (user, query) => {
+  const { userId = '', eventType = '', outcome = '', ip = '', startDate = '', endDate = '' } = query;
+  const scope = getDepartmentScope(user);
+  let whereClause = `WHERE 1=1${scope.clause}`;
+  const params = [...scope.params];
+
+  if (userId) {
+    whereClause += ' AND e.user_id = ?';
+    params.push(userId.trim());
+  }
+
+  if (eventType && AUTH_EVENT_TYPES.includes(eventType)) {
+    whereClause += ' AND e.event_type = ?';
+    params.push(eventType);
+  }
+
+  if (outcome && AUTH_EVENT_OUTCOMES.includes(outcome)) {
+    whereClause += ' AND e.outcome = ?';
+    params.push(outcome);
+  }
+
+  if (ip) {
+    whereClause += ' AND e.ip_address = ?';
+    params.push(ip.trim());
+  }
+
+  if (startDate) {
+    whereClause += ' AND DATE(e.created_at) >= ?';
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    whereClause += ' AND DATE(e.created_at) <= ?';
+    params.push(endDate);
+  }
+
+  return { whereClause, params };
+};
+
+const AUTH_EVENT_COLUMNS = `
+  e.id,
+  e.user_id,
+  u.name as user_name,
+  e.event_type,
+  e.outcome,
+  e.detail,
+  e.ip_address,
+  e.user_agent,
+  e.created_at
+`;
+
+// Attempted user IDs and user agents come from anyone on the login page: quote them
+// and defuse leading formula characters before they reach a spreadsheet
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// GET /admin/auth-events - Authentication audit log with pagination and filters
+router.get('/auth-events', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+    const { whereClause, params } = buildAuthEventFilter(req.user, req.query);
+
+    const [countResult] = await pool.execute(`
+      SELECT COUNT(*) as total
+      FROM auth_events e
+      LEFT JOIN users u ON e.user_id = u.id
+      ${whereClause}
+    `, params);
+
+    const total = countResult[0].total;
+
+    const [rows] = await pool.execute(`
+      SELECT ${AUTH_EVENT_COLUMNS}
+      FROM auth_events e
+      LEFT JOIN users u ON e.user_id = u.id
+      ${whereClause}
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    res.json({
+      success: true,
+      data: {
+        records: rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get auth events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/auth-events/export - Download the filtered audit log as CSV
+router.get('/auth-events/export', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { whereClause, params } = buildAuthEventFilter(req.user, req.query);
+
+    const [rows] = await pool.execute(`
+      SELECT ${AUTH_EVENT_COLUMNS}
+      FROM auth_events e
+      LEFT JOIN users u ON e.user_id = u.id
+      ${whereClause}
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT ?
+    `, [...params, AUTH_EVENT_EXPORT_LIMIT]);
+
+    const header = ['Time', 'User ID', 'Name', 'Event', 'Outcome', 'Detail', 'IP Address', 'User Agent'];
+    const lines = rows.map(row => [
+      row.created_at,
+      row.user_id,
+      row.user_name,
+      row.event_type,
+      row.outcome,
+      row.detail,
+      row.ip_address,
+      row.user_agent
+    ].map(toCsvValue).join(','));
+
+    const filename = `auth-events-${toDateString(new Date())}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send([header.join(','), ...lines].join('\r\n'));
+
+  } catch (error) {
+    console.error('Export auth events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/api-keys - Integration API keys and the scopes that can be granted
+router.get('/api-keys', requirePermission('integrations:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        keys: await getApiKeys(),
+        scopes: API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /admin/api-keys - Create an API key; the key itself is only shown in this response
+router.post('/api-keys', requirePermission('integrations:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A name for the API key is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES[scope])) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose at least one scope: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+      });
+    }
+
+    // Expiry is a date; the key works until the end of that day
+    let expiryDate = null;
+    if (expiresAt) {
+      expiryDate = isDateString(expiresAt) ? zonedDateTime(expiresAt, '23:59:59') : null;
+      if (!expiryDate || isNaN(expiryDate) || expiryDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry must be a date in the future'
+        });
+      }
+    }
+
+    const apiKey = await createApiKey({
+      name: name.trim().substring(0, 100),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiryDate,
+      createdBy: req.user.id
+    });
+    await recordAuthEvent(req, req.user.id, 'api_key_created', 'success', `${apiKey.keyPrefix} (${name.trim()})`);
+
+    res.json({
+      success: true,
+      message: 'API key created',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /admin/api-keys/:keyId - Revoke an API key
+router.delete('/api-keys/:keyId', requirePermission('integrations:manage'), async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    const revoked = await revokeApiKey(keyId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active API key not found'
+      });
+    }
+
+    await recordAuthEvent(req, req.user.id, 'api_key_revoked', 'success', `API key #${keyId}`);
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/locked-accounts - Get accounts and IPs locked out by failed logins
+router.get('/locked-accounts', requirePermission('security:manage'), async (req, res) => {
+  try {
+    const locks = await getActiveLocks();
+
+    res.json({
+      success: true,
+      data: locks
+    });
+
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /admin/locked-accounts/:userId - Clear failed login counter of an account
+router.delete('/locked-accounts/:userId', requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const cleared = await clearFailedLogins('account', userId);
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed login record found for this account'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /admin/locked-ips/:ip - Clear failed login counter of an IP address
+router.delete('/locked-ips/:ip', requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { ip } = req.params;
+
+    const cleared = await clearFailedLogins('ip', ip);
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed login record found for this IP address'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'IP address unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlock IP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /admin/settings/security - Get security settings
+router.get('/settings/security', requirePermission('security:manage'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        requireAdmin2fa: await getBooleanSetting('require_admin_2fa'),
+        trustOidcMfa: await getBooleanSetting('trust_oidc_mfa')
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// PUT /admin/settings/security - Update security settings
+router.put('/settings/security', requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { requireAdmin2fa, trustOidcMfa } = req.body;
+
+    if (requireAdmin2fa === undefined && trustOidcMfa === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'No settings to update'
+      });
+    }
+
+    if ((requireAdmin2fa !== undefined && typeof requireAdmin2fa !== 'boolean') ||
+        (trustOidcMfa !== undefined && typeof trustOidcMfa !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'requireAdmin2fa and trustOidcMfa must be true or false'
+      });
+    }
+
+    // Avoid enforcing a rule the acting admin does not satisfy yet
+    if (requireAdmin2fa && !req.user.totpEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+
+    if (requireAdmin2fa !== undefined) {
+      await setSetting('require_admin_2fa', requireAdmin2fa, req.user.id);
+      await recordAuthEvent(req, req.user.id, 'security_settings_changed', 'success',
+        `require_admin_2fa set to ${requireAdmin2fa}`);
+    }
+
+    // Trusting the identity provider waives local 2FA and password rules for its logins
+    if (trustOidcMfa !== undefined) {
+      await setSetting('trust_oidc_mfa', trustOidcMfa, req.user.id);
+      await recordAuthEvent(req, req.user.id, 'security_settings_changed', 'success',
+        `trust_oidc_mfa set to ${trustOidcMfa}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,8 +1,47 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const { pool } = require('../config/db');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { checkLoginAllowed, recordFailedLogin, clearFailedLogins } = require('../utils/loginThrottle');
+const {
+  createSession,
+  getActiveSessions,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  clearAuthCookies,
+  parseRefreshToken,
+  getCsrfToken
+} = require('../utils/session');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const {
+  isTwoFactorSetupRequired,
+  generateBackupCodes,
+  countRemainingBackupCodes,
+  verifyTwoFactorCode
+} = require('../utils/twoFactor');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  isPasswordReused,
+  setUserPassword,
+  isPasswordExpired
+} = require('../utils/passwordPolicy');
+const { isResetCodeValid, consumeResetCode } = require('../utils/passwordReset');
+const { getRolePermissions } = require('../utils/permissions');
+const { recordAuthEvent } = require('../utils/authEvents');
+const { getAccountAccessError } = require('../utils/accountStatus');
+const {
+  OIDC_BUTTON_LABEL,
+  isOidcEnabled,
+  isTrustedOidcSession,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  getUserIdFromClaims
+} = require('../utils/oidc');
 const router = express.Router();
 
 // Input validation helper
@@ -13,13 +52,124 @@ const validateInput = (id, password) => {
     errors.push('Doctor ID is required');
   }
   
-  if (!password || password.length < 6) {
-    errors.push('Password must be at least 6 characters long');
+  // The password policy applies when a password is set, not when signing in
+  if (!password) {
+    errors.push('Password is required');
   }
   
   return errors;
 };
 
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'RSUTI Absensi';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Where the browser is sent back to after an OIDC login (the React app)
+const CLIENT_URL = process.env.CLIENT_URL ||
+  (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000');
+const OIDC_COOKIE = 'oidc';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+const OIDC_REQUEST_TTL_MINUTES = 10;
+
+// User object returned to the client by login, refresh and verify.
+// Password expiry and 2FA enrollment do not apply to OIDC sessions; the identity provider owns those.
+const buildUserProfile = async (userId, authMethod = 'password') => {
+  const [rows] = await pool.execute(`
+    SELECT u.id, u.name, u.role, u.department, u.totp_enabled, u.password_changed_at,
+      u.must_change_password, r.label as role_label, r.dashboard
+    FROM users u
+    LEFT JOIN roles r ON r.name = u.role
+    WHERE u.id = ?
+  `, [userId]);
+  const user = rows[0];
+  const trustedOidc = await isTrustedOidcSession(authMethod);
+
+  return {
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    roleLabel: user.role_label || user.role,
+    dashboard: user.dashboard,
+    department: user.department,
+    permissions: await getRolePermissions(user.role),
+    authMethod,
+    passwordExpired: !trustedOidc && isPasswordExpired(user.password_changed_at),
+    mustChangePassword: !trustedOidc && !!user.must_change_password,
+    twoFactorEnabled: !!user.totp_enabled,
+    twoFactorSetupRequired: !trustedOidc &&
+      await isTwoFactorSetupRequired(user.dashboard, !!user.totp_enabled)
+  };
+};
+
+const sendThrottled = async (req, res, throttle, userId, eventType) => {
+  await recordAuthEvent(req, userId, eventType, 'blocked', throttle.message);
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: throttle.message,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Count a failed credential check; responds 429 once the lockout kicks in
+const sendLoginFailure = async (req, res, userId, eventType, message) => {
+  const { accountLocked, ipLocked, retryAfter } = await recordFailedLogin(userId, req.ip);
+  const locked = accountLocked || ipLocked;
+  await recordAuthEvent(req, userId, eventType, 'failure', locked ? `${message}; lockout started` : message);
+
+  if (locked) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: accountLocked
+        ? 'Too many failed login attempts. This account has been temporarily locked.'
+        : `Too many failed login attempts from this network. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      retryAfter
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Deactivated, expired or not yet valid accounts may not sign in. Only reached after the
+// password was verified, so the status is not revealed to someone guessing IDs.
+const sendAccountUnavailable = async (req, res, userId, eventType, accessError) => {
+  await recordAuthEvent(req, userId, eventType, 'failure', accessError.detail);
+  return res.status(403).json({
+    success: false,
+    code: accessError.code,
+    message: accessError.message
+  });
+};
+
+// Short-lived token for the second login step; `authMethod` is how the first step signed in
+const createTwoFactorChallenge = (userId, authMethod = 'password') => {
+  return jwt.sign(
+    { id: userId, purpose: 'two_factor', authMethod },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+};
+
+// Final step of every successful login: reset counters and start a session
+const completeLogin = async (req, res, userId, eventType = 'login', authMethod = 'password') => {
+  await clearFailedLogins('account', userId);
+  await recordAuthEvent(req, userId, eventType, 'success');
+
+  // Start a server-side session (sets access and refresh token cookies)
+  const session = await createSession(req, res, { id: userId }, authMethod);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: await buildUserProfile(userId, authMethod),
+    accessTokenExpiresAt: session.accessTokenExpiresAt,
+    csrfToken: getCsrfToken(session.sessionId)
+  });
+};
+
 // POST /auth/login - Login endpoint
 router.post('/login', async (req, res) => {
   try {
@@ -35,61 +185,117 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const userId = id.trim();
+
+    // Reject early while the account or IP is throttled
+    const throttle = await checkLoginAllowed(userId, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(req, res, throttle, userId, 'login');
+    }
+
     // Find user in database
     const [rows] = await pool.execute(
-      'SELECT id, name, role, password_hash FROM users WHERE id = ?',
-      [id.trim()]
+      'SELECT id, name, role, password_hash, totp_enabled, status, valid_from, valid_until FROM users WHERE id = ?',
+      [userId]
     );
 
-    if (rows.length === 0) {
-      return res.status(401).json({
+    const user = rows[0];
+
+    // Verify password
+    const isPasswordValid = user
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
+
+    if (!isPasswordValid) {
+      return sendLoginFailure(req, res, userId, 'login', 'Invalid credentials');
+    }
+
+    const accessError = getAccountAccessError(user);
+    if (accessError) {
+      return sendAccountUnavailable(req, res, user.id, 'login', accessError);
+    }
+
+    // Second step required: hand out a short-lived challenge instead of a session
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        requiresTwoFactor: true,
+        challengeToken: createTwoFactorChallenge(user.id),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    await completeLogin(req, res, user.id);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/login/2fa - Second login step for accounts with 2FA enabled
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Verification code is required'
       });
     }
 
-    const user = rows[0];
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      challenge = null;
+    }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
-    if (!isPasswordValid) {
+    if (!challenge || challenge.purpose !== 'two_factor') {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Verification expired. Please sign in again.'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        name: user.name, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
+    const throttle = await checkLoginAllowed(challenge.id, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(req, res, throttle, challenge.id, 'login_2fa');
+    }
+
+    const [rows] = await pool.execute(
+      'SELECT id, totp_secret, totp_enabled, totp_last_step, status, valid_from, valid_until FROM users WHERE id = ?',
+      [challenge.id]
     );
 
-    // Set HTTP-only cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    });
+    const user = rows[0];
+    if (!user || !user.totp_enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Verification expired. Please sign in again.'
+      });
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        name: user.name,
-        role: user.role
-      }
-    });
+    const verification = await verifyTwoFactorCode(user, code);
+    if (!verification.valid) {
+      return sendLoginFailure(req, res, user.id, 'login_2fa', 'Invalid verification code');
+    }
+
+    const accessError = getAccountAccessError(user);
+    if (accessError) {
+      return sendAccountUnavailable(req, res, user.id, 'login_2fa', accessError);
+    }
+
+    // A challenge from the hospital account login still ends in an OIDC session
+    const authMethod = challenge.authMethod === 'oidc' ? 'oidc' : 'password';
+    await completeLogin(req, res, user.id, 'login_2fa', authMethod);
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -97,6 +303,14 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// GET /auth/password-policy - Password rules, so the client can show live feedback
+router.get('/password-policy', (req, res) => {
+  res.json({
+    success: true,
+    data: getPasswordPolicy()
+  });
+});
+
 // POST /auth/change-password - Change password endpoint
 router.post('/change-password', authenticateToken, async (req, res) => {
   try {
@@ -111,10 +325,12 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       });
     }
 
-    if (newPassword.length < 6) {
+    const policyErrors = validatePassword(newPassword);
+    if (policyErrors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'New password must be at least 6 characters long'
+        message: policyErrors.join('. '),
+        errors: policyErrors
       });
     }
 
@@ -134,20 +350,26 @@ router.post('/change-password', authenticateToken, async (req, res) => {
     // Verify current password
     const isCurrentPasswordValid = await bcrypt.compare(currentPassword, rows[0].password_hash);
     if (!isCurrentPasswordValid) {
+      await recordAuthEvent(req, userId, 'password_change', 'failure', 'Current password is incorrect');
       return res.status(401).json({
         success: false,
         message: 'Current password is incorrect'
       });
     }
 
-    // Hash new password
-    const newPasswordHash = await bcrypt.hash(newPassword, 10);
+    if (await isPasswordReused(userId, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from your recent passwords'
+      });
+    }
+
+    // Hash and store the new password
+    await setUserPassword(userId, newPassword);
 
-    // Update password in database
-    await pool.execute(
-      'UPDATE users SET password_hash = ? WHERE id = ?',
-      [newPasswordHash, userId]
-    );
+    // Sign out every other device that knew the old password
+    await revokeUserSessions(userId, 'password_changed', req.user.sessionId);
+    await recordAuthEvent(req, userId, 'password_change', 'success');
 
     res.json({
       success: true,
@@ -163,16 +385,113 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /auth/logout - Logout endpoint
-router.post('/logout', (req, res) => {
+// POST /auth/reset-password - Set a new password with an admin-issued reset code
+router.post('/reset-password', async (req, res) => {
   try {
-    res.clearCookie('token');
+    const { id, code, newPassword } = req.body;
+
+    if (!id || !id.trim() || !code || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor ID, reset code and new password are required'
+      });
+    }
+
+    const userId = id.trim();
+
+    // Reset codes are guessable secrets too; share the login throttle
+    const throttle = await checkLoginAllowed(userId, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(req, res, throttle, userId, 'password_reset');
+    }
+
+    const policyErrors = validatePassword(newPassword);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: policyErrors.join('. '),
+        errors: policyErrors
+      });
+    }
+
+    const [rows] = await pool.execute(
+      "SELECT id FROM users WHERE id = ? AND status = 'active'",
+      [userId]
+    );
+    // The code is checked first so the reuse check cannot be probed without one, but it is
+    // only used up together with the password change: a rejected password keeps it valid
+    if (rows.length === 0 || !(await isResetCodeValid(userId, code))) {
+      return sendLoginFailure(req, res, userId, 'password_reset', 'Invalid or expired reset code');
+    }
+
+    if (await isPasswordReused(userId, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from your recent passwords'
+      });
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Another request may have used the code since the check above
+      if (!(await consumeResetCode(userId, code, connection))) {
+        await connection.rollback();
+        return sendLoginFailure(req, res, userId, 'password_reset', 'Invalid or expired reset code');
+      }
+
+      await setUserPassword(userId, newPassword, { connection });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await clearFailedLogins('account', userId);
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(userId, 'password_reset');
+    await recordAuthEvent(req, userId, 'password_reset', 'success', 'Reset code used');
+
     res.json({
       success: true,
-      message: 'Logout successful'
+      message: 'Password has been reset. You can now sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/refresh - Rotate refresh token and issue a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await rotateSession(req, res, req.cookies.refreshToken);
+
+    if (!result) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please login again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: await buildUserProfile(result.user.id, result.authMethod),
+      accessTokenExpiresAt: result.accessTokenExpiresAt,
+      csrfToken: getCsrfToken(result.sessionId)
     });
+
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -180,16 +499,463 @@ router.post('/logout', (req, res) => {
   }
 });
 
-// GET /auth/verify - Verify token endpoint
-router.get('/verify', authenticateToken, (req, res) => {
+// Send the browser back to the login page, with an error code when the OIDC login failed
+const redirectToLogin = (res, errorCode) => {
+  res.clearCookie(OIDC_COOKIE, { path: OIDC_COOKIE_PATH });
+  const query = errorCode ? `?oidcError=${encodeURIComponent(errorCode)}` : '';
+  res.redirect(`${CLIENT_URL}/login${query}`);
+};
+
+// GET /auth/oidc/status - Whether login with the hospital account is available
+router.get('/oidc/status', (req, res) => {
   res.json({
     success: true,
-    user: {
-      id: req.user.id,
-      name: req.user.name,
-      role: req.user.role
+    data: {
+      enabled: isOidcEnabled(),
+      label: OIDC_BUTTON_LABEL
     }
   });
 });
 
+// GET /auth/oidc/login - Start the authorization code flow at the identity provider
+router.get('/oidc/login', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return redirectToLogin(res, 'OIDC_DISABLED');
+  }
+
+  try {
+    const request = createAuthorizationRequest();
+    const authorizationUrl = await buildAuthorizationUrl(request);
+
+    // State, nonce and PKCE verifier travel in a short-lived signed cookie. It is
+    // SameSite=Lax because the callback arrives as a navigation from the provider.
+    const cookieValue = jwt.sign(request, process.env.JWT_SECRET, {
+      expiresIn: `${OIDC_REQUEST_TTL_MINUTES}m`
+    });
+    res.cookie(OIDC_COOKIE, cookieValue, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: OIDC_COOKIE_PATH,
+      maxAge: OIDC_REQUEST_TTL_MINUTES * 60 * 1000
+    });
+
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    redirectToLogin(res, 'OIDC_UNAVAILABLE');
+  }
+});
+
+// GET /auth/oidc/callback - Finish the OIDC login and start a normal session
+router.get('/oidc/callback', async (req, res) => {
+  if (!isOidcEnabled()) {
+    return redirectToLogin(res, 'OIDC_DISABLED');
+  }
+
+  let request;
+  try {
+    request = jwt.verify(req.cookies[OIDC_COOKIE] || '', process.env.JWT_SECRET);
+  } catch (error) {
+    return redirectToLogin(res, 'OIDC_STATE_INVALID');
+  }
+
+  if (!req.query.state || req.query.state !== request.state) {
+    return redirectToLogin(res, 'OIDC_STATE_INVALID');
+  }
+
+  if (req.query.error || !req.query.code) {
+    await recordAuthEvent(req, null, 'login_oidc', 'failure', `Provider error: ${req.query.error || 'no code'}`);
+    return redirectToLogin(res, 'OIDC_DENIED');
+  }
+
+  try {
+    let claims;
+    try {
+      claims = await exchangeCode(req.query.code, request);
+    } catch (error) {
+      console.error('OIDC code exchange error:', error);
+      await recordAuthEvent(req, null, 'login_oidc', 'failure', error.message);
+      return redirectToLogin(res, 'OIDC_TOKEN_INVALID');
+    }
+
+    const userId = getUserIdFromClaims(claims);
+    const [users] = userId
+      ? await pool.execute(
+          'SELECT id, totp_enabled, status, valid_from, valid_until FROM users WHERE id = ?',
+          [userId]
+        )
+      : [[]];
+
+    if (users.length === 0) {
+      await recordAuthEvent(req, userId, 'login_oidc', 'failure', 'No local account for identity provider user');
+      return redirectToLogin(res, 'OIDC_NO_ACCOUNT');
+    }
+
+    const accessError = getAccountAccessError(users[0]);
+    if (accessError) {
+      await recordAuthEvent(req, userId, 'login_oidc', 'failure', accessError.detail);
+      return redirectToLogin(res, accessError.code);
+    }
+
+    // Accounts with 2FA still enter their authenticator code unless the identity
+    // provider's MFA is trusted. The challenge goes in the URL fragment, which the
+    // browser does not send to any server.
+    if (users[0].totp_enabled && !(await isTrustedOidcSession('oidc'))) {
+      await recordAuthEvent(req, userId, 'login_oidc', 'success', 'Two-factor code required');
+      res.clearCookie(OIDC_COOKIE, { path: OIDC_COOKIE_PATH });
+      return res.redirect(`${CLIENT_URL}/login#twoFactorChallenge=${createTwoFactorChallenge(userId, 'oidc')}`);
+    }
+
+    await clearFailedLogins('account', userId);
+    await recordAuthEvent(req, userId, 'login_oidc', 'success');
+    await createSession(req, res, { id: userId }, 'oidc');
+
+    // The login page picks up the new session through /auth/verify
+    redirectToLogin(res);
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToLogin(res, 'OIDC_UNAVAILABLE');
+  }
+});
+
+// POST /auth/logout - Logout endpoint
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = parseRefreshToken(req.cookies.refreshToken);
+    if (refreshToken) {
+      const [rows] = await pool.execute(
+        'SELECT user_id FROM sessions WHERE id = ?',
+        [refreshToken.sessionId]
+      );
+      if (await revokeSession(refreshToken.sessionId, 'logout')) {
+        await recordAuthEvent(req, rows[0] ? rows[0].user_id : null, 'logout', 'success');
+      }
+    }
+
+    clearAuthCookies(res);
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /auth/sessions - List the signed-in devices of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// DELETE /auth/sessions/:sessionId - Sign out one of the current user's devices
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const [rows] = await pool.execute(
+      'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [sessionId, req.user.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(sessionId, 'signed_out_remotely');
+
+    if (sessionId === req.user.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Device signed out successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/sessions/revoke-others - Sign out every device except this one
+router.post('/sessions/revoke-others', authenticateToken, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user.id, 'signed_out_remotely', req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: `${count} other device(s) signed out`,
+      data: { count }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /auth/2fa/status - Two-factor status of the current user
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: req.user.totpEnabled,
+        setupRequired: !req.user.trustedOidc &&
+          await isTwoFactorSetupRequired(req.user.dashboard, req.user.totpEnabled),
+        backupCodesRemaining: req.user.totpEnabled ? await countRemainingBackupCodes(req.user.id) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/2fa/setup - Start enrollment: generate a secret and QR code
+router.post('/2fa/setup', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (req.user.totpEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // The secret stays inactive until confirmed with a valid code
+    const secret = generateSecret();
+    await pool.execute(
+      'UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?',
+      [secret, req.user.id]
+    );
+
+    const otpauthUrl = buildOtpauthUrl(secret, req.user.id, TOTP_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/2fa/enable - Confirm enrollment with a code from the app
+router.post('/2fa/enable', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const [rows] = await pool.execute(
+      'SELECT totp_secret, totp_enabled FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    const user = rows[0];
+    if (!user.totp_secret || user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.totp_secret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await pool.execute(
+      'UPDATE users SET totp_enabled = TRUE, totp_last_step = ? WHERE id = ?',
+      [step, req.user.id]
+    );
+    const backupCodes = await generateBackupCodes(req.user.id);
+    await recordAuthEvent(req, req.user.id, 'two_factor_enabled', 'success');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { backupCodes }
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/2fa/disable - Turn off 2FA (password and code required)
+router.post('/2fa/disable', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password and verification code are required'
+      });
+    }
+
+    if (await isTwoFactorSetupRequired(req.user.dashboard, false)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    const [rows] = await pool.execute(
+      'SELECT id, password_hash, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    const user = rows[0];
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    const verification = isPasswordValid ? await verifyTwoFactorCode(user, code) : { valid: false };
+    if (!verification.valid) {
+      await recordAuthEvent(req, req.user.id, 'two_factor_disabled', 'failure', 'Password or verification code is incorrect');
+      return res.status(401).json({
+        success: false,
+        message: 'Password or verification code is incorrect'
+      });
+    }
+
+    await pool.execute(
+      'UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL WHERE id = ?',
+      [req.user.id]
+    );
+    await pool.execute('DELETE FROM backup_codes WHERE user_id = ?', [req.user.id]);
+    await recordAuthEvent(req, req.user.id, 'two_factor_disabled', 'success');
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/2fa/backup-codes - Regenerate backup codes (current code required)
+router.post('/2fa/backup-codes', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const [rows] = await pool.execute(
+      'SELECT id, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    const user = rows[0];
+    if (!user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const verification = await verifyTwoFactorCode(user, code);
+    if (!verification.valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const backupCodes = await generateBackupCodes(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated',
+      data: { backupCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /auth/verify - Verify token endpoint
+router.get('/verify', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: await buildUserProfile(req.user.id, req.user.authMethod),
+      accessTokenExpiresAt: req.accessTokenExpiresAt,
+      csrfToken: getCsrfToken(req.user.sessionId)
+    });
+  } catch (error) {
+    console.error('Verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,9 +1,42 @@
 const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
 const multer = require('multer');
 const path = require('path');
 const { pool } = require('../config/db');
-const { authenticateToken, requireDoctor } = require('../middleware/auth');
-const { isWithinGeofence, validateCoordinates } = require('../utils/geofence');
+const {
+  authenticateToken,
+  requireDoctor,
+  requireCurrentPassword,
+  requirePermission
+} = require('../middleware/auth');
+const { validateCoordinates, checkGeofence } = require('../utils/geofence');
+const { toDateString, zonedDateTime, isDateString } = require('../utils/time');
+const {
+  MAX_SHIFT_HOURS,
+  getSessionDate,
+  findOpenCheckin,
+  findOpenBreak,
+  getSessionsForDate
+} = require('../utils/attendance');
+const {
+  getSchedulesForDate,
+  findScheduleForCheckin,
+  getMinutesLate,
+  getMinutesEarly
+} = require('../utils/schedule');
+const {
+  LEAVE_ATTACHMENT_DIR,
+  getLeaveTypes,
+  countLeaveDays,
+  parseLeaveRequest,
+  findOverlappingLeave,
+  findApprovedLeave,
+  sendLeaveAttachment
+} = require('../utils/leave');
+const { parseCorrectionRequest, resolveCorrection } = require('../utils/corrections');
+const { getUnreadNotifications, markNotificationsRead } = require('../utils/notifications');
+const { isMonthString, getMonthlySummary } = require('../utils/summary');
 const router = express.Router();
 
 // Configure multer for photo uploads
@@ -33,47 +66,80 @@ const upload = multer({
   }
 });
 
+// Configure multer for leave attachments
+const LEAVE_ATTACHMENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+const leaveUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(LEAVE_ATTACHMENT_DIR, { recursive: true }, (error) => cb(error, LEAVE_ATTACHMENT_DIR));
+    },
+    filename: (req, file, cb) => {
+      const suffix = crypto.randomBytes(8).toString('hex');
+      cb(null, `${req.user.id}_${Date.now()}_${suffix}${LEAVE_ATTACHMENT_TYPES[file.mimetype]}`);
+    }
+  }),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (LEAVE_ATTACHMENT_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Attachments must be JPEG, PNG or PDF files'), false);
+    }
+  }
+});
+
 // Apply authentication and doctor middleware to all routes
 router.use(authenticateToken);
 router.use(requireDoctor);
+router.use(requireCurrentPassword);
+router.use(requirePermission('attendance:record'));
 
-// GET /doctor/status - Get today's attendance status
+// GET /doctor/status - Get today's attendance sessions, the open session (which may be
+// an overnight check-in from yesterday) and the total worked minutes
 router.get('/status', async (req, res) => {
   try {
     const userId = req.user.id;
-    const today = new Date().toISOString().split('T')[0];
-
-    const [rows] = await pool.execute(`
-      SELECT type, timestamp, photo_path
-      FROM attendance 
-      WHERE user_id = ? AND DATE(timestamp) = ?
-      ORDER BY timestamp ASC
-    `, [userId, today]);
-
-    const status = {
-      checkin: null,
-      checkout: null
-    };
-
-    rows.forEach(record => {
-      if (record.type === 'checkin' && !status.checkin) {
-        status.checkin = {
-          timestamp: record.timestamp,
-          photo_path: record.photo_path
-        };
-      } else if (record.type === 'checkout' && !status.checkout) {
-        status.checkout = {
-          timestamp: record.timestamp,
-          photo_path: record.photo_path
-        };
+    const now = new Date();
+    const today = toDateString(now);
+
+    const sessions = await getSessionsForDate(userId, today, now);
+
+    let openSession = sessions.find(session => session.isOpen) || null;
+    let sessionDate = today;
+    if (!openSession) {
+      const openCheckin = await findOpenCheckin(userId, now);
+      if (openCheckin) {
+        const earlierSessions = await getSessionsForDate(userId, openCheckin.session_date, now);
+        openSession = earlierSessions.find(session => session.id === openCheckin.id) || null;
+        sessionDate = openCheckin.session_date;
       }
-    });
+    }
+
+    // The session shown as current: the open one, otherwise today's latest
+    const current = openSession || sessions[sessions.length - 1] || null;
 
     res.json({
       success: true,
       data: {
         date: today,
-        status
+        sessionDate,
+        status: {
+          checkin: current ? current.checkin : null,
+          checkout: current ? current.checkout : null
+        },
+        sessions,
+        openSession,
+        totalWorkedMinutes: sessions.reduce((total, session) => total + session.workedMinutes, 0),
+        totalBreakMinutes: sessions.reduce((total, session) => total + session.breakMinutes, 0),
+        schedules: await getSchedulesForDate(userId, today),
+        leave: await findApprovedLeave(userId, today)
       }
     });
 
@@ -86,6 +152,12 @@ router.get('/status', async (req, res) => {
   }
 });
 
+// "Check-in successful", with notes such as lateness in parentheses
+const getAttendanceMessage = (action, notes) => {
+  const text = notes.filter(Boolean).join('; ');
+  return text ? `${action} successful (${text})` : `${action} successful`;
+};
+
 // POST /doctor/checkin - Check in
 router.post('/checkin', upload.single('photo'), async (req, res) => {
   try {
@@ -109,45 +181,88 @@ router.post('/checkin', upload.single('photo'), async (req, res) => {
       });
     }
 
-    // Check geofence
-    const geofenceResult = isWithinGeofence(coordValidation.lat, coordValidation.lng);
-    if (!geofenceResult.isWithin) {
-      return res.status(403).json({
+    // Check geofence; outside it only with a reason (on-call exception awaiting approval)
+    const fence = checkGeofence(coordValidation.lat, coordValidation.lng, req.body);
+    if (fence.error) {
+      return res.status(fence.status).json({
         success: false,
-        message: `You are outside the authorized location. You are ${geofenceResult.distance}m away (maximum allowed: ${geofenceResult.maxDistance}m)`,
-        geofence: geofenceResult
+        message: fence.error,
+        geofence: fence.geofence
       });
     }
+    const { geofence: geofenceResult, exception } = fence;
 
-    // Check if already checked in today
-    const today = new Date().toISOString().split('T')[0];
-    const [existingCheckin] = await pool.execute(`
-      SELECT id FROM attendance 
-      WHERE user_id = ? AND type = 'checkin' AND DATE(timestamp) = ?
-    `, [userId, today]);
+    const timestamp = new Date();
 
-    if (existingCheckin.length > 0) {
+    // Several sessions per day are allowed, but one still open (e.g. a night shift or the
+    // morning poli) must be checked out first
+    const openCheckin = await findOpenCheckin(userId, timestamp);
+    if (openCheckin) {
       return res.status(409).json({
         success: false,
-        message: 'You have already checked in today'
+        message: 'You are already checked in. Please check out first.'
       });
     }
 
-    // Record check-in
-    const timestamp = new Date();
+    // The shift the check-in belongs to (if the doctor is scheduled) decides its shift date
+    const schedule = await findScheduleForCheckin(userId, timestamp);
+    const sessionDate = getSessionDate(schedule, timestamp);
+
+    // Approved leave covers the whole day
+    const leave = await findApprovedLeave(userId, sessionDate);
+    if (leave) {
+      return res.status(403).json({
+        success: false,
+        message: `You are on approved leave (${leave.leave_type}) on this day`
+      });
+    }
+
+    // Record check-in, annotated with its shift
     const photoPath = `uploads/attendance/${req.file.filename}`;
+    const minutesLate = schedule
+      ? getMinutesLate(schedule.scheduledStart, timestamp, schedule.lateGraceMinutes)
+      : null;
 
     await pool.execute(`
-      INSERT INTO attendance (user_id, type, timestamp, photo_path, location_lat, location_lng)
-      VALUES (?, 'checkin', ?, ?, ?, ?)
-    `, [userId, timestamp, photoPath, coordValidation.lat, coordValidation.lng]);
+      INSERT INTO attendance (user_id, type, timestamp, photo_path, location_lat, location_lng,
+        distance_m, outside_reason, outside_note, exception_status,
+        session_date, schedule_id, scheduled_start, scheduled_end, minutes_late)
+      VALUES (?, 'checkin', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      userId,
+      timestamp,
+      photoPath,
+      coordValidation.lat,
+      coordValidation.lng,
+      geofenceResult.distance,
+      exception ? exception.reason : null,
+      exception ? exception.note : null,
+      exception ? 'pending' : null,
+      sessionDate,
+      schedule ? schedule.id : null,
+      schedule ? schedule.scheduledStart : null,
+      schedule ? schedule.scheduledEnd : null,
+      minutesLate
+    ]);
 
     res.json({
       success: true,
-      message: 'Check-in successful',
+      message: getAttendanceMessage('Check-in', [
+        minutesLate && `${minutesLate} minutes late`,
+        exception && 'outside the authorized location, awaiting approval'
+      ]),
       data: {
         timestamp,
         photo_path: photoPath,
+        sessionDate,
+        schedule: schedule && {
+          id: schedule.id,
+          shiftName: schedule.shiftName,
+          scheduledStart: schedule.scheduledStart,
+          scheduledEnd: schedule.scheduledEnd
+        },
+        minutesLate,
+        exceptionStatus: exception ? 'pending' : null,
         location: {
           lat: coordValidation.lat,
           lng: coordValidation.lng
@@ -188,58 +303,80 @@ router.post('/checkout', upload.single('photo'), async (req, res) => {
       });
     }
 
-    // Check geofence
-    const geofenceResult = isWithinGeofence(coordValidation.lat, coordValidation.lng);
-    if (!geofenceResult.isWithin) {
-      return res.status(403).json({
+    // Check geofence; outside it only with a reason (on-call exception awaiting approval)
+    const fence = checkGeofence(coordValidation.lat, coordValidation.lng, req.body);
+    if (fence.error) {
+      return res.status(fence.status).json({
         success: false,
-        message: `You are outside the authorized location. You are ${geofenceResult.distance}m away (maximum allowed: ${geofenceResult.maxDistance}m)`,
-        geofence: geofenceResult
+        message: fence.error,
+        geofence: fence.geofence
       });
     }
+    const { geofence: geofenceResult, exception } = fence;
 
-    // Check if checked in today
-    const today = new Date().toISOString().split('T')[0];
-    const [existingCheckin] = await pool.execute(`
-      SELECT id FROM attendance 
-      WHERE user_id = ? AND type = 'checkin' AND DATE(timestamp) = ?
-    `, [userId, today]);
+    // Pair with the open check-in, even when it was on the previous calendar day
+    const timestamp = new Date();
+    const checkin = await findOpenCheckin(userId, timestamp);
 
-    if (existingCheckin.length === 0) {
+    if (!checkin) {
       return res.status(400).json({
         success: false,
-        message: 'You must check in before checking out'
+        message: `You must check in before checking out (check-ins older than ${MAX_SHIFT_HOURS} hours can no longer be closed)`
       });
     }
 
-    // Check if already checked out today
-    const [existingCheckout] = await pool.execute(`
-      SELECT id FROM attendance 
-      WHERE user_id = ? AND type = 'checkout' AND DATE(timestamp) = ?
-    `, [userId, today]);
-
-    if (existingCheckout.length > 0) {
-      return res.status(409).json({
-        success: false,
-        message: 'You have already checked out today'
-      });
+    // A break still running ends with the session
+    const openBreak = await findOpenBreak(checkin.id);
+    if (openBreak) {
+      await pool.execute(`
+        INSERT INTO attendance (user_id, type, timestamp, session_date, checkin_id)
+        VALUES (?, 'break_end', ?, ?, ?)
+      `, [userId, timestamp, checkin.session_date, checkin.id]);
     }
 
-    // Record check-out
-    const timestamp = new Date();
+    // Record check-out against the same session and shift as the check-in
     const photoPath = `uploads/attendance/${req.file.filename}`;
+    const minutesEarly = checkin.scheduled_end
+      ? getMinutesEarly(new Date(checkin.scheduled_end), timestamp)
+      : null;
 
     await pool.execute(`
-      INSERT INTO attendance (user_id, type, timestamp, photo_path, location_lat, location_lng)
-      VALUES (?, 'checkout', ?, ?, ?, ?)
-    `, [userId, timestamp, photoPath, coordValidation.lat, coordValidation.lng]);
+      INSERT INTO attendance (user_id, type, timestamp, photo_path, location_lat, location_lng,
+        distance_m, outside_reason, outside_note, exception_status,
+        session_date, checkin_id, schedule_id, scheduled_start, scheduled_end, minutes_early)
+      VALUES (?, 'checkout', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      userId,
+      timestamp,
+      photoPath,
+      coordValidation.lat,
+      coordValidation.lng,
+      geofenceResult.distance,
+      exception ? exception.reason : null,
+      exception ? exception.note : null,
+      exception ? 'pending' : null,
+      checkin.session_date,
+      checkin.id,
+      checkin.schedule_id,
+      checkin.scheduled_start,
+      checkin.scheduled_end,
+      minutesEarly
+    ]);
 
     res.json({
       success: true,
-      message: 'Check-out successful',
+      message: getAttendanceMessage('Check-out', [
+        minutesEarly && `${minutesEarly} minutes early`,
+        exception && 'outside the authorized location, awaiting approval'
+      ]),
       data: {
         timestamp,
         photo_path: photoPath,
+        sessionDate: checkin.session_date,
+        checkinTime: checkin.timestamp,
+        scheduledEnd: checkin.scheduled_end,
+        minutesEarly,
+        exceptionStatus: exception ? 'pending' : null,
         location: {
           lat: coordValidation.lat,
           lng: coordValidation.lng
@@ -257,30 +394,139 @@ router.post('/checkout', upload.single('photo'), async (req, res) => {
   }
 });
 
-// GET /doctor/history - Get doctor's attendance history
+// POST /doctor/break/start - Start a break inside the open session
+router.post('/break/start', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const timestamp = new Date();
+
+    const checkin = await findOpenCheckin(userId, timestamp);
+    if (!checkin) {
+      return res.status(400).json({
+        success: false,
+        message: 'Breaks can only be taken while checked in'
+      });
+    }
+
+    if (await findOpenBreak(checkin.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on a break'
+      });
+    }
+
+    await pool.execute(`
+      INSERT INTO attendance (user_id, type, timestamp, session_date, checkin_id)
+      VALUES (?, 'break_start', ?, ?, ?)
+    `, [userId, timestamp, checkin.session_date, checkin.id]);
+
+    res.json({
+      success: true,
+      message: 'Break started',
+      data: {
+        timestamp,
+        sessionDate: checkin.session_date
+      }
+    });
+
+  } catch (error) {
+    console.error('Start break error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /doctor/break/end - End the running break
+router.post('/break/end', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const timestamp = new Date();
+
+    const checkin = await findOpenCheckin(userId, timestamp);
+    const openBreak = checkin && await findOpenBreak(checkin.id);
+    if (!openBreak) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not on a break'
+      });
+    }
+
+    await pool.execute(`
+      INSERT INTO attendance (user_id, type, timestamp, session_date, checkin_id)
+      VALUES (?, 'break_end', ?, ?, ?)
+    `, [userId, timestamp, checkin.session_date, checkin.id]);
+
+    const minutes = Math.floor((timestamp - new Date(openBreak.timestamp)) / 60000);
+
+    res.json({
+      success: true,
+      message: `Break ended (${minutes} minutes)`,
+      data: {
+        timestamp,
+        startedAt: openBreak.timestamp,
+        minutes
+      }
+    });
+
+  } catch (error) {
+    console.error('End break error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /doctor/history - Get doctor's attendance history, optionally for a range of
+// shift dates (startDate, endDate)
 router.get('/history', async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, startDate = '', endDate = '' } = req.query;
     const offset = (page - 1) * limit;
 
+    if ((startDate && !isDateString(startDate)) || (endDate && !isDateString(endDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end date must be dates (YYYY-MM-DD)'
+      });
+    }
+
+    let whereClause = 'WHERE user_id = ?';
+    const params = [userId];
+
+    if (startDate) {
+      whereClause += ' AND session_date >= ?';
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ' AND session_date <= ?';
+      params.push(endDate);
+    }
+
     // Get total count
     const [countResult] = await pool.execute(`
       SELECT COUNT(*) as total
       FROM attendance 
-      WHERE user_id = ?
-    `, [userId]);
+      ${whereClause}
+    `, params);
 
     const total = countResult[0].total;
 
     // Get paginated results
     const [rows] = await pool.execute(`
-      SELECT id, type, timestamp, photo_path, location_lat, location_lng
+      SELECT id, type, timestamp, photo_path, location_lat, location_lng,
+        DATE_FORMAT(session_date, '%Y-%m-%d') as session_date, checkin_id,
+        scheduled_start, scheduled_end, minutes_late, minutes_early, source,
+        exception_status, review_note
       FROM attendance 
-      WHERE user_id = ?
+      ${whereClause}
       ORDER BY timestamp DESC
       LIMIT ? OFFSET ?
-    `, [userId, parseInt(limit), parseInt(offset)]);
+    `, [...params, parseInt(limit), parseInt(offset)]);
 
     res.json({
       success: true,
@@ -304,4 +550,408 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// GET /doctor/summary - Monthly totals (days present, worked time, late days, missing
+// check-outs, leave and absent days) with a per-day breakdown including holidays;
+// defaults to the current month
+router.get('/summary', async (req, res) => {
+  try {
+    const now = new Date();
+    const month = req.query.month || toDateString(now).slice(0, 7);
+
+    if (!isMonthString(month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must be a month (YYYY-MM)'
+      });
+    }
+
+    if (month > toDateString(now).slice(0, 7)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month must not be in the future'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getMonthlySummary(req.user.id, month, now)
+    });
+
+  } catch (error) {
+    console.error('Get summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /doctor/leave-types - Get the leave types a doctor can request
+router.get('/leave-types', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getLeaveTypes()
+    });
+
+  } catch (error) {
+    console.error('Get leave types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /doctor/leave-requests - Get own leave requests, newest first
+router.get('/leave-requests', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT
+        lr.id,
+        lr.start_date,
+        lr.end_date,
+        lr.reason,
+        lr.attachment_path IS NOT NULL as has_attachment,
+        lr.status,
+        lr.reviewed_at,
+        lr.review_note,
+        lr.created_at,
+        lt.name as leave_type
+      FROM leave_requests lr
+      JOIN leave_types lt ON lr.leave_type_id = lt.id
+      WHERE lr.user_id = ?
+      ORDER BY lr.start_date DESC, lr.id DESC
+      LIMIT 50
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: rows.map(row => ({ ...row, has_attachment: !!row.has_attachment }))
+    });
+
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove an uploaded attachment of a rejected request
+const discardUpload = (file) => {
+  if (file) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// POST /doctor/leave-requests - Request leave for a date range, with an optional attachment
+router.post('/leave-requests', leaveUpload.single('attachment'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [types] = await pool.execute(
+      'SELECT id, name, requires_attachment FROM leave_types WHERE id = ? AND is_active = TRUE',
+      [parseInt(req.body.leaveTypeId) || 0]
+    );
+    const leaveType = types[0] && {
+      id: types[0].id,
+      name: types[0].name,
+      requiresAttachment: !!types[0].requires_attachment
+    };
+
+    const { errors, leave } = parseLeaveRequest(req.body, leaveType, !!req.file);
+    if (errors.length > 0) {
+      discardUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    if (await findOverlappingLeave(userId, leave.startDate, leave.endDate)) {
+      discardUpload(req.file);
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending or approved leave request on these dates'
+      });
+    }
+
+    const [result] = await pool.execute(`
+      INSERT INTO leave_requests (user_id, leave_type_id, start_date, end_date, reason, attachment_path)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      userId,
+      leaveType.id,
+      leave.startDate,
+      leave.endDate,
+      leave.reason,
+      req.file ? req.file.filename : null
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: `Leave request for ${countLeaveDays(leave.startDate, leave.endDate)} day(s) submitted for approval`,
+      data: {
+        id: result.insertId,
+        leaveType: leaveType.name,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        status: 'pending'
+      }
+    });
+
+  } catch (error) {
+    discardUpload(req.file);
+    console.error('Create leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /doctor/leave-requests/:requestId/cancel - Withdraw a pending leave request
+router.post('/leave-requests/:requestId/cancel', async (req, res) => {
+  try {
+    const [result] = await pool.execute(`
+      UPDATE leave_requests SET status = 'cancelled'
+      WHERE id = ? AND user_id = ? AND status = 'pending'
+    `, [req.params.requestId, req.user.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending leave request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Leave request cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /doctor/leave-requests/:requestId/attachment - Download the attachment of an own request
+router.get('/leave-requests/:requestId/attachment', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT attachment_path FROM leave_requests WHERE id = ? AND user_id = ?',
+      [req.params.requestId, req.user.id]
+    );
+
+    if (rows.length === 0 || !rows[0].attachment_path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    sendLeaveAttachment(res, rows[0].attachment_path);
+
+  } catch (error) {
+    console.error('Get leave attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /doctor/corrections - Get own attendance correction requests, newest first
+router.get('/corrections', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT
+        id,
+        session_date,
+        type,
+        proposed_time,
+        reason,
+        status,
+        reviewed_at,
+        review_note,
+        created_at
+      FROM attendance_corrections
+      WHERE user_id = ?
+      ORDER BY session_date DESC, id DESC
+      LIMIT 50
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Get corrections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /doctor/corrections - Report a missed check-in or check-out (date, type, time, reason)
+router.post('/corrections', async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { errors, correction } = parseCorrectionRequest(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. ')
+      });
+    }
+
+    const [pending] = await pool.execute(`
+      SELECT id FROM attendance_corrections
+      WHERE user_id = ? AND session_date = ? AND type = ? AND status = 'pending'
+    `, [userId, correction.date, correction.type]);
+
+    if (pending.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending correction for this event on that day'
+      });
+    }
+
+    // Checked again on approval, when earlier corrections may have been applied
+    const { record, error } = await resolveCorrection(userId, correction, { allowPendingCheckin: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const proposedTime = record ? record.timestamp : zonedDateTime(correction.date, correction.time);
+
+    const [result] = await pool.execute(`
+      INSERT INTO attendance_corrections (user_id, session_date, type, proposed_time, reason)
+      VALUES (?, ?, ?, ?, ?)
+    `, [userId, correction.date, correction.type, proposedTime, correction.reason]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Correction submitted for approval',
+      data: {
+        id: result.insertId,
+        sessionDate: correction.date,
+        type: correction.type,
+        proposedTime,
+        status: 'pending'
+      }
+    });
+
+  } catch (error) {
+    console.error('Create correction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /doctor/corrections/:correctionId/cancel - Withdraw a pending correction
+router.post('/corrections/:correctionId/cancel', async (req, res) => {
+  try {
+    const [result] = await pool.execute(`
+      UPDATE attendance_corrections SET status = 'cancelled'
+      WHERE id = ? AND user_id = ? AND status = 'pending'
+    `, [req.params.correctionId, req.user.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending correction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Correction cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel correction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /doctor/notifications - Unread notifications (e.g. a session closed automatically)
+router.get('/notifications', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getUnreadNotifications(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /doctor/notifications/read - Mark all notifications as read
+router.post('/notifications/read', async (req, res) => {
+  try {
+    await markNotificationsRead(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Notifications marked as read'
+    });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /doctor/notifications/:notificationId/read - Mark a notification as read
+router.post('/notifications/:notificationId/read', async (req, res) => {
+  try {
+    const updated = await markNotificationsRead(req.user.id, req.params.notificationId);
+
+    if (updated === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unread notification not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
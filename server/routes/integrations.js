@@ -0,0 +1,126 @@
+const express = require('express');
+const { pool } = require('../config/db');
+const { authenticateApiKey, requireScope } = require('../middleware/auth');
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 1000;
+
+// Integrations (HRIS, payroll) authenticate with an API key, never with the session cookie
+router.use(authenticateApiKey);
+
+// GET /integrations/attendance - Attendance records with pagination and filters
+router.get('/attendance', requireScope('attendance:read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      startDate = '',
+      endDate = '',
+      doctorId = ''
+    } = req.query;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_PAGE_SIZE);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * limit;
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (doctorId) {
+      whereClause += ' AND a.user_id = ?';
+      params.push(doctorId);
+    }
+
+    // Shift date, so an overnight check-out counts for the day its shift started
+    if (startDate) {
+      whereClause += ' AND a.session_date >= ?';
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ' AND a.session_date <= ?';
+      params.push(endDate);
+    }
+
+    const [countResult] = await pool.execute(`
+      SELECT COUNT(*) as total
+      FROM attendance a
+      ${whereClause}
+    `, params);
+
+    const total = countResult[0].total;
+
+    // Oldest first so a nightly sync can page forward through a date range
+    const [rows] = await pool.execute(`
+      SELECT
+        a.id,
+        a.user_id as doctor_id,
+        u.name as doctor_name,
+        u.department,
+        a.type,
+        a.timestamp,
+        DATE_FORMAT(a.session_date, '%Y-%m-%d') as session_date,
+        a.checkin_id,
+        a.scheduled_start,
+        a.scheduled_end,
+        a.minutes_late,
+        a.minutes_early,
+        a.source,
+        a.exception_status
+      FROM attendance a
+      JOIN users u ON a.user_id = u.id
+      ${whereClause}
+      ORDER BY a.timestamp ASC, a.id ASC
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+
+    res.json({
+      success: true,
+      data: {
+        records: rows,
+        pagination: {
+          page: parseInt(page) || 1,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Integration attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /integrations/doctors - Doctor accounts with status and validity window
+router.get('/doctors', requireScope('doctors:read'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT
+        id,
+        name,
+        department,
+        status,
+        DATE_FORMAT(valid_from, '%Y-%m-%d') as valid_from,
+        DATE_FORMAT(valid_until, '%Y-%m-%d') as valid_until
+      FROM users
+      WHERE role = 'doctor'
+      ORDER BY name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Integration doctors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const { toDateString, isDateString } = require('./time');
+
+// Account availability: deactivation and the validity window of temporary accounts
+// (locum and visiting doctors). valid_from and valid_until are inclusive hospital dates.
+
+// Why the account may not be used right now, or null when it may
+const getAccountAccessError = (user, now = new Date()) => {
+  if (user.status && user.status !== 'active') {
+    return {
+      code: 'ACCOUNT_INACTIVE',
+      detail: 'Account deactivated',
+      message: 'This account has been deactivated. Please contact the administrator.'
+    };
+  }
+
+  const today = toDateString(now);
+
+  if (user.valid_from && toDateString(user.valid_from) > today) {
+    return {
+      code: 'ACCOUNT_NOT_YET_VALID',
+      detail: 'Account not yet valid',
+      message: `This account becomes active on ${toDateString(user.valid_from)}.`
+    };
+  }
+
+  if (user.valid_until && toDateString(user.valid_until) < today) {
+    return {
+      code: 'ACCOUNT_EXPIRED',
+      detail: 'Account expired',
+      message: `This account expired on ${toDateString(user.valid_until)}. Please contact the administrator.`
+    };
+  }
+
+  return null;
+};
+
+// Validate an optional validity window from a request body.
+// Returns { errors, validFrom, validUntil } with empty values normalized to null.
+const parseValidityWindow = (validFrom, validUntil) => {
+  const errors = [];
+  const from = validFrom ? String(validFrom).trim() : null;
+  const until = validUntil ? String(validUntil).trim() : null;
+
+  if (from && !isDateString(from)) {
+    errors.push('Valid from must be a date (YYYY-MM-DD)');
+  }
+
+  if (until && !isDateString(until)) {
+    errors.push('Valid until must be a date (YYYY-MM-DD)');
+  }
+
+  if (from && until && errors.length === 0 && from > until) {
+    errors.push('Valid until must not be before valid from');
+  }
+
+  return { errors, validFrom: from, validUntil: until };
+};
+
+module.exports = {
+  getAccountAccessError,
+  parseValidityWindow
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+
+// Read-only scopes an integration (HRIS, payroll) can be granted
+const API_KEY_SCOPES = {
+  'attendance:read': 'Read attendance records',
+  'doctors:read': 'Read the doctor list'
+};
+
+const KEY_PREFIX = 'sad_';
+// Only bump last_used_at once a minute, as for sessions
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Keys look like "sad_<public id>.<secret>"; the public id is stored in plain text
+// to find the row and shown in the admin list, only the secret's hash is kept
+const parseApiKey = (apiKey) => {
+  const match = /^sad_([a-f0-9]{12})\.([a-f0-9]{64})$/.exec(String(apiKey || '').trim());
+  if (!match) {
+    return null;
+  }
+  return { publicId: match[1], secret: match[2] };
+};
+
+const toApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  keyPrefix: `${KEY_PREFIX}${row.public_id}`,
+  scopes: row.scopes ? row.scopes.split(',') : [],
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  lastUsedIp: row.last_used_ip,
+  revokedAt: row.revoked_at
+});
+
+// Create a key; the plain key is only returned here
+const createApiKey = async ({ name, scopes, expiresAt, createdBy }) => {
+  const publicId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const [result] = await pool.execute(`
+    INSERT INTO api_keys (name, public_id, secret_hash, scopes, created_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [name, publicId, hashSecret(secret), scopes.join(','), createdBy, expiresAt]);
+
+  return {
+    id: result.insertId,
+    key: `${KEY_PREFIX}${publicId}.${secret}`,
+    keyPrefix: `${KEY_PREFIX}${publicId}`
+  };
+};
+
+// Look up an active key; returns null when it is unknown, revoked or expired
+const verifyApiKey = async (apiKey, ipAddress) => {
+  const parsed = parseApiKey(apiKey);
+  if (!parsed) {
+    return null;
+  }
+
+  const now = new Date();
+  const [rows] = await pool.execute(`
+    SELECT id, name, secret_hash, scopes, last_used_at
+    FROM api_keys
+    WHERE public_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+  `, [parsed.publicId, now]);
+
+  const row = rows[0];
+  if (!row) {
+    return null;
+  }
+
+  const presented = Buffer.from(hashSecret(parsed.secret), 'hex');
+  const stored = Buffer.from(row.secret_hash, 'hex');
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return null;
+  }
+
+  if (!row.last_used_at || now - new Date(row.last_used_at) > LAST_USED_INTERVAL_MS) {
+    await pool.execute(
+      'UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?',
+      [now, ipAddress, row.id]
+    );
+  }
+
+  return {
+    id: row.id,
+    name: row.name,
+    scopes: row.scopes ? row.scopes.split(',') : []
+  };
+};
+
+const getApiKeys = async () => {
+  const [rows] = await pool.execute(`
+    SELECT id, name, public_id, scopes, created_by, created_at, expires_at,
+      last_used_at, last_used_ip, revoked_at
+    FROM api_keys
+    ORDER BY revoked_at IS NULL DESC, created_at DESC
+  `);
+  return rows.map(toApiKey);
+};
+
+const revokeApiKey = async (id) => {
+  const [result] = await pool.execute(
+    'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+    [new Date(), id]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  verifyApiKey,
+  getApiKeys,
+  revokeApiKey
+};
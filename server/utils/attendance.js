@@ -0,0 +1,175 @@
+const { pool } = require('../config/db');
+const { toDateString } = require('./time');
+
+// A check-in and the check-out paired with it form one attendance session; a doctor may
+// have several sessions on one day, but only one open at a time. Breaks are recorded
+// inside an open session and do not count as worked time. The session belongs to
+// its shift date, so a night shift from 21:00 to 07:00 counts for the day it started
+// even though the check-out happens on the next calendar day.
+
+// A check-in older than this can no longer be checked out
+const MAX_SHIFT_HOURS = parseInt(process.env.MAX_SHIFT_HOURS) || 16;
+
+// Shift date of a new check-in: the scheduled shift's date, or the local check-in date
+const getSessionDate = (schedule, checkinTime) => {
+  return schedule ? schedule.date : toDateString(checkinTime);
+};
+
+// Latest check-in of the user without a check-out, started within MAX_SHIFT_HOURS
+const findOpenCheckin = async (userId, now = new Date()) => {
+  const earliest = new Date(now.getTime() - MAX_SHIFT_HOURS * 60 * 60 * 1000);
+
+  const [rows] = await pool.execute(`
+    SELECT
+      ci.id,
+      ci.timestamp,
+      ci.photo_path,
+      DATE_FORMAT(ci.session_date, '%Y-%m-%d') as session_date,
+      ci.schedule_id,
+      ci.scheduled_start,
+      ci.scheduled_end,
+      ci.minutes_late
+    FROM attendance ci
+    WHERE ci.user_id = ? AND ci.type = 'checkin' AND ci.timestamp >= ?
+      AND NOT EXISTS (
+        SELECT 1 FROM attendance co WHERE co.checkin_id = ci.id AND co.type = 'checkout'
+      )
+    ORDER BY ci.timestamp DESC
+    LIMIT 1
+  `, [userId, earliest]);
+
+  return rows[0] || null;
+};
+
+const diffMinutes = (later, earlier) => Math.max(Math.floor((later - earlier) / 60000), 0);
+
+// Breaks of a session from its break_start/break_end records (oldest first). A break still
+// running ends at the check-out, or at `now` while the session is open.
+const pairBreaks = (records, sessionEnd) => {
+  const breaks = [];
+  records.forEach(record => {
+    if (record.type === 'break_start') {
+      breaks.push({ start: record.timestamp, end: null });
+    } else if (record.type === 'break_end' && breaks.length > 0 && !breaks[breaks.length - 1].end) {
+      breaks[breaks.length - 1].end = record.timestamp;
+    }
+  });
+
+  return breaks.map(item => ({
+    ...item,
+    minutes: diffMinutes(item.end ? new Date(item.end) : sessionEnd, new Date(item.start))
+  }));
+};
+
+// Minutes between a check-in and its check-out (or `now` while the session is open),
+// without the breaks taken in between
+const getWorkedMinutes = (checkinTime, checkoutTime, breakMinutes = 0, now = new Date()) => {
+  const end = checkoutTime ? new Date(checkoutTime) : now;
+  return Math.max(diffMinutes(end, new Date(checkinTime)) - breakMinutes, 0);
+};
+
+// The break running in a session, if any
+const findOpenBreak = async (checkinId) => {
+  const [rows] = await pool.execute(`
+    SELECT id, type, timestamp
+    FROM attendance
+    WHERE checkin_id = ? AND type IN ('break_start', 'break_end')
+    ORDER BY timestamp DESC, id DESC
+    LIMIT 1
+  `, [checkinId]);
+
+  return rows.length > 0 && rows[0].type === 'break_start' ? rows[0] : null;
+};
+
+// All sessions of the user on a shift date, oldest first. A doctor with a split schedule
+// (morning poli, evening practice) has one session per check-in.
+const getSessionsForDate = async (userId, sessionDate, now = new Date()) => {
+  const [checkins] = await pool.execute(`
+    SELECT
+      ci.id,
+      ci.timestamp,
+      ci.photo_path,
+      ci.scheduled_start,
+      ci.scheduled_end,
+      ci.minutes_late,
+      ci.exception_status,
+      s.shift_name
+    FROM attendance ci
+    LEFT JOIN doctor_schedules s ON ci.schedule_id = s.id
+    WHERE ci.user_id = ? AND ci.type = 'checkin' AND ci.session_date = ?
+    ORDER BY ci.timestamp ASC
+  `, [userId, sessionDate]);
+
+  if (checkins.length === 0) {
+    return [];
+  }
+
+  // Check-outs and breaks of these sessions
+  const [records] = await pool.execute(`
+    SELECT id, type, timestamp, photo_path, minutes_early, checkin_id, source, exception_status
+    FROM attendance
+    WHERE checkin_id IN (${checkins.map(() => '?').join(', ')})
+    ORDER BY timestamp ASC, id ASC
+  `, checkins.map(checkin => checkin.id));
+
+  return checkins.map(checkin => {
+    const sessionRecords = records.filter(record => record.checkin_id === checkin.id);
+    const checkout = sessionRecords.find(record => record.type === 'checkout') || null;
+    const breaks = pairBreaks(sessionRecords, checkout ? new Date(checkout.timestamp) : now);
+    const breakMinutes = breaks.reduce((total, item) => total + item.minutes, 0);
+
+    return {
+      id: checkin.id,
+      shiftName: checkin.shift_name || null,
+      checkin: {
+        timestamp: checkin.timestamp,
+        photo_path: checkin.photo_path,
+        scheduled_start: checkin.scheduled_start,
+        minutes_late: checkin.minutes_late,
+        exception_status: checkin.exception_status
+      },
+      checkout: checkout ? {
+        timestamp: checkout.timestamp,
+        photo_path: checkout.photo_path,
+        scheduled_end: checkin.scheduled_end,
+        minutes_early: checkout.minutes_early,
+        source: checkout.source,
+        exception_status: checkout.exception_status
+      } : null,
+      isOpen: !checkout,
+      onBreak: !checkout && breaks.some(item => !item.end),
+      breaks,
+      breakMinutes,
+      workedMinutes: getWorkedMinutes(checkin.timestamp, checkout && checkout.timestamp, breakMinutes, now)
+    };
+  });
+};
+
+// Pair check-outs recorded before sessions existed with the same day's check-in
+const backfillSessions = async (connection) => {
+  await connection.execute(
+    'UPDATE attendance SET session_date = DATE(timestamp) WHERE session_date IS NULL'
+  );
+
+  await connection.execute(`
+    UPDATE attendance co
+    JOIN attendance ci
+      ON ci.user_id = co.user_id
+      AND ci.type = 'checkin'
+      AND DATE(ci.timestamp) = DATE(co.timestamp)
+      AND ci.timestamp <= co.timestamp
+    SET co.checkin_id = ci.id
+    WHERE co.type = 'checkout' AND co.checkin_id IS NULL
+  `);
+};
+
+module.exports = {
+  MAX_SHIFT_HOURS,
+  getSessionDate,
+  findOpenCheckin,
+  pairBreaks,
+  getWorkedMinutes,
+  findOpenBreak,
+  getSessionsForDate,
+  backfillSessions
+};
@@ -0,0 +1,55 @@
+const { pool } = require('../config/db');
+
+// Authentication events written to the audit log
+const AUTH_EVENT_TYPES = [
+  'login',
+  'login_2fa',
+  'login_oidc',
+  'logout',
+  'password_change',
+  'password_reset',
+  'refresh_token_reuse',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'account_deactivated',
+  'account_reactivated',
+  'account_purged',
+  'api_key_created',
+  'api_key_revoked',
+  'security_settings_changed'
+];
+
+const AUTH_EVENT_OUTCOMES = ['success', 'failure', 'blocked'];
+
+const truncate = (value, length) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return String(value).slice(0, length);
+};
+
+// Append an event to the audit log. Never throws: a failing audit write must not
+// turn a successful login or logout into an error for the user.
+const recordAuthEvent = async (req, userId, eventType, outcome, detail = null) => {
+  try {
+    await pool.execute(`
+      INSERT INTO auth_events (user_id, event_type, outcome, detail, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      truncate(userId, 64),
+      eventType,
+      outcome,
+      truncate(detail, 255),
+      truncate(req.ip, 45),
+      truncate(req.get('user-agent'), 255)
+    ]);
+  } catch (error) {
+    console.error('Record auth event error:', error);
+  }
+};
+
+module.exports = {
+  AUTH_EVENT_TYPES,
+  AUTH_EVENT_OUTCOMES,
+  recordAuthEvent
+};
@@ -0,0 +1,201 @@
+const { pool } = require('../config/db');
+const { toTimeString, zonedDateTime, addDays } = require('./time');
+const { MAX_SHIFT_HOURS, findOpenBreak } = require('./attendance');
+const { getMinutesEarly } = require('./schedule');
+const { createNotification } = require('./notifications');
+
+// A doctor who forgets to check out leaves the session open, so it would count as worked
+// time forever. A background job closes such sessions with a check-out marked
+// source 'auto' (no photo), tells the doctor, and lists the session for an admin to
+// review and, if needed, set the real check-out time.
+
+// Hours after the scheduled shift end before an open session is closed
+const AUTO_CLOSE_AFTER_HOURS = parseInt(process.env.AUTO_CLOSE_AFTER_HOURS) || 2;
+const AUTO_CLOSE_INTERVAL_MINUTES = parseInt(process.env.AUTO_CLOSE_INTERVAL_MINUTES) || 15;
+// Days back the job looks; older open check-ins (e.g. from before the job existed) are
+// left for an admin to resolve instead of all being closed on the first run
+const AUTO_CLOSE_LOOKBACK_DAYS = parseInt(process.env.AUTO_CLOSE_LOOKBACK_DAYS) || 7;
+
+// Open check-ins past their closing time: scheduled ones AUTO_CLOSE_AFTER_HOURS after the
+// shift end, all of them MAX_SHIFT_HOURS after the check-in, checked in within the last
+// AUTO_CLOSE_LOOKBACK_DAYS. Sessions with a pending check-out correction are left for the
+// reviewer of that correction.
+const findForgottenCheckins = async (now) => {
+  const scheduledCutoff = new Date(now.getTime() - AUTO_CLOSE_AFTER_HOURS * 60 * 60 * 1000);
+  const maxCutoff = new Date(now.getTime() - MAX_SHIFT_HOURS * 60 * 60 * 1000);
+  const lookbackStart = new Date(now.getTime() - AUTO_CLOSE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const [rows] = await pool.execute(`
+    SELECT
+      ci.id,
+      ci.user_id,
+      ci.timestamp,
+      DATE_FORMAT(ci.session_date, '%Y-%m-%d') as session_date,
+      ci.schedule_id,
+      ci.scheduled_start,
+      ci.scheduled_end,
+      (SELECT MAX(b.timestamp) FROM attendance b WHERE b.checkin_id = ci.id) as last_activity
+    FROM attendance ci
+    WHERE ci.type = 'checkin'
+      AND ci.timestamp >= ?
+      AND ((ci.scheduled_end IS NOT NULL AND ci.scheduled_end < ?) OR ci.timestamp < ?)
+      AND NOT EXISTS (
+        SELECT 1 FROM attendance co WHERE co.checkin_id = ci.id AND co.type = 'checkout'
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM attendance_corrections c
+        WHERE c.user_id = ci.user_id AND c.session_date = ci.session_date
+          AND c.type = 'checkout' AND c.status = 'pending'
+      )
+    ORDER BY ci.timestamp ASC
+  `, [lookbackStart, scheduledCutoff, maxCutoff]);
+
+  return rows;
+};
+
+// Where an auto-closed session ends: the scheduled shift end, or the last thing recorded
+// in an unscheduled session (so no unrecorded time is counted as worked)
+const getAutoCloseTime = (checkin) => {
+  const lastActivity = new Date(checkin.last_activity || checkin.timestamp);
+  if (checkin.scheduled_end && new Date(checkin.scheduled_end) > lastActivity) {
+    return new Date(checkin.scheduled_end);
+  }
+  return lastActivity;
+};
+
+// Close one forgotten session; false when it was checked out in the meantime
+const autoCloseSession = async (checkin) => {
+  const timestamp = getAutoCloseTime(checkin);
+
+  const openBreak = await findOpenBreak(checkin.id);
+  const minutesEarly = checkin.scheduled_end
+    ? getMinutesEarly(new Date(checkin.scheduled_end), timestamp)
+    : null;
+
+  const [result] = await pool.execute(`
+    INSERT INTO attendance (user_id, type, timestamp, session_date, checkin_id, schedule_id,
+      scheduled_start, scheduled_end, minutes_early, source)
+    SELECT ?, 'checkout', ?, ?, ?, ?, ?, ?, ?, 'auto'
+    FROM DUAL
+    WHERE NOT EXISTS (
+      SELECT 1 FROM attendance co WHERE co.checkin_id = ? AND co.type = 'checkout'
+    )
+  `, [
+    checkin.user_id,
+    timestamp,
+    checkin.session_date,
+    checkin.id,
+    checkin.schedule_id,
+    checkin.scheduled_start,
+    checkin.scheduled_end,
+    minutesEarly,
+    checkin.id
+  ]);
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  if (openBreak) {
+    await pool.execute(`
+      INSERT INTO attendance (user_id, type, timestamp, session_date, checkin_id, source)
+      VALUES (?, 'break_end', ?, ?, ?, 'auto')
+    `, [checkin.user_id, timestamp, checkin.session_date, checkin.id]);
+  }
+
+  await createNotification(
+    checkin.user_id,
+    'auto_checkout',
+    `You did not check out of your session on ${checkin.session_date}. It was closed automatically at ` +
+      `${toTimeString(timestamp).slice(0, 5)} and will be reviewed by an administrator.`,
+    result.insertId
+  );
+
+  return true;
+};
+
+// Close every forgotten session; returns how many were closed
+const closeForgottenCheckouts = async (now = new Date()) => {
+  const checkins = await findForgottenCheckins(now);
+  let closed = 0;
+
+  for (const checkin of checkins) {
+    if (await autoCloseSession(checkin)) {
+      closed++;
+    }
+  }
+
+  return closed;
+};
+
+// Run the job at startup and every AUTO_CLOSE_INTERVAL_MINUTES
+const startAutoCloseJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const closed = await closeForgottenCheckouts();
+      if (closed > 0) {
+        console.log(`🕒 Auto-closed ${closed} forgotten check-out(s)`);
+      }
+    } catch (error) {
+      console.error('Auto-close job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  setInterval(run, AUTO_CLOSE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+// The check-out instant an admin sets for an auto-closed session from a time (HH:MM:SS) on
+// the shift date; a time before the check-in is taken as the next morning
+const resolveReviewedCheckout = async (session, time, now = new Date()) => {
+  const checkinTime = new Date(session.checkin_time);
+  let timestamp = zonedDateTime(session.session_date, time);
+  if (timestamp <= checkinTime) {
+    timestamp = zonedDateTime(addDays(session.session_date, 1), time);
+  }
+
+  if (timestamp > now) {
+    return { error: 'The check-out time must not be in the future' };
+  }
+
+  if (timestamp - checkinTime > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+    return { error: `A session can last at most ${MAX_SHIFT_HOURS} hours` };
+  }
+
+  // Breaks the doctor recorded must stay inside the session
+  const [lastBreak] = await pool.execute(`
+    SELECT MAX(timestamp) as timestamp FROM attendance
+    WHERE checkin_id = ? AND type IN ('break_start', 'break_end') AND source <> 'auto'
+  `, [session.checkin_id]);
+  if (lastBreak[0].timestamp && timestamp < new Date(lastBreak[0].timestamp)) {
+    return { error: `The check-out time is before a break recorded at ${toTimeString(lastBreak[0].timestamp).slice(0, 5)}` };
+  }
+
+  const [nextCheckins] = await pool.execute(`
+    SELECT id FROM attendance
+    WHERE user_id = ? AND type = 'checkin' AND timestamp > ? AND timestamp < ?
+    LIMIT 1
+  `, [session.user_id, checkinTime, timestamp]);
+  if (nextCheckins.length > 0) {
+    return { error: "The check-out time is after the doctor's next check-in" };
+  }
+
+  return {
+    timestamp,
+    minutesEarly: session.scheduled_end ? getMinutesEarly(new Date(session.scheduled_end), timestamp) : null
+  };
+};
+
+module.exports = {
+  closeForgottenCheckouts,
+  startAutoCloseJob,
+  resolveReviewedCheckout
+};
@@ -0,0 +1,216 @@
+const { pool } = require('../config/db');
+const { toDateString, zonedDateTime, addDays, isDateString } = require('./time');
+const { MAX_SHIFT_HOURS } = require('./attendance');
+const { normalizeTime, getShiftWindow, getMinutesLate, getMinutesEarly } = require('./schedule');
+
+// A doctor who forgot to check in or out (or whose phone died) reports the missing event
+// with the time it happened. An approved correction creates the attendance record, marked
+// with source 'correction' and linked to the request.
+
+const CORRECTION_TYPES = ['checkin', 'checkout'];
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+// How far back a missed event can still be reported
+const CORRECTION_MAX_DAYS = 30;
+const MAX_REASON_LENGTH = 500;
+
+// Validate a correction request from a request body
+const parseCorrectionRequest = (body, now = new Date()) => {
+  const errors = [];
+  const date = String(body.date || '');
+  const type = String(body.type || '');
+  const time = normalizeTime(body.time);
+  const reason = String(body.reason || '').trim();
+
+  if (!CORRECTION_TYPES.includes(type)) {
+    errors.push('Event must be a check-in or a check-out');
+  }
+
+  const today = toDateString(now);
+  if (!isDateString(date)) {
+    errors.push('Date must be a date (YYYY-MM-DD)');
+  } else if (date > today) {
+    errors.push('Date must not be in the future');
+  } else if (date < addDays(today, -CORRECTION_MAX_DAYS)) {
+    errors.push(`Corrections can only be requested for the last ${CORRECTION_MAX_DAYS} days`);
+  }
+
+  if (!time) {
+    errors.push('Time must be a time (HH:MM)');
+  }
+
+  if (!reason || reason.length > MAX_REASON_LENGTH) {
+    errors.push(`Reason is required (max ${MAX_REASON_LENGTH} characters)`);
+  }
+
+  return {
+    errors,
+    correction: { date, type, time, reason }
+  };
+};
+
+// Check-in of the user on a shift date that has no check-out, before `time`
+const findUnclosedCheckin = async (userId, sessionDate, time) => {
+  const [rows] = await pool.execute(`
+    SELECT ci.id, ci.timestamp, ci.schedule_id, ci.scheduled_start, ci.scheduled_end
+    FROM attendance ci
+    WHERE ci.user_id = ? AND ci.type = 'checkin' AND ci.session_date = ? AND ci.timestamp < ?
+      AND NOT EXISTS (
+        SELECT 1 FROM attendance co WHERE co.checkin_id = ci.id AND co.type = 'checkout'
+      )
+    ORDER BY ci.timestamp DESC
+    LIMIT 1
+  `, [userId, sessionDate, time]);
+  return rows[0] || null;
+};
+
+// Whether `time` falls inside one of the user's sessions (or after a check-in still open)
+const isInsideSession = async (userId, time) => {
+  const earliest = new Date(time.getTime() - MAX_SHIFT_HOURS * 60 * 60 * 1000);
+  const [rows] = await pool.execute(`
+    SELECT ci.id
+    FROM attendance ci
+    LEFT JOIN attendance co ON co.checkin_id = ci.id AND co.type = 'checkout'
+    WHERE ci.user_id = ? AND ci.type = 'checkin' AND ci.timestamp <= ? AND ci.timestamp >= ?
+      AND (co.id IS NULL OR co.timestamp >= ?)
+    LIMIT 1
+  `, [userId, time, earliest, time]);
+  return rows.length > 0;
+};
+
+// Unchecked-in schedule of the user on the date whose start is closest to `time`
+const findScheduleForCorrection = async (userId, sessionDate, time) => {
+  const [rows] = await pool.execute(`
+    SELECT s.id, s.schedule_date, s.shift_name, s.start_time, s.end_time, s.late_grace_minutes
+    FROM doctor_schedules s
+    WHERE s.user_id = ? AND s.schedule_date = ?
+      AND NOT EXISTS (
+        SELECT 1 FROM attendance a WHERE a.schedule_id = s.id AND a.type = 'checkin'
+      )
+  `, [userId, sessionDate]);
+
+  const schedules = rows
+    .map(row => ({ ...row, window: getShiftWindow(row.schedule_date, row.start_time, row.end_time) }))
+    .filter(schedule => schedule.window.end > time)
+    .sort((a, b) => Math.abs(a.window.start - time) - Math.abs(b.window.start - time));
+
+  return schedules[0] || null;
+};
+
+// The attendance record a correction would create, or the reason it cannot be applied.
+// With `allowPendingCheckin`, a check-out may follow a check-in that is itself still a
+// pending correction (it is checked again when the check-out is approved).
+const resolveCorrection = async (userId, correction, { allowPendingCheckin = false, now = new Date() } = {}) => {
+  const { date, type, time } = correction;
+  let timestamp = zonedDateTime(date, time);
+
+  if (type === 'checkin') {
+    if (timestamp > now) {
+      return { error: 'The check-in time must not be in the future' };
+    }
+
+    if (await isInsideSession(userId, timestamp)) {
+      return { error: 'You were already checked in at that time' };
+    }
+
+    const schedule = await findScheduleForCorrection(userId, date, timestamp);
+    return {
+      record: {
+        type,
+        timestamp,
+        sessionDate: date,
+        checkinId: null,
+        scheduleId: schedule ? schedule.id : null,
+        scheduledStart: schedule ? schedule.window.start : null,
+        scheduledEnd: schedule ? schedule.window.end : null,
+        minutesLate: schedule ? getMinutesLate(schedule.window.start, timestamp, schedule.late_grace_minutes) : null,
+        minutesEarly: null
+      }
+    };
+  }
+
+  // A check-out earlier in the day than the shift's check-in belongs to the next morning
+  let checkin = await findUnclosedCheckin(userId, date, timestamp);
+  if (!checkin) {
+    const nextDay = zonedDateTime(addDays(date, 1), time);
+    checkin = await findUnclosedCheckin(userId, date, nextDay);
+    if (checkin) {
+      timestamp = nextDay;
+    }
+  }
+
+  if (timestamp > now) {
+    return { error: 'The check-out time must not be in the future' };
+  }
+
+  if (!checkin) {
+    if (allowPendingCheckin) {
+      const [pending] = await pool.execute(`
+        SELECT id FROM attendance_corrections
+        WHERE user_id = ? AND session_date = ? AND type = 'checkin' AND status = 'pending'
+        LIMIT 1
+      `, [userId, date]);
+      if (pending.length > 0) {
+        return { record: null };
+      }
+    }
+    return { error: 'There is no check-in without a check-out on that day to close' };
+  }
+
+  if (timestamp - new Date(checkin.timestamp) > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+    return { error: `A session can last at most ${MAX_SHIFT_HOURS} hours` };
+  }
+
+  // The check-out must come before the doctor's next check-in
+  const [nextCheckins] = await pool.execute(`
+    SELECT id FROM attendance
+    WHERE user_id = ? AND type = 'checkin' AND timestamp > ? AND timestamp < ?
+    LIMIT 1
+  `, [userId, checkin.timestamp, timestamp]);
+  if (nextCheckins.length > 0) {
+    return { error: 'The check-out time is after your next check-in' };
+  }
+
+  return {
+    record: {
+      type,
+      timestamp,
+      sessionDate: date,
+      checkinId: checkin.id,
+      scheduleId: checkin.schedule_id,
+      scheduledStart: checkin.scheduled_start,
+      scheduledEnd: checkin.scheduled_end,
+      minutesLate: null,
+      minutesEarly: checkin.scheduled_end ? getMinutesEarly(new Date(checkin.scheduled_end), timestamp) : null
+    }
+  };
+};
+
+// Insert the attendance record of an approved correction
+const createCorrectionRecord = async (userId, correctionId, record, connection = pool) => {
+  const [result] = await connection.execute(`
+    INSERT INTO attendance (user_id, type, timestamp, session_date, checkin_id, schedule_id,
+      scheduled_start, scheduled_end, minutes_late, minutes_early, source, correction_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'correction', ?)
+  `, [
+    userId,
+    record.type,
+    record.timestamp,
+    record.sessionDate,
+    record.checkinId,
+    record.scheduleId,
+    record.scheduledStart,
+    record.scheduledEnd,
+    record.minutesLate,
+    record.minutesEarly,
+    correctionId
+  ]);
+  return result.insertId;
+};
+
+module.exports = {
+  CORRECTION_STATUSES,
+  CORRECTION_MAX_DAYS,
+  parseCorrectionRequest,
+  resolveCorrection,
+  createCorrectionRecord
+};
@@ -72,8 +72,56 @@ const validateCoordinates = (lat, lng) => {
   return { valid: true, lat: latitude, lng: longitude };
 };
 
+// Why a doctor on call (jaga) checks in or out away from the hospital. Such records are
+// kept with the distance and wait for an admin to approve them.
+const OUTSIDE_FENCE_REASONS = ['phone_consult', 'secondary_site', 'emergency_call', 'other'];
+const MAX_OUTSIDE_NOTE_LENGTH = 255;
+
+// Validate the outside-fence reason and note from a request body
+const parseOutsideFence = (body) => {
+  const errors = [];
+  const reason = String(body.outsideReason || '');
+  const note = String(body.outsideNote || '').trim();
+
+  if (!OUTSIDE_FENCE_REASONS.includes(reason)) {
+    errors.push(`Reason must be one of: ${OUTSIDE_FENCE_REASONS.join(', ')}`);
+  }
+
+  if (!note || note.length > MAX_OUTSIDE_NOTE_LENGTH) {
+    errors.push(`A note is required when outside the authorized location (max ${MAX_OUTSIDE_NOTE_LENGTH} characters)`);
+  }
+
+  return { errors, exception: { reason, note } };
+};
+
+// Geofence check of a check-in or check-out. Outside the fence the request is refused
+// unless it carries an outside-fence reason, which turns it into an exception.
+const checkGeofence = (lat, lng, body) => {
+  const geofence = isWithinGeofence(lat, lng);
+  if (geofence.isWithin) {
+    return { geofence, exception: null };
+  }
+
+  if (!body.outsideReason) {
+    return {
+      geofence,
+      status: 403,
+      error: `You are outside the authorized location. You are ${geofence.distance}m away (maximum allowed: ${geofence.maxDistance}m)`
+    };
+  }
+
+  const { errors, exception } = parseOutsideFence(body);
+  if (errors.length > 0) {
+    return { geofence, status: 400, error: errors.join('. ') };
+  }
+
+  return { geofence, exception };
+};
+
 module.exports = {
+  OUTSIDE_FENCE_REASONS,
   calculateDistance,
   isWithinGeofence,
-  validateCoordinates
+  validateCoordinates,
+  checkGeofence
 };
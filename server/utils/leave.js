@@ -0,0 +1,141 @@
+const path = require('path');
+const { pool } = require('../config/db');
+const { isDateString } = require('./time');
+
+// Leave (cuti, sick leave, conference leave) requested by a doctor for a date range.
+// Approved leave marks those days as absent with a reason instead of a no-show, and
+// blocks check-in on them.
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+// Longest date range a single request may cover
+const MAX_LEAVE_DAYS = 90;
+const MAX_REASON_LENGTH = 500;
+
+// Attachments (sick notes, invitations) may hold medical details, so they are kept outside
+// the public uploads folder and only served through authenticated routes
+const LEAVE_ATTACHMENT_DIR = path.join(__dirname, '../storage/leave');
+
+// Leave types created on first start
+const DEFAULT_LEAVE_TYPES = [
+  { code: 'cuti', name: 'Cuti Tahunan', requiresAttachment: false },
+  { code: 'sakit', name: 'Sakit', requiresAttachment: true },
+  { code: 'konferensi', name: 'Konferensi / Pelatihan', requiresAttachment: false },
+  { code: 'izin', name: 'Izin', requiresAttachment: false }
+];
+
+const seedLeaveTypes = async (connection) => {
+  const [rows] = await connection.execute('SELECT COUNT(*) as count FROM leave_types');
+  if (rows[0].count > 0) {
+    return;
+  }
+
+  for (const type of DEFAULT_LEAVE_TYPES) {
+    await connection.execute(
+      'INSERT IGNORE INTO leave_types (code, name, requires_attachment) VALUES (?, ?, ?)',
+      [type.code, type.name, type.requiresAttachment]
+    );
+  }
+};
+
+const getLeaveTypes = async () => {
+  const [rows] = await pool.execute(`
+    SELECT id, code, name, requires_attachment
+    FROM leave_types
+    WHERE is_active = TRUE
+    ORDER BY name ASC
+  `);
+  return rows.map(row => ({
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    requiresAttachment: !!row.requires_attachment
+  }));
+};
+
+// Number of days from startDate to endDate (inclusive). Computed from the UTC midnights
+// rather than by stepping a day at a time, so a far-off end date cannot stall the server.
+const countLeaveDays = (startDate, endDate) => {
+  const start = new Date(`${startDate}T00:00:00Z`).getTime();
+  const end = new Date(`${endDate}T00:00:00Z`).getTime();
+  return Math.round((end - start) / 86400000) + 1;
+};
+
+// Validate a leave request from a request body; `hasAttachment` is whether a file was uploaded
+const parseLeaveRequest = (body, leaveType, hasAttachment) => {
+  const errors = [];
+  const startDate = String(body.startDate || '');
+  const endDate = String(body.endDate || '');
+  const reason = String(body.reason || '').trim();
+
+  if (!leaveType) {
+    errors.push('Leave type is required');
+  } else if (leaveType.requiresAttachment && !hasAttachment) {
+    errors.push(`${leaveType.name} requires a supporting document`);
+  }
+
+  if (!isDateString(startDate) || !isDateString(endDate)) {
+    errors.push('Start and end date must be dates (YYYY-MM-DD)');
+  } else if (endDate < startDate) {
+    errors.push('End date must not be before start date');
+  } else if (countLeaveDays(startDate, endDate) > MAX_LEAVE_DAYS) {
+    errors.push(`Leave can be requested for at most ${MAX_LEAVE_DAYS} days at a time`);
+  }
+
+  if (reason.length > MAX_REASON_LENGTH) {
+    errors.push(`Reason must be at most ${MAX_REASON_LENGTH} characters`);
+  }
+
+  return {
+    errors,
+    leave: { startDate, endDate, reason: reason || null }
+  };
+};
+
+// Pending or approved leave of the user overlapping a date range
+const findOverlappingLeave = async (userId, startDate, endDate) => {
+  const [rows] = await pool.execute(`
+    SELECT id, status
+    FROM leave_requests
+    WHERE user_id = ? AND status IN ('pending', 'approved')
+      AND start_date <= ? AND end_date >= ?
+    LIMIT 1
+  `, [userId, endDate, startDate]);
+  return rows[0] || null;
+};
+
+// Approved leave of the user covering a date
+const findApprovedLeave = async (userId, date) => {
+  const [rows] = await pool.execute(`
+    SELECT lr.id, lr.start_date, lr.end_date, lt.name as leave_type
+    FROM leave_requests lr
+    JOIN leave_types lt ON lr.leave_type_id = lt.id
+    WHERE lr.user_id = ? AND lr.status = 'approved'
+      AND lr.start_date <= ? AND lr.end_date >= ?
+    LIMIT 1
+  `, [userId, date, date]);
+  return rows[0] || null;
+};
+
+// Send a stored attachment, or a 404 when the file is gone
+const sendLeaveAttachment = (res, attachmentPath) => {
+  res.sendFile(path.join(LEAVE_ATTACHMENT_DIR, path.basename(attachmentPath)), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+  });
+};
+
+module.exports = {
+  LEAVE_ATTACHMENT_DIR,
+  LEAVE_STATUSES,
+  seedLeaveTypes,
+  getLeaveTypes,
+  countLeaveDays,
+  parseLeaveRequest,
+  findOverlappingLeave,
+  findApprovedLeave,
+  sendLeaveAttachment
+};
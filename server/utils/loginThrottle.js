@@ -0,0 +1,149 @@
+const { pool } = require('../config/db');
+require('dotenv').config();
+
+// Throttling configuration
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 20);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+const FREE_ATTEMPTS = 2; // Failures allowed before delays start
+const MAX_DELAY_SECONDS = 30;
+// Length of login_attempts.identifier; longer login IDs share the row of their prefix
+const MAX_IDENTIFIER_LENGTH = 64;
+
+const toIdentifier = (value) => String(value).slice(0, MAX_IDENTIFIER_LENGTH);
+
+// Delay (in seconds) required after the given number of consecutive failures
+const getDelaySeconds = (failedCount) => {
+  if (failedCount <= FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(Math.pow(2, failedCount - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+};
+
+const getAttemptRow = async (scope, identifier) => {
+  const [rows] = await pool.execute(
+    'SELECT failed_count, last_failed_at, locked_until FROM login_attempts WHERE scope = ? AND identifier = ?',
+    [scope, toIdentifier(identifier)]
+  );
+  return rows[0] || null;
+};
+
+// Seconds the caller has to wait before this scope/identifier may try again
+const getWaitSeconds = (row, now) => {
+  if (!row) {
+    return 0;
+  }
+
+  if (row.locked_until && new Date(row.locked_until) > now) {
+    return Math.ceil((new Date(row.locked_until) - now) / 1000);
+  }
+
+  const nextAttemptAt = new Date(row.last_failed_at).getTime() + getDelaySeconds(row.failed_count) * 1000;
+  return Math.max(0, Math.ceil((nextAttemptAt - now.getTime()) / 1000));
+};
+
+// Check whether a login attempt for this account and IP is currently allowed
+const checkLoginAllowed = async (userId, ipAddress) => {
+  const now = new Date();
+  const [accountRow, ipRow] = await Promise.all([
+    getAttemptRow('account', userId),
+    getAttemptRow('ip', ipAddress)
+  ]);
+
+  const accountWait = getWaitSeconds(accountRow, now);
+  const ipWait = getWaitSeconds(ipRow, now);
+  const retryAfter = Math.max(accountWait, ipWait);
+
+  if (retryAfter === 0) {
+    return { allowed: true };
+  }
+
+  const locked = [accountRow, ipRow].some(row => row && row.locked_until && new Date(row.locked_until) > now);
+
+  return {
+    allowed: false,
+    locked,
+    retryAfter,
+    message: locked
+      ? `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      : `Too many failed login attempts. Please wait ${retryAfter} second(s) before trying again.`
+  };
+};
+
+// The counter is incremented in SQL so concurrent failures cannot overwrite each other.
+// MySQL applies the assignments in order: failed_count still sees the previous
+// last_failed_at, and locked_until sees the new failed_count.
+const recordFailure = async (scope, identifier, maxAttempts, now) => {
+  // Failures older than the lockout window no longer count
+  const windowStart = new Date(now.getTime() - LOCKOUT_MINUTES * 60 * 1000);
+  const lockUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+
+  await pool.execute(`
+    INSERT INTO login_attempts (scope, identifier, failed_count, last_failed_at, locked_until)
+    VALUES (?, ?, 1, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      failed_count = IF(last_failed_at < ?, 1, failed_count + 1),
+      locked_until = IF(failed_count >= ?, ?, NULL),
+      last_failed_at = VALUES(last_failed_at)
+  `, [scope, toIdentifier(identifier), now, 1 >= maxAttempts ? lockUntil : null, windowStart, maxAttempts, lockUntil]);
+
+  const row = await getAttemptRow(scope, identifier);
+  const lockedUntil = row && row.locked_until && new Date(row.locked_until) > now
+    ? new Date(row.locked_until)
+    : null;
+
+  return { failedCount: row ? row.failed_count : 1, lockedUntil };
+};
+
+// Record a failed login for both the attempted account and the source IP
+const recordFailedLogin = async (userId, ipAddress) => {
+  const now = new Date();
+  const account = await recordFailure('account', userId, MAX_ACCOUNT_ATTEMPTS, now);
+  const ip = await recordFailure('ip', ipAddress, MAX_IP_ATTEMPTS, now);
+
+  const lockedUntil = Math.max(account.lockedUntil || 0, ip.lockedUntil || 0);
+
+  return {
+    accountLocked: !!account.lockedUntil,
+    ipLocked: !!ip.lockedUntil,
+    retryAfter: lockedUntil ? Math.ceil((lockedUntil - now) / 1000) : 0
+  };
+};
+
+// Reset the failure counter of an account (successful login or admin unlock)
+const clearFailedLogins = async (scope, identifier) => {
+  const [result] = await pool.execute(
+    'DELETE FROM login_attempts WHERE scope = ? AND identifier = ?',
+    [scope, toIdentifier(identifier)]
+  );
+  return result.affectedRows > 0;
+};
+
+// List accounts and IPs that are currently locked out
+const getActiveLocks = async () => {
+  const [rows] = await pool.execute(`
+    SELECT
+      la.scope,
+      la.identifier,
+      la.failed_count,
+      la.last_failed_at,
+      la.locked_until,
+      u.name as user_name
+    FROM login_attempts la
+    LEFT JOIN users u ON la.scope = 'account' AND la.identifier = u.id
+    WHERE la.locked_until > ?
+    ORDER BY la.locked_until DESC
+  `, [new Date()]);
+
+  return {
+    accounts: rows.filter(row => row.scope === 'account'),
+    ips: rows.filter(row => row.scope === 'ip')
+  };
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  getActiveLocks
+};
@@ -0,0 +1,45 @@
+const { pool } = require('../config/db');
+
+// Messages for a user, shown on their dashboard until marked as read
+
+// How many notifications the dashboard lists
+const NOTIFICATION_LIMIT = 20;
+
+const createNotification = async (userId, type, message, attendanceId = null) => {
+  await pool.execute(
+    'INSERT INTO notifications (user_id, type, message, attendance_id) VALUES (?, ?, ?, ?)',
+    [userId, type, message, attendanceId]
+  );
+};
+
+// Unread notifications of the user (newest first)
+const getUnreadNotifications = async (userId) => {
+  const [rows] = await pool.execute(`
+    SELECT id, type, message, attendance_id, created_at
+    FROM notifications
+    WHERE user_id = ? AND read_at IS NULL
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${NOTIFICATION_LIMIT}
+  `, [userId]);
+  return rows;
+};
+
+// Mark one notification (or all of them without `notificationId`) as read
+const markNotificationsRead = async (userId, notificationId = null) => {
+  const [result] = notificationId
+    ? await pool.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE id = ? AND user_id = ? AND read_at IS NULL',
+      [notificationId, userId]
+    )
+    : await pool.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [userId]
+    );
+  return result.affectedRows;
+};
+
+module.exports = {
+  createNotification,
+  getUnreadNotifications,
+  markNotificationsRead
+};
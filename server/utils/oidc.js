@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getBooleanSetting } = require('./settings');
+require('dotenv').config();
+
+// OpenID Connect (authorization code flow with PKCE) against the hospital identity provider
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || 'http://localhost:5000/api/auth/oidc/callback';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile';
+// ID token claim holding the employee number (NIP) that matches users.id
+const OIDC_USER_CLAIM = process.env.OIDC_USER_CLAIM || 'sub';
+const OIDC_BUTTON_LABEL = process.env.OIDC_BUTTON_LABEL || 'Login with hospital account';
+
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+let metadataCache = null;
+let jwksCache = null;
+
+const isOidcEnabled = () => !!(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+// Whether a session skips the local 2FA code, 2FA enrollment and password rules. Only
+// OIDC sessions, and only once an admin has turned on the trust_oidc_mfa setting.
+const isTrustedOidcSession = async (authMethod) => {
+  return authMethod === 'oidc' && getBooleanSetting('trust_oidc_mfa');
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data) {
+    const reason = data && (data.error_description || data.error);
+    throw new Error(`OIDC request to ${url} failed (${response.status}${reason ? `: ${reason}` : ''})`);
+  }
+  return data;
+};
+
+// Provider endpoints from the discovery document
+const getMetadata = async () => {
+  if (metadataCache && Date.now() - metadataCache.fetchedAt < METADATA_CACHE_MS) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+  metadataCache = { metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+// Public key for an ID token signature; the key set is re-fetched once when the
+// kid is unknown so key rotation at the provider does not break logins
+const getSigningKey = async (kid) => {
+  const findKey = () => jwksCache && jwksCache.keys.find(key => !kid || key.kid === kid);
+
+  if (!findKey() || Date.now() - jwksCache.fetchedAt > METADATA_CACHE_MS) {
+    const metadata = await getMetadata();
+    const jwks = await fetchJson(metadata.jwks_uri);
+    jwksCache = { keys: jwks.keys || [], fetchedAt: Date.now() };
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('OIDC signing key not found');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Random state, nonce and PKCE verifier for one login attempt
+const createAuthorizationRequest = () => ({
+  state: base64url(crypto.randomBytes(24)),
+  nonce: base64url(crypto.randomBytes(24)),
+  codeVerifier: base64url(crypto.randomBytes(32))
+});
+
+const buildAuthorizationUrl = async ({ state, nonce, codeVerifier }) => {
+  const metadata = await getMetadata();
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Exchange the authorization code and return the verified ID token claims
+const exchangeCode = async (code, { nonce, codeVerifier }) => {
+  const metadata = await getMetadata();
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: OIDC_REDIRECT_URI,
+      client_id: OIDC_CLIENT_ID,
+      client_secret: OIDC_CLIENT_SECRET,
+      code_verifier: codeVerifier
+    }).toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response has no id_token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new Error('OIDC id_token is malformed');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer: metadata.issuer,
+    audience: OIDC_CLIENT_ID
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC nonce mismatch');
+  }
+
+  return claims;
+};
+
+// The local user id (NIP) an ID token belongs to
+const getUserIdFromClaims = (claims) => {
+  const value = claims[OIDC_USER_CLAIM];
+  return value === undefined || value === null ? null : String(value).trim();
+};
+
+module.exports = {
+  OIDC_BUTTON_LABEL,
+  isOidcEnabled,
+  isTrustedOidcSession,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  getUserIdFromClaims
+};
@@ -0,0 +1,154 @@
+const bcrypt = require('bcrypt');
+const { pool } = require('../config/db');
+require('dotenv').config();
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return value === 'true';
+};
+
+// Password policy, configurable through the environment
+const POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || 8),
+  requireUppercase: parseBoolean(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  requireLowercase: parseBoolean(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  requireNumber: parseBoolean(process.env.PASSWORD_REQUIRE_NUMBER, true),
+  requireSymbol: parseBoolean(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  // Number of recent passwords (including the current one) that cannot be reused
+  historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || 5),
+  // 0 disables password expiry
+  maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || 0)
+};
+
+const BCRYPT_ROUNDS = 10;
+
+// Passwords that satisfy the character rules but are still trivially guessed
+const COMMON_PASSWORDS = [
+  '123456', '12345678', '123456789', '1234567890', 'password', 'password1',
+  'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword1', 'qwerty', 'qwerty123',
+  'qwertyuiop', 'abc123', 'abcd1234', 'admin', 'admin123', 'admin1234',
+  'administrator', 'welcome', 'welcome1', 'welcome123', 'letmein', 'iloveyou',
+  'monkey', 'dragon', 'sunshine', 'princess', 'football', 'baseball',
+  'master', 'superman', 'trustno1', '1q2w3e4r', '1qaz2wsx', 'zaq12wsx',
+  'changeme', 'default', 'secret', 'test1234', 'user1234', 'doctor',
+  'doctor123', 'dokter', 'dokter123', 'rumahsakit', 'rsuti', 'rsuti123',
+  'indonesia', 'bismillah', 'jakarta', 'sayang', 'rahasia', 'rahasia123'
+];
+
+// Policy details the client needs to show the same rules while typing
+const getPasswordPolicy = () => ({
+  ...POLICY,
+  commonPasswords: COMMON_PASSWORDS
+});
+
+// Check a candidate password against the policy rules; returns a list of errors
+const validatePassword = (password) => {
+  const errors = [];
+
+  if (!password || typeof password !== 'string') {
+    return ['Password is required'];
+  }
+
+  if (password.length < POLICY.minLength) {
+    errors.push(`Password must be at least ${POLICY.minLength} characters long`);
+  }
+  if (POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (POLICY.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (POLICY.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+    errors.push('Password is too common');
+  }
+
+  return errors;
+};
+
+// Whether the password matches the user's current or a recent previous password
+const isPasswordReused = async (userId, password) => {
+  if (POLICY.historyCount <= 0) {
+    return false;
+  }
+
+  const [current] = await pool.execute(
+    'SELECT password_hash FROM users WHERE id = ?',
+    [userId]
+  );
+  const [history] = await pool.execute(`
+    SELECT password_hash FROM password_history
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ${POLICY.historyCount}
+  `, [userId]);
+
+  const hashes = [...current, ...history].map(row => row.password_hash);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Hash and store a new password for an existing user, keeping the history trimmed.
+// `mustChange` is set when someone other than the user chose the password; pass a
+// `connection` to run the writes inside the caller's transaction.
+const setUserPassword = async (userId, password, { mustChange = false, connection = pool } = {}) => {
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+  await connection.execute(
+    'UPDATE users SET password_hash = ?, password_changed_at = ?, must_change_password = ? WHERE id = ?',
+    [passwordHash, new Date(), mustChange, userId]
+  );
+  await recordPasswordHistory(userId, passwordHash, connection);
+
+  return passwordHash;
+};
+
+const recordPasswordHistory = async (userId, passwordHash, connection = pool) => {
+  await connection.execute(
+    'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+    [userId, passwordHash]
+  );
+
+  // Keep only the entries the reuse check looks at
+  const [rows] = await connection.execute(`
+    SELECT id FROM password_history
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+  `, [userId]);
+
+  for (const row of rows.slice(Math.max(POLICY.historyCount, 1))) {
+    await connection.execute('DELETE FROM password_history WHERE id = ?', [row.id]);
+  }
+};
+
+// Whether a password last changed at `passwordChangedAt` is past the maximum age
+const isPasswordExpired = (passwordChangedAt) => {
+  if (POLICY.maxAgeDays <= 0 || !passwordChangedAt) {
+    return false;
+  }
+
+  const maxAgeMs = POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+  return Date.now() - new Date(passwordChangedAt).getTime() > maxAgeMs;
+};
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  getPasswordPolicy,
+  validatePassword,
+  isPasswordReused,
+  setUserPassword,
+  recordPasswordHistory,
+  isPasswordExpired
+};
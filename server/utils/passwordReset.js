@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+require('dotenv').config();
+
+const RESET_CODE_TTL_HOURS = parseInt(process.env.RESET_CODE_TTL_HOURS || 24);
+// No 0/O or 1/I so codes read back from a paper slip are not ambiguous
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashResetCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+};
+
+// Random code formatted as XXXX-XXXX-XXXX
+const generateCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{1,4}/g).join('-');
+};
+
+// Issue a new reset code for a user, replacing any unused earlier code.
+// The plain code is only returned here; the database keeps a hash.
+const createResetCode = async (userId, createdBy) => {
+  const now = new Date();
+  const code = generateCode();
+  const expiresAt = new Date(now.getTime() + RESET_CODE_TTL_HOURS * 60 * 60 * 1000);
+
+  await pool.execute(
+    'DELETE FROM password_reset_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  await pool.execute(`
+    INSERT INTO password_reset_codes (user_id, code_hash, created_by, expires_at)
+    VALUES (?, ?, ?, ?)
+  `, [userId, hashResetCode(code), createdBy, expiresAt]);
+
+  return { code, expiresAt };
+};
+
+// Whether the user has this unused, unexpired code (without using it up)
+const isResetCodeValid = async (userId, code) => {
+  if (normalizeCode(code).length !== CODE_LENGTH) {
+    return false;
+  }
+
+  const [rows] = await pool.execute(`
+    SELECT id FROM password_reset_codes
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL AND expires_at > ?
+  `, [userId, hashResetCode(code), new Date()]);
+
+  return rows.length > 0;
+};
+
+// Mark a valid, unexpired code as used; returns false if the code cannot be redeemed.
+// Pass a `connection` to use the code inside the caller's transaction.
+const consumeResetCode = async (userId, code, connection = pool) => {
+  if (normalizeCode(code).length !== CODE_LENGTH) {
+    return false;
+  }
+
+  const [result] = await connection.execute(`
+    UPDATE password_reset_codes
+    SET used_at = ?
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL AND expires_at > ?
+  `, [new Date(), userId, hashResetCode(code), new Date()]);
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  createResetCode,
+  isResetCodeValid,
+  consumeResetCode
+};
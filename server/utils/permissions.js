@@ -0,0 +1,174 @@
+const { pool } = require('../config/db');
+
+// Every permission the application checks, with a description for the admin UI
+const PERMISSIONS = {
+  'activity:view': 'View recent activity',
+  'attendance:view': 'View attendance history and reports',
+  'audit:view': 'View and export the authentication audit log',
+  'attendance:delete': 'Delete attendance records',
+  'attendance:record': 'Record own check-in and check-out',
+  'corrections:approve': 'Approve or reject attendance corrections and review auto-closed check-outs',
+  'doctors:view': 'View doctor accounts',
+  'doctors:manage': 'Create, reset, sign out and deactivate doctor accounts',
+  'doctors:purge': 'Permanently delete deactivated doctors and their attendance history',
+  'exceptions:approve': 'Approve or reject check-ins and check-outs recorded outside the geofence',
+  'integrations:manage': 'Create and revoke API keys for integrations',
+  'leave:approve': 'Approve or reject leave requests',
+  'schedules:manage': 'Manage shift templates and assign doctor schedules',
+  'security:manage': 'Manage security settings and account lockouts',
+  'roles:assign': 'Assign roles and departments to users'
+};
+
+const REPORT_PERMISSIONS = ['activity:view', 'attendance:view', 'doctors:view'];
+const ADMIN_PERMISSIONS = [
+  ...REPORT_PERMISSIONS,
+  'attendance:delete',
+  'audit:view',
+  'corrections:approve',
+  'doctors:manage',
+  'exceptions:approve',
+  'integrations:manage',
+  'leave:approve',
+  'schedules:manage',
+  'security:manage'
+];
+
+// Permissions introduced after roles were first released. Existing default roles are
+// granted these once on upgrade; a settings marker keeps later removals in place.
+const ADDED_PERMISSIONS = [
+  'audit:view',
+  'doctors:purge',
+  'integrations:manage',
+  'schedules:manage',
+  'leave:approve',
+  'corrections:approve',
+  'exceptions:approve'
+];
+
+// Roles created on first start. Permissions are only seeded when a role is first
+// inserted, so later changes made in the database are kept.
+const DEFAULT_ROLES = [
+  {
+    name: 'super_admin',
+    label: 'Super Admin',
+    dashboard: 'admin',
+    departmentScoped: false,
+    permissions: [...ADMIN_PERMISSIONS, 'doctors:purge', 'roles:assign']
+  },
+  {
+    name: 'admin',
+    label: 'Admin',
+    dashboard: 'admin',
+    departmentScoped: false,
+    permissions: ADMIN_PERMISSIONS
+  },
+  {
+    name: 'hr',
+    label: 'HR Staff',
+    dashboard: 'admin',
+    departmentScoped: false,
+    permissions: [...REPORT_PERMISSIONS, 'corrections:approve', 'exceptions:approve', 'leave:approve']
+  },
+  {
+    name: 'department_head',
+    label: 'Department Head',
+    dashboard: 'admin',
+    departmentScoped: true,
+    permissions: [...REPORT_PERMISSIONS, 'corrections:approve', 'exceptions:approve', 'leave:approve']
+  },
+  {
+    name: 'doctor',
+    label: 'Doctor',
+    dashboard: 'doctor',
+    departmentScoped: false,
+    permissions: ['attendance:record']
+  }
+];
+
+const seedDefaultRoles = async (connection) => {
+  for (const role of DEFAULT_ROLES) {
+    const [result] = await connection.execute(`
+      INSERT IGNORE INTO roles (name, label, dashboard, department_scoped)
+      VALUES (?, ?, ?, ?)
+    `, [role.name, role.label, role.dashboard, role.departmentScoped]);
+
+    if (result.affectedRows > 0) {
+      for (const permission of role.permissions) {
+        await connection.execute(
+          'INSERT IGNORE INTO role_permissions (role, permission) VALUES (?, ?)',
+          [role.name, permission]
+        );
+      }
+    }
+  }
+
+  for (const permission of ADDED_PERMISSIONS) {
+    const [marker] = await connection.execute(
+      "INSERT IGNORE INTO settings (setting_key, setting_value) VALUES (?, 'granted')",
+      [`permission_seeded:${permission}`]
+    );
+    if (marker.affectedRows === 0) {
+      continue;
+    }
+
+    for (const role of DEFAULT_ROLES.filter(r => r.permissions.includes(permission))) {
+      await connection.execute(
+        'INSERT IGNORE INTO role_permissions (role, permission) VALUES (?, ?)',
+        [role.name, permission]
+      );
+    }
+  }
+};
+
+const getRolePermissions = async (role) => {
+  const [rows] = await pool.execute(
+    'SELECT permission FROM role_permissions WHERE role = ?',
+    [role]
+  );
+  return rows.map(row => row.permission);
+};
+
+// All roles with their permissions (for role assignment)
+const getRoles = async () => {
+  const [roles] = await pool.execute(
+    'SELECT name, label, dashboard, department_scoped FROM roles ORDER BY label ASC'
+  );
+  const [permissions] = await pool.execute('SELECT role, permission FROM role_permissions');
+
+  return roles.map(role => ({
+    name: role.name,
+    label: role.label,
+    dashboard: role.dashboard,
+    departmentScoped: !!role.department_scoped,
+    permissions: permissions
+      .filter(row => row.role === role.name)
+      .map(row => row.permission)
+  }));
+};
+
+const hasPermission = (user, permission) => {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+};
+
+// Extra WHERE condition limiting department-scoped roles to their own department.
+// `alias` is the users table alias of the doctor being looked at.
+const getDepartmentScope = (user, alias = 'u') => {
+  if (!user.departmentScoped) {
+    return { clause: '', params: [] };
+  }
+
+  if (!user.department) {
+    return { clause: ' AND 1 = 0', params: [] };
+  }
+
+  return { clause: ` AND ${alias}.department = ?`, params: [user.department] };
+};
+
+module.exports = {
+  PERMISSIONS,
+  seedDefaultRoles,
+  getRolePermissions,
+  getRoles,
+  hasPermission,
+  getDepartmentScope
+};
@@ -0,0 +1,221 @@
+const { pool } = require('../config/db');
+const { toDateString, zonedDateTime, addDays, getDayOfWeek, isDateString } = require('./time');
+
+// Shift templates (pagi/siang/malam, poli hours) and the per-date doctor schedules built
+// from them. A shift whose end time is not after its start time ends on the next day.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+const CODE_PATTERN = /^[a-z0-9_-]{1,20}$/;
+const MAX_GRACE_MINUTES = 120;
+// Longest date range a single assignment may cover
+const MAX_ASSIGNMENT_DAYS = 62;
+
+// Templates created on first start
+const DEFAULT_SHIFT_TEMPLATES = [
+  { code: 'pagi', name: 'Pagi', startTime: '07:00', endTime: '14:00' },
+  { code: 'siang', name: 'Siang', startTime: '14:00', endTime: '21:00' },
+  { code: 'malam', name: 'Malam', startTime: '21:00', endTime: '07:00' },
+  { code: 'poli_pagi', name: 'Poli Pagi', startTime: '08:00', endTime: '12:00' },
+  { code: 'poli_sore', name: 'Poli Sore', startTime: '16:00', endTime: '20:00' }
+];
+
+const seedShiftTemplates = async (connection) => {
+  const [rows] = await connection.execute('SELECT COUNT(*) as count FROM shift_templates');
+  if (rows[0].count > 0) {
+    return;
+  }
+
+  for (const template of DEFAULT_SHIFT_TEMPLATES) {
+    await connection.execute(
+      'INSERT IGNORE INTO shift_templates (code, name, start_time, end_time) VALUES (?, ?, ?, ?)',
+      [template.code, template.name, template.startTime, template.endTime]
+    );
+  }
+};
+
+// "HH:MM" or "HH:MM:SS" as stored by MySQL, normalized to "HH:MM:SS"
+const normalizeTime = (value) => {
+  const text = String(value || '').trim();
+  return TIME_PATTERN.test(text) ? (text.length === 5 ? `${text}:00` : text) : null;
+};
+
+// Start and end of a shift on a schedule date (hospital time)
+const getShiftWindow = (scheduleDate, startTime, endTime) => {
+  const date = toDateString(scheduleDate);
+  const start = zonedDateTime(date, normalizeTime(startTime));
+  let end = zonedDateTime(date, normalizeTime(endTime));
+  if (end <= start) {
+    end = zonedDateTime(addDays(date, 1), normalizeTime(endTime));
+  }
+  return { start, end };
+};
+
+const diffMinutes = (later, earlier) => Math.floor((later - earlier) / 60000);
+
+// Minutes after the scheduled start; arrivals within the grace period count as on time
+const getMinutesLate = (scheduledStart, checkinTime, graceMinutes = 0) => {
+  const minutes = diffMinutes(checkinTime, scheduledStart);
+  return minutes > graceMinutes ? minutes : 0;
+};
+
+// Minutes before the scheduled end
+const getMinutesEarly = (scheduledEnd, checkoutTime) => {
+  return Math.max(diffMinutes(scheduledEnd, checkoutTime), 0);
+};
+
+// Validate a shift template from a request body
+const parseShiftTemplate = (body) => {
+  const errors = [];
+  const code = String(body.code || '').trim().toLowerCase();
+  const name = String(body.name || '').trim();
+  const startTime = normalizeTime(body.startTime);
+  const endTime = normalizeTime(body.endTime);
+  const graceMinutes = body.lateGraceMinutes === undefined || body.lateGraceMinutes === ''
+    ? 0
+    : Number(body.lateGraceMinutes);
+
+  if (!CODE_PATTERN.test(code)) {
+    errors.push('Code must be 1-20 lowercase letters, numbers, "_" or "-"');
+  }
+
+  if (!name || name.length > 100) {
+    errors.push('Name is required (max 100 characters)');
+  }
+
+  if (!startTime || !endTime) {
+    errors.push('Start and end time must be times (HH:MM)');
+  } else if (startTime === endTime) {
+    errors.push('Start and end time must differ');
+  }
+
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > MAX_GRACE_MINUTES) {
+    errors.push(`Late grace period must be 0-${MAX_GRACE_MINUTES} minutes`);
+  }
+
+  return {
+    errors,
+    template: {
+      code,
+      name,
+      startTime,
+      endTime,
+      lateGraceMinutes: graceMinutes,
+      isActive: body.isActive === undefined ? true : !!body.isActive
+    }
+  };
+};
+
+// Every date from startDate to endDate (inclusive), optionally limited to some weekdays (0 = Sunday)
+const getAssignmentDates = (startDate, endDate, weekdays) => {
+  if (!isDateString(startDate) || !isDateString(endDate)) {
+    return { error: 'Start and end date must be dates (YYYY-MM-DD)' };
+  }
+
+  if (endDate < startDate) {
+    return { error: 'End date must not be before start date' };
+  }
+
+  const dates = [];
+
+  for (let current = startDate, days = 0; current <= endDate; current = addDays(current, 1), days++) {
+    if (days >= MAX_ASSIGNMENT_DAYS) {
+      return { error: `A schedule can be assigned for at most ${MAX_ASSIGNMENT_DAYS} days at a time` };
+    }
+    if (!Array.isArray(weekdays) || weekdays.length === 0 || weekdays.includes(getDayOfWeek(current))) {
+      dates.push(current);
+    }
+  }
+
+  return { dates };
+};
+
+// Validate a holiday from a request body
+const parseHoliday = (body) => {
+  const errors = [];
+  const date = String(body.date || '').trim();
+  const name = String(body.name || '').trim();
+
+  if (!isDateString(date)) {
+    errors.push('Date must be a date (YYYY-MM-DD)');
+  }
+
+  if (!name || name.length > 100) {
+    errors.push('Name is required (max 100 characters)');
+  }
+
+  return { errors, holiday: { date, name } };
+};
+
+// Holidays between two dates (inclusive), as { date: name }
+const getHolidays = async (startDate, endDate) => {
+  const [rows] = await pool.execute(`
+    SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') as holiday_date, name
+    FROM holidays
+    WHERE holiday_date BETWEEN ? AND ?
+  `, [startDate, endDate]);
+
+  const holidays = {};
+  rows.forEach(row => {
+    holidays[row.holiday_date] = row.name;
+  });
+  return holidays;
+};
+
+const toSchedule = (row) => {
+  const window = getShiftWindow(row.schedule_date, row.start_time, row.end_time);
+  return {
+    id: row.id,
+    date: toDateString(row.schedule_date),
+    shiftName: row.shift_name,
+    scheduledStart: window.start,
+    scheduledEnd: window.end,
+    lateGraceMinutes: row.late_grace_minutes
+  };
+};
+
+// Schedules of a doctor on one date
+const getSchedulesForDate = async (userId, date) => {
+  const [rows] = await pool.execute(`
+    SELECT id, schedule_date, shift_name, start_time, end_time, late_grace_minutes
+    FROM doctor_schedules
+    WHERE user_id = ? AND schedule_date = ?
+    ORDER BY start_time ASC
+  `, [userId, date]);
+  return rows.map(toSchedule);
+};
+
+// The schedule a check-in at `now` belongs to: among yesterday's and today's shifts that
+// have not ended yet and have no check-in, the one starting closest to `now`
+const findScheduleForCheckin = async (userId, now = new Date()) => {
+  const today = toDateString(now);
+
+  const [rows] = await pool.execute(`
+    SELECT s.id, s.schedule_date, s.shift_name, s.start_time, s.end_time, s.late_grace_minutes
+    FROM doctor_schedules s
+    WHERE s.user_id = ? AND s.schedule_date BETWEEN ? AND ?
+      AND NOT EXISTS (
+        SELECT 1 FROM attendance a WHERE a.schedule_id = s.id AND a.type = 'checkin'
+      )
+  `, [userId, addDays(today, -1), today]);
+
+  const candidates = rows
+    .map(toSchedule)
+    .filter(schedule => schedule.scheduledEnd > now)
+    .sort((a, b) => Math.abs(a.scheduledStart - now) - Math.abs(b.scheduledStart - now));
+
+  return candidates[0] || null;
+};
+
+module.exports = {
+  seedShiftTemplates,
+  normalizeTime,
+  getShiftWindow,
+  getMinutesLate,
+  getMinutesEarly,
+  parseShiftTemplate,
+  getAssignmentDates,
+  parseHoliday,
+  getHolidays,
+  getSchedulesForDate,
+  findScheduleForCheckin
+};
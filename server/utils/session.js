@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/db');
+const { recordAuthEvent } = require('./authEvents');
+const { getAccountAccessError } = require('./accountStatus');
+require('dotenv').config();
+
+// Session configuration
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || 7);
+const REFRESH_COOKIE_PATH = '/api/auth';
+// A just-rotated refresh token stays usable briefly so parallel tabs refreshing
+// at the same moment are not mistaken for token theft
+const ROTATION_GRACE_SECONDS = 30;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const cookieOptions = (maxAge, cookiePath = '/') => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: cookiePath,
+  maxAge
+});
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (userId, sessionId) => {
+  const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000);
+  const token = jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+
+  return { token, expiresAt };
+};
+
+const setAccessCookie = (res, accessToken) => {
+  res.cookie('token', accessToken, cookieOptions(ACCESS_TOKEN_TTL_MINUTES * 60 * 1000));
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, cookieOptions(REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000, REFRESH_COOKIE_PATH));
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', { path: '/' });
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+};
+
+// CSRF token bound to a session: an HMAC of the session id, so it needs no storage
+// and stops working as soon as the session is replaced
+const getCsrfToken = (sessionId) => {
+  return crypto
+    .createHmac('sha256', process.env.CSRF_SECRET || process.env.JWT_SECRET)
+    .update(`csrf:${sessionId}`)
+    .digest('hex');
+};
+
+const isValidCsrfToken = (sessionId, csrfToken) => {
+  if (!sessionId || typeof csrfToken !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(getCsrfToken(sessionId));
+  const presented = Buffer.from(csrfToken);
+  return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+};
+
+// Refresh tokens have the form "<sessionId>.<secret>"
+const parseRefreshToken = (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return null;
+  }
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Create a new session for the user and set the auth cookies.
+// authMethod is 'password' or 'oidc' (signed in at the hospital identity provider).
+const createSession = async (req, res, user, authMethod = 'password') => {
+  const now = new Date();
+  const sessionId = crypto.randomBytes(24).toString('hex');
+  const secret = generateSecret();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  // Prune this user's expired sessions while we are here
+  await pool.execute(
+    'DELETE FROM sessions WHERE user_id = ? AND expires_at < ?',
+    [user.id, now]
+  );
+
+  await pool.execute(`
+    INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, last_seen_at, expires_at, auth_method)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    sessionId,
+    user.id,
+    hashToken(secret),
+    (req.get('user-agent') || '').substring(0, 255),
+    req.ip,
+    now,
+    expiresAt,
+    authMethod
+  ]);
+
+  const access = signAccessToken(user.id, sessionId);
+  setAccessCookie(res, access.token);
+  setRefreshCookie(res, `${sessionId}.${secret}`);
+
+  return {
+    sessionId,
+    accessTokenExpiresAt: access.expiresAt
+  };
+};
+
+// Exchange a refresh token for a new access token, rotating the refresh token.
+// Returns null when the refresh token is invalid, expired or revoked.
+const rotateSession = async (req, res, refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const now = new Date();
+  const [rows] = await pool.execute(`
+    SELECT
+      s.id,
+      s.refresh_token_hash,
+      s.previous_token_hash,
+      s.rotated_at,
+      s.auth_method,
+      u.id as user_id,
+      u.name,
+      u.role,
+      u.status,
+      u.valid_from,
+      u.valid_until
+    FROM sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.id = ? AND s.revoked_at IS NULL AND s.expires_at > ?
+  `, [parsed.sessionId, now]);
+
+  if (rows.length === 0 || getAccountAccessError(rows[0], now)) {
+    return null;
+  }
+
+  const session = rows[0];
+  const presentedHash = hashToken(parsed.secret);
+  const user = { id: session.user_id, name: session.name, role: session.role };
+
+  if (presentedHash !== session.refresh_token_hash) {
+    const withinGrace = presentedHash === session.previous_token_hash &&
+      session.rotated_at &&
+      now - new Date(session.rotated_at) < ROTATION_GRACE_SECONDS * 1000;
+
+    if (!withinGrace) {
+      // An old refresh token was replayed: assume it was stolen and kill the session
+      await revokeSession(session.id, 'refresh_token_reuse');
+      await recordAuthEvent(req, session.user_id, 'refresh_token_reuse', 'blocked', 'Old refresh token replayed; session revoked');
+      return null;
+    }
+
+    // Another request already rotated the token; only issue a new access token
+    const access = signAccessToken(user.id, session.id);
+    setAccessCookie(res, access.token);
+    return { user, sessionId: session.id, authMethod: session.auth_method, accessTokenExpiresAt: access.expiresAt };
+  }
+
+  const secret = generateSecret();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await pool.execute(`
+    UPDATE sessions
+    SET refresh_token_hash = ?, previous_token_hash = ?, rotated_at = ?,
+        last_seen_at = ?, ip_address = ?, expires_at = ?
+    WHERE id = ?
+  `, [hashToken(secret), session.refresh_token_hash, now, now, req.ip, expiresAt, session.id]);
+
+  const access = signAccessToken(user.id, session.id);
+  setAccessCookie(res, access.token);
+  setRefreshCookie(res, `${session.id}.${secret}`);
+
+  return { user, sessionId: session.id, authMethod: session.auth_method, accessTokenExpiresAt: access.expiresAt };
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, reason) => {
+  const [result] = await pool.execute(
+    'UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [new Date(), reason, sessionId]
+  );
+  return result.affectedRows > 0;
+};
+
+// Revoke every active session of a user, optionally keeping the current one
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const [result] = await pool.execute(`
+    UPDATE sessions
+    SET revoked_at = ?, revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL AND id <> ?
+  `, [new Date(), reason, userId, exceptSessionId || '']);
+  return result.affectedRows;
+};
+
+// List the active (not revoked, not expired) sessions of a user
+const getActiveSessions = async (userId) => {
+  const [rows] = await pool.execute(`
+    SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+    FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_seen_at DESC
+  `, [userId, new Date()]);
+  return rows;
+};
+
+module.exports = {
+  createSession,
+  getActiveSessions,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  clearAuthCookies,
+  parseRefreshToken,
+  getCsrfToken,
+  isValidCsrfToken
+};
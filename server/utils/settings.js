@@ -0,0 +1,36 @@
+const { pool } = require('../config/db');
+
+// Application settings stored as key/value rows in the settings table
+const DEFAULT_SETTINGS = {
+  require_admin_2fa: 'false',
+  // Opt-in: let the identity provider's MFA stand in for the local 2FA and password rules
+  trust_oidc_mfa: 'false'
+};
+
+const getSetting = async (key) => {
+  const [rows] = await pool.execute(
+    'SELECT setting_value FROM settings WHERE setting_key = ?',
+    [key]
+  );
+  return rows.length > 0 ? rows[0].setting_value : DEFAULT_SETTINGS[key];
+};
+
+const getBooleanSetting = async (key) => {
+  return (await getSetting(key)) === 'true';
+};
+
+const setSetting = async (key, value, updatedBy) => {
+  await pool.execute(`
+    INSERT INTO settings (setting_key, setting_value, updated_by)
+    VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      setting_value = VALUES(setting_value),
+      updated_by = VALUES(updated_by)
+  `, [key, String(value), updatedBy]);
+};
+
+module.exports = {
+  getSetting,
+  getBooleanSetting,
+  setSetting
+};
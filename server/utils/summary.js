@@ -0,0 +1,172 @@
+const { pool } = require('../config/db');
+const { toDateString, addDays } = require('./time');
+const { MAX_SHIFT_HOURS, pairBreaks, getWorkedMinutes } = require('./attendance');
+const { getHolidays } = require('./schedule');
+
+// Monthly attendance figures of a doctor, so they can check their own numbers before
+// payroll. Sessions count for their shift date; a session whose check-in was rejected
+// as an outside-fence exception does not count, and one without an accepted check-out
+// (never recorded, rejected, or closed automatically and not yet reviewed by an admin)
+// is a missing check-out with no worked time. A past day with a scheduled shift but no
+// session, leave or holiday is absent.
+
+// Years 1000-9999, the range of a MySQL DATE
+const MONTH_PATTERN = /^[1-9]\d{3}-(0[1-9]|1[0-2])$/;
+
+const isMonthString = (value) => MONTH_PATTERN.test(String(value || ''));
+
+// First and last date (YYYY-MM-DD) of a month (YYYY-MM); day 0 of the next month is the
+// last day of this one, which also holds for December 9999
+const getMonthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  return { startDate: `${month}-01`, endDate: `${month}-${String(lastDay).padStart(2, '0')}` };
+};
+
+// Approved leave days of the user between two dates, as { date: leave type name }
+const getLeaveDays = async (userId, startDate, endDate) => {
+  const [rows] = await pool.execute(`
+    SELECT
+      DATE_FORMAT(lr.start_date, '%Y-%m-%d') as start_date,
+      DATE_FORMAT(lr.end_date, '%Y-%m-%d') as end_date,
+      lt.name as leave_type
+    FROM leave_requests lr
+    JOIN leave_types lt ON lr.leave_type_id = lt.id
+    WHERE lr.user_id = ? AND lr.status = 'approved'
+      AND lr.start_date <= ? AND lr.end_date >= ?
+  `, [userId, endDate, startDate]);
+
+  const days = {};
+  rows.forEach(row => {
+    const from = row.start_date > startDate ? row.start_date : startDate;
+    const to = row.end_date < endDate ? row.end_date : endDate;
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      days[date] = row.leave_type;
+    }
+  });
+  return days;
+};
+
+const getMonthlySummary = async (userId, month, now = new Date()) => {
+  const { startDate, endDate } = getMonthRange(month);
+  const openSince = new Date(now.getTime() - MAX_SHIFT_HOURS * 60 * 60 * 1000);
+
+  const [sessions] = await pool.execute(`
+    SELECT
+      ci.id,
+      DATE_FORMAT(ci.session_date, '%Y-%m-%d') as session_date,
+      ci.timestamp,
+      ci.minutes_late,
+      ci.exception_status,
+      co.timestamp as checkout_time,
+      co.source as checkout_source,
+      co.reviewed_at as checkout_reviewed_at,
+      co.exception_status as checkout_exception_status
+    FROM attendance ci
+    LEFT JOIN attendance co ON co.checkin_id = ci.id AND co.type = 'checkout'
+    WHERE ci.user_id = ? AND ci.type = 'checkin' AND ci.session_date BETWEEN ? AND ?
+      AND (ci.exception_status IS NULL OR ci.exception_status <> 'rejected')
+    ORDER BY ci.timestamp ASC
+  `, [userId, startDate, endDate]);
+
+  const [breakRecords] = await pool.execute(`
+    SELECT checkin_id, type, timestamp
+    FROM attendance
+    WHERE user_id = ? AND type IN ('break_start', 'break_end') AND session_date BETWEEN ? AND ?
+    ORDER BY timestamp ASC, id ASC
+  `, [userId, startDate, endDate]);
+
+  const [schedules] = await pool.execute(`
+    SELECT DATE_FORMAT(schedule_date, '%Y-%m-%d') as schedule_date, COUNT(*) as shifts
+    FROM doctor_schedules
+    WHERE user_id = ? AND schedule_date BETWEEN ? AND ?
+    GROUP BY schedule_date
+  `, [userId, startDate, endDate]);
+
+  const leaveDays = await getLeaveDays(userId, startDate, endDate);
+  const holidays = await getHolidays(startDate, endDate);
+  const days = {};
+  const getDay = (date) => {
+    if (!days[date]) {
+      days[date] = {
+        date,
+        sessions: 0,
+        openSessions: 0,
+        workedMinutes: 0,
+        minutesLate: 0,
+        missingCheckouts: 0,
+        scheduledShifts: 0,
+        leaveType: null,
+        holiday: null,
+        absent: false
+      };
+    }
+    return days[date];
+  };
+
+  let pendingExceptions = 0;
+  sessions.forEach(session => {
+    const day = getDay(session.session_date);
+    const isOpen = !session.checkout_time && new Date(session.timestamp) >= openSince;
+    const hasCheckout = session.checkout_time
+      && (session.checkout_source !== 'auto' || session.checkout_reviewed_at)
+      && session.checkout_exception_status !== 'rejected';
+
+    day.sessions++;
+    day.minutesLate += session.minutes_late || 0;
+
+    if (hasCheckout || isOpen) {
+      const end = hasCheckout ? new Date(session.checkout_time) : now;
+      const breaks = pairBreaks(breakRecords.filter(record => record.checkin_id === session.id), end);
+      const breakMinutes = breaks.reduce((total, item) => total + item.minutes, 0);
+      day.workedMinutes += getWorkedMinutes(session.timestamp, hasCheckout ? session.checkout_time : null, breakMinutes, now);
+      if (!hasCheckout) {
+        day.openSessions++;
+      }
+    } else {
+      day.missingCheckouts++;
+    }
+
+    if (session.exception_status === 'pending' || session.checkout_exception_status === 'pending') {
+      pendingExceptions++;
+    }
+  });
+
+  Object.entries(leaveDays).forEach(([date, leaveType]) => {
+    getDay(date).leaveType = leaveType;
+  });
+
+  Object.entries(holidays).forEach(([date, name]) => {
+    getDay(date).holiday = name;
+  });
+
+  const today = toDateString(now);
+  schedules.forEach(schedule => {
+    const day = getDay(schedule.schedule_date);
+    day.scheduledShifts = Number(schedule.shifts);
+    day.absent = day.date < today && day.sessions === 0 && !day.leaveType && !day.holiday;
+  });
+
+  const dayList = Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+  const presentDays = dayList.filter(day => day.sessions > 0);
+
+  return {
+    month,
+    startDate,
+    endDate,
+    daysPresent: presentDays.length,
+    totalWorkedMinutes: presentDays.reduce((total, day) => total + day.workedMinutes, 0),
+    lateDays: presentDays.filter(day => day.minutesLate > 0).length,
+    totalMinutesLate: presentDays.reduce((total, day) => total + day.minutesLate, 0),
+    missingCheckouts: presentDays.reduce((total, day) => total + day.missingCheckouts, 0),
+    leaveDays: Object.keys(leaveDays).length,
+    absentDays: dayList.filter(day => day.absent).length,
+    pendingExceptions,
+    days: dayList
+  };
+};
+
+module.exports = {
+  isMonthString,
+  getMonthlySummary
+};
@@ -0,0 +1,102 @@
+require('dotenv').config();
+
+// Calendar days, shift times and "today" follow the hospital's timezone, not the
+// timezone of the machine the server happens to run on.
+const HOSPITAL_TIMEZONE = process.env.HOSPITAL_TIMEZONE || 'Asia/Jakarta';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: HOSPITAL_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Wall-clock fields of an instant in the hospital timezone
+const getZonedParts = (date) => {
+  const parts = {};
+  partsFormatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+};
+
+// Offset of the hospital timezone from UTC at an instant, in minutes
+const getOffsetMinutes = (date = new Date()) => {
+  const parts = getZonedParts(date);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// Offset as "+07:00", for the MySQL session time_zone
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0');
+  const rest = String(Math.abs(minutes) % 60).padStart(2, '0');
+  return `${sign}${hours}:${rest}`;
+};
+
+// Hospital calendar date (YYYY-MM-DD) of an instant; date strings are returned as-is
+const toDateString = (value) => {
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+  const parts = getZonedParts(value);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+// Hospital wall-clock time (HH:MM:SS) of an instant
+const toTimeString = (value) => {
+  const parts = getZonedParts(new Date(value));
+  return `${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+// The instant of a hospital wall-clock time, e.g. ("2024-05-01", "07:00:00")
+const zonedDateTime = (dateString, timeString = '00:00:00') => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute, second = 0] = timeString.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Correct once more in case the offset differs at the resulting instant (DST zones)
+  let instant = asUtc - getOffsetMinutes(new Date(asUtc)) * 60000;
+  instant = asUtc - getOffsetMinutes(new Date(instant)) * 60000;
+  return new Date(instant);
+};
+
+// Calendar arithmetic on YYYY-MM-DD strings
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// 0 = Sunday
+const getDayOfWeek = (dateString) => new Date(`${dateString}T00:00:00Z`).getUTCDay();
+
+// A real calendar date as YYYY-MM-DD; 2024-02-31 or 2024-13-01 are rejected because they
+// do not come back unchanged from Date.UTC
+const isDateString = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+module.exports = {
+  HOSPITAL_TIMEZONE,
+  getOffsetMinutes,
+  formatOffset,
+  toDateString,
+  toTimeString,
+  zonedDateTime,
+  addDays,
+  getDayOfWeek,
+  isDateString
+};
@@ -0,0 +1,119 @@
+const { formatOffset } = require('./time');
+require('dotenv').config();
+
+// DATETIME values used to be written in the timezone of the machine running the server
+// (mysql2's "local" mode) and are now written in hospital time. Existing values are
+// shifted once, before anything reads them, and the settings table remembers the offset
+// they are stored in so a later change of HOSPITAL_TIMEZONE is caught at startup.
+// TIMESTAMP columns are stored as UTC by MySQL and need no conversion.
+
+const MARKER_KEY = 'datetime_timezone';
+const OFFSET_PATTERN = /^([+-])(\d{2}):(\d{2})$/;
+
+// "+07:00" as minutes east of UTC
+const parseOffset = (value) => {
+  const match = OFFSET_PATTERN.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+// Offset the old server wrote in: LEGACY_DB_TIMEZONE when set, otherwise this machine's
+const getLegacyOffsetMinutes = () => {
+  if (process.env.LEGACY_DB_TIMEZONE) {
+    const minutes = parseOffset(process.env.LEGACY_DB_TIMEZONE);
+    if (minutes === null) {
+      throw new Error(`LEGACY_DB_TIMEZONE must be an offset such as +07:00, not "${process.env.LEGACY_DB_TIMEZONE}"`);
+    }
+    return minutes;
+  }
+  return -new Date().getTimezoneOffset();
+};
+
+const recalculateSessionDates = async (connection) => {
+  const [columns] = await connection.execute(`
+    SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'attendance'
+      AND COLUMN_NAME IN ('session_date', 'checkin_id', 'schedule_id')
+  `);
+  if (columns.length < 3) {
+    return;
+  }
+
+  await connection.execute(`
+    UPDATE attendance
+    SET session_date = DATE(timestamp)
+    WHERE session_date IS NOT NULL AND (type <> 'checkin' OR schedule_id IS NULL)
+  `);
+  await connection.execute(`
+    UPDATE attendance a
+    JOIN attendance ci ON ci.id = a.checkin_id
+    SET a.session_date = ci.session_date
+    WHERE a.type <> 'checkin' AND a.session_date IS NOT NULL
+  `);
+};
+
+// Convert every DATETIME column to the database timezone (e.g. "+07:00") once; refuses to
+// continue when the values are already stored in a different offset
+const convertLegacyDatetimes = async (connection, dbTimezone) => {
+  const [markers] = await connection.execute(
+    'SELECT setting_value FROM settings WHERE setting_key = ?',
+    [MARKER_KEY]
+  );
+
+  if (markers.length > 0) {
+    if (markers[0].setting_value !== dbTimezone) {
+      throw new Error(
+        `Stored date/times are in UTC${markers[0].setting_value} but HOSPITAL_TIMEZONE is UTC${dbTimezone}. ` +
+        'Changing the hospital timezone of an existing database is not supported.'
+      );
+    }
+    return;
+  }
+
+  const shiftMinutes = parseOffset(dbTimezone) - getLegacyOffsetMinutes();
+
+  await connection.beginTransaction();
+  try {
+    if (shiftMinutes !== 0) {
+      const [columns] = await connection.execute(`
+        SELECT TABLE_NAME, COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND DATA_TYPE = 'datetime'
+      `);
+
+      let converted = 0;
+      for (const { TABLE_NAME: table, COLUMN_NAME: column } of columns) {
+        const [result] = await connection.execute(
+          `UPDATE \`${table}\` SET \`${column}\` = DATE_ADD(\`${column}\`, INTERVAL ? MINUTE) WHERE \`${column}\` IS NOT NULL`,
+          [shiftMinutes]
+        );
+        converted += result.affectedRows;
+      }
+
+      // Shift dates derived from the unconverted times are derived again: a check-in
+      // without a schedule counts for its own date, other records for their check-in's
+      if (columns.some(({ TABLE_NAME: table, COLUMN_NAME: column }) => table === 'attendance' && column === 'timestamp')) {
+        await recalculateSessionDates(connection);
+      }
+
+      if (converted > 0) {
+        console.log(`✅ Converted ${converted} stored date/time(s) from UTC${formatOffset(getLegacyOffsetMinutes())} to UTC${dbTimezone}`);
+      }
+    }
+
+    await connection.execute(
+      'INSERT INTO settings (setting_key, setting_value) VALUES (?, ?)',
+      [MARKER_KEY, dbTimezone]
+    );
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  convertLegacyDatetimes
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { pool } = require('../config/db');
+const { verifyCode } = require('./totp');
+const { getBooleanSetting } = require('./settings');
+
+const BACKUP_CODE_COUNT = 10;
+
+const hashBackupCode = (code) => {
+  const normalized = code.toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Whether a user must enroll in 2FA before using the admin area
+const isTwoFactorSetupRequired = async (dashboard, totpEnabled) => {
+  if (dashboard !== 'admin' || totpEnabled) {
+    return false;
+  }
+  return getBooleanSetting('require_admin_2fa');
+};
+
+// Replace the user's backup codes with a fresh set; returns the plain codes once
+const generateBackupCodes = async (userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  await pool.execute('DELETE FROM backup_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await pool.execute(
+      'INSERT INTO backup_codes (user_id, code_hash) VALUES (?, ?)',
+      [userId, hashBackupCode(code)]
+    );
+  }
+
+  return codes;
+};
+
+const countRemainingBackupCodes = async (userId) => {
+  const [rows] = await pool.execute(
+    'SELECT COUNT(*) as remaining FROM backup_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return rows[0].remaining;
+};
+
+// Verify either a TOTP code or an unused backup code for the user.
+// `user` must include id and totp_secret.
+const verifyTwoFactorCode = async (user, code) => {
+  const input = String(code || '').trim();
+
+  if (/^\d{6}$/.test(input.replace(/\s/g, ''))) {
+    const step = verifyCode(user.totp_secret, input);
+
+    if (step === null) {
+      return { valid: false };
+    }
+
+    // Each code may only be used once; the condition is checked in the UPDATE itself so
+    // two requests with the same code cannot both pass
+    const [result] = await pool.execute(
+      'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+      [step, user.id, step]
+    );
+
+    if (result.affectedRows === 0) {
+      return { valid: false };
+    }
+
+    return { valid: true, method: 'totp' };
+  }
+
+  const [result] = await pool.execute(
+    'UPDATE backup_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [new Date(), user.id, hashBackupCode(input)]
+  );
+
+  if (result.affectedRows === 0) {
+    return { valid: false };
+  }
+
+  return { valid: true, method: 'backup_code' };
+};
+
+module.exports = {
+  isTwoFactorSetupRequired,
+  generateBackupCodes,
+  countRemainingBackupCodes,
+  verifyTwoFactorCode
+};